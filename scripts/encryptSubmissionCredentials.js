@@ -0,0 +1,26 @@
+/**
+ * One-off: encrypt every plaintext product_submissions.password into the
+ * credential vault and clear the column. Safe to re-run; the API also seals
+ * new rows on its Airtable sync schedule.
+ *
+ * Usage: CREDENTIALS_ENCRYPTION_KEY=... npm run encrypt-credentials
+ */
+const { createClient } = require('@supabase/supabase-js');
+const dotenv = require('dotenv');
+const { CredentialVault, loadVaultKey } = require('../services/credentialVault');
+
+dotenv.config();
+
+const run = async () => {
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_KEY);
+  const vault = new CredentialVault({ supabase, key: loadVaultKey() });
+
+  const { sealed, failed } = await vault.sealPlaintext();
+  console.log(`Encrypted ${sealed} password(s), ${failed} failed`);
+  if (failed > 0) process.exitCode = 1;
+};
+
+run().catch(error => {
+  console.error('Error encrypting submission credentials:', error.message);
+  process.exitCode = 1;
+});
@@ -4,50 +4,101 @@ const axios = require('axios');
 const cheerio = require('cheerio');
 const { createClient } = require('@supabase/supabase-js');
 const dotenv = require('dotenv');
-const OpenAI = require('openai');
 const Airtable = require('airtable');
 const cron = require('node-cron');
-const { Resend } = require('resend');
 const puppeteer = require('puppeteer');
 const puppeteerCore = require('puppeteer-core');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const puppeteerExtra = require('puppeteer-extra');
 const chromium = require('@sparticuz/chromium');
+const { ScrapeQueue, JOB_STATUS } = require('./services/scrapeQueue');
+const { BrowserPool } = require('./services/browserPool');
+const { extractMetadata } = require('./services/metadataExtractor');
+const { crawlSite } = require('./services/siteCrawler');
+const { captureWebsiteAssets } = require('./services/assetCapture');
+const { validateDirectoryInput, matchDirectories } = require('./services/directoryCatalog');
+const { createLlmProvider } = require('./services/llmProvider');
+const { scrapeAndAnalyzeWebsite } = require('./services/websiteAnalysis');
+const { createAuthMiddleware, isOwnerOrAdmin } = require('./services/auth');
+const { createRateLimiter } = require('./services/rateLimiter');
+const { CreditLedger, CREDIT_COSTS, INSUFFICIENT_CREDITS, sendInsufficientCredits } = require('./services/creditLedger');
+const { verifySignature, handleLemonSqueezyWebhook } = require('./services/paymentWebhooks');
+const emailService = require('./services/emailService');
+const { EmailOutbox } = require('./services/emailOutbox');
+const { CampaignScheduler } = require('./services/campaignScheduler');
+const { AirtableSync, SYNC_ERRORS } = require('./services/airtableSync');
+const { RequestThrottle } = require('./services/requestThrottle');
+const { fetchBaseSchema } = require('./services/airtableFields');
+const { CredentialVault, VAULT_ERRORS, loadVaultKey } = require('./services/credentialVault');
+const { SubmissionRunQueue } = require('./services/submissionRunner');
+const { verifySvixSignature, handleResendWebhook } = require('./services/emailWebhooks');
+const {
+  SUPPORTED_LOCALES,
+  escapeHtml,
+  statusTemplateName,
+  listTemplates,
+  renderPreview
+} = require('./services/emailTemplates');
+const {
+  OPTIONAL_CATEGORIES,
+  getPreferences,
+  updatePreferences,
+  verifyUnsubscribeToken
+} = require('./services/notificationPreferences');
+const {
+  STATUS_ERRORS,
+  normalizeStatus,
+  allowedTransitions,
+  changeSubmissionStatus,
+  getStatusHistory
+} = require('./services/submissionStatus');
+const {
+  FEEDBACK_ERRORS,
+  validateFeedbackItems,
+  createFeedbackItems,
+  getFeedbackItems,
+  validateFeedbackResponses,
+  respondToFeedback
+} = require('./services/submissionFeedback');
 
 // Load environment variables
 dotenv.config();
 
-// Initialize Resend
-const resend = new Resend(process.env.RESEND_API_KEY);
-
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_KEY;
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Initialize the LLM provider used for website analysis (see services/llmProvider.js)
+const llm = createLlmProvider();
+console.log(`Using ${llm.name} LLM provider (${llm.model})`);
 
 // Initialize Airtable
 const AIRTABLE_API_KEY = process.env.AIRTABLE_API_KEY; // Your personal access token
 const AIRTABLE_BASE_ID = process.env.AIRTABLE_BASE_ID || 'appGZlClarU43tuUw';
 Airtable.configure({
   endpointUrl: 'https://api.airtable.com',
-  apiKey: AIRTABLE_API_KEY
+  apiKey: AIRTABLE_API_KEY,
+  // 429s are retried by the sync's RequestThrottle
+  noRetryIfRateLimited: true
 });
 const airtableBase = Airtable.base(AIRTABLE_BASE_ID);
 
-// Table mappings between Supabase and Airtable
+// Table mappings between Supabase and Airtable. A field is a column name, sent as is,
+// or { column, airtable, type } (see services/airtableFields.js for the types).
+// Adding a table here is enough to sync it; the mapping is checked against the base on startup.
 const TABLE_MAPPINGS = {
   payments: {
     supabaseTable: 'payments',
     airtableTable: 'Payments', // Create this table in Airtable
     keyField: 'id', // Field to use for identifying records
     fields: [
-      'id', 'user_id', 'order_id', 'variant_id', 'status', 
-      'amount', 'currency', 'credits', 'created_at', 'updated_at'
+      'id', 'user_id', 'order_id', 'variant_id', 'status',
+      { column: 'amount', type: 'currency' },
+      'currency',
+      { column: 'credits', type: 'number' },
+      { column: 'created_at', type: 'dateTime' },
+      { column: 'updated_at', type: 'dateTime' }
     ]
   },
   product_submissions: {
@@ -55,12 +106,32 @@ const TABLE_MAPPINGS = {
     airtableTable: 'Product Submissions', // Create this table in Airtable
     keyField: 'id',
     fields: [
-      'id', 'product_name', 'one_liner', 'description', 'website_url', 
-      'price', 'plan_name', 'pros', 'cons', 'categories', 'email', 'password',
-      'logo_url', 'screenshot_urls', 'coupon_codes', 'twitter_handle',
-      'office_address', 'pricing_model', 'primary_builder', 'secondary_builder',
-      'discovery_source', 'status', 'user_id', 'created_at'
-    ]
+      'id', 'product_name', 'one_liner', 'description', 'website_url',
+      'price', 'plan_name',
+      { column: 'pros', type: 'list' },
+      { column: 'cons', type: 'list' },
+      { column: 'categories', type: 'multiSelect' },
+      // Directory-account credentials: the email is masked and passwords live in the
+      // credential vault. `redacted` blanks passwords synced before the vault existed.
+      { column: 'email', type: 'masked' },
+      { column: 'password', type: 'redacted' },
+      'logo_url',
+      { column: 'screenshot_urls', type: 'attachment' },
+      { column: 'coupon_codes', type: 'list' },
+      'twitter_handle', 'office_address', 'pricing_model', 'primary_builder', 'secondary_builder',
+      'discovery_source',
+      { column: 'status', type: 'text' },
+      { column: 'reviewer_notes', type: 'text' },
+      'user_id',
+      { column: 'created_at', type: 'dateTime' }
+    ],
+    // Fields the ops team edits in Airtable and that flow back to Supabase.
+    // `modifiedField` is a "Last modified time" field watching those fields.
+    pull: {
+      fields: ['status', 'reviewer_notes'],
+      statusField: 'status',
+      modifiedField: 'Last Modified'
+    }
   }
 };
 
@@ -70,7 +141,7 @@ const PORT = process.env.PORT || 3001;
 // Middleware
 app.use(cors({
   origin: true, // Allow all origins in development
-  methods: ['GET', 'POST', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'Access-Control-Allow-Origin'],
   exposedHeaders: ['Access-Control-Allow-Origin'],
   credentials: true
@@ -79,217 +150,499 @@ app.use(cors({
 // Enable pre-flight requests for all routes
 app.options('*', cors());
 
-app.use(express.json());
+// Keep the raw body around for webhook signature checks
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// Supabase JWT verification for API routes
+const { requireAuth, requireAdmin } = createAuthMiddleware(supabase, {
+  jwtSecret: process.env.SUPABASE_JWT_SECRET
+});
+
+// Render sits behind a proxy; use X-Forwarded-For for req.ip
+app.set('trust proxy', 1);
+
+// Rate limits for the expensive scrape endpoint
+const scrapeIpLimiter = createRateLimiter({
+  name: 'scrape per IP',
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.SCRAPE_RATE_LIMIT_PER_IP, 10) || 30,
+  keyGenerator: (req) => `ip:${req.ip}`
+});
+const scrapeUserLimiter = createRateLimiter({
+  name: 'scrape per user',
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.SCRAPE_RATE_LIMIT_PER_USER, 10) || 10,
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : null)
+});
+
+// Credit balances and transaction history
+const creditLedger = new CreditLedger(supabase);
+
+// Encrypted directory-account passwords (see services/credentialVault.js)
+const credentialVault = new CredentialVault({ supabase, key: loadVaultKey() });
+const credentialRevealLimiter = createRateLimiter({
+  name: 'credential reveal',
+  windowMs: 60 * 60 * 1000,
+  max: parseInt(process.env.CREDENTIAL_REVEAL_LIMIT_PER_ADMIN, 10) || 30,
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : null)
+});
+
+// Encrypt passwords that arrived in plaintext with new submissions
+const sealPlaintextCredentials = async () => {
+  if (!credentialVault.enabled) return;
+  try {
+    await credentialVault.sealPlaintext();
+  } catch (error) {
+    console.error('Error encrypting plaintext submission passwords:', error);
+  }
+};
+
+// Outgoing email is queued and sent with retries (see services/emailOutbox.js)
+const emailOutbox = new EmailOutbox({
+  supabase,
+  emailService,
+  maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS, 10) || 5
+});
+
+// Welcome, unpaid-submission and feedback-request emails (see services/campaignScheduler.js)
+const campaignScheduler = new CampaignScheduler({ supabase, emailOutbox });
 
 // Add stealth plugin
 puppeteerExtra.use(StealthPlugin());
 
 // Helper function to extract text content from HTML
-const extractTextContent = (html) => {
+// Limits mirror the Puppeteer evaluator so both strategies feed GPT the same shape
+const extractTextContent = (html, baseUrl) => {
   const $ = cheerio.load(html);
   
   // Remove script and style elements
   $('script, style, iframe, noscript').remove();
   
   // Get the page title
-  const title = $('title').text().trim();
+  const title = $('title').first().text().trim();
   
   // Get meta description
-  const metaDescription = $('meta[name="description"]').attr('content') || '';
+  const metaDescription = $('meta[name="description"]').attr('content') ||
+    $('meta[property="og:description"]').attr('content') || '';
   
   // Get main content (prioritize main content areas)
   const mainContent = $('main, article, .content, #content, .main').text().trim();
   
-  // Get headings
-  const headings = [];
-  $('h1, h2, h3').each((i, el) => {
-    const text = $(el).text().trim();
-    if (text) headings.push(text);
-  });
-  
-  // Get paragraphs
-  const paragraphs = [];
-  $('p').each((i, el) => {
-    const text = $(el).text().trim();
-    if (text) paragraphs.push(text);
-  });
+  // Get text content with reasonable limits
+  const getText = (selector, limit) => {
+    const results = [];
+    $(selector).each((i, el) => {
+      if (results.length >= limit) return false;
+      const text = $(el).text().trim();
+      if (text) results.push(text);
+    });
+    return results;
+  };
   
-  // Get links
+  // Get links, resolved against the page URL like a browser would
   const links = [];
   $('a').each((i, el) => {
+    if (links.length >= 30) return false;
     const href = $(el).attr('href');
     const text = $(el).text().trim();
-    if (href && text && !href.startsWith('#')) {
-      links.push({ href, text });
+    if (href && text && text.length > 3 && !href.startsWith('#')) {
+      let absoluteHref = href;
+      try {
+        absoluteHref = new URL(href, baseUrl).href;
+      } catch (e) {
+        // Keep the raw href if it can't be resolved
+      }
+      links.push({ href: absoluteHref, text });
     }
   });
   
   return {
     title,
     metaDescription,
-    mainContent: mainContent || $('body').text().trim(),
-    headings,
-    paragraphs,
+    mainContent: (mainContent || $('body').text().trim()).replace(/\s+/g, ' ').substring(0, 3000),
+    headings: [
+      ...getText('h1', 5),
+      ...getText('h2', 10),
+      ...getText('h3', 10)
+    ],
+    paragraphs: getText('p', 15),
     links
   };
 };
 
-// Updated website scraping function using Puppeteer
-async function scrapeWebsiteWithPuppeteer(url) {
-  let browser = null;
-  try {
-    console.log('Launching browser...');
-    
-    // Configure chromium for Render environment with balanced settings
-    const puppeteerConfig = {
-      headless: 'new', // Use new headless mode for better performance
-      defaultViewport: {
-        width: 1024, // Medium viewport for better content capture
-        height: 768,
-        deviceScaleFactor: 1,
-      },
-      executablePath: await chromium.executablePath(),
-      args: [
-        ...chromium.args,
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--no-zygote',
-        '--single-process',
-        '--disable-extensions',
-        '--disable-accelerated-2d-canvas',
-        '--disable-web-security',
-        '--disable-features=site-per-process',
-        '--window-size=1024,768'
-      ],
-      ignoreHTTPSErrors: true
-    };
+/**
+ * Fetch a page's HTML without a browser
+ * @param {string} url - Website URL
+ * @returns {Promise<Object>} - { html, finalUrl }
+ */
+async function fetchStaticPage(url) {
+  const response = await axios.get(url, {
+    timeout: 15000,
+    maxRedirects: 5,
+    responseType: 'text',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36',
+      'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8'
+    }
+  });
 
-    // Launch browser with puppeteer directly
-    browser = await puppeteer.launch(puppeteerConfig);
+  const contentType = response.headers['content-type'] || '';
+  if (!contentType.includes('html')) {
+    throw new Error(`Unexpected content type: ${contentType || 'unknown'}`);
+  }
 
-    console.log('Browser launched successfully');
-    const page = await browser.newPage();
-    
-    // Set viewport
-    await page.setViewport({ width: 1024, height: 768 });
-    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36');
+  return {
+    html: response.data,
+    finalUrl: response.request?.res?.responseUrl || url
+  };
+}
 
-    // Set reasonable timeouts
-    await page.setDefaultNavigationTimeout(30000);
-    
-    // Block only heavy resources but allow CSS and basic JS for better content rendering
-    await page.setRequestInterception(true);
-    page.on('request', (req) => {
-      const resourceType = req.resourceType();
-      if (resourceType === 'image' || resourceType === 'font' || resourceType === 'media' || 
-          resourceType === 'video' || resourceType === 'audio') {
-        req.abort();
-      } else {
-        req.continue();
-      }
-    });
+/**
+ * Decide whether server-rendered HTML is just a client-side app shell
+ * @param {string} html - Raw HTML from the static fetch
+ * @returns {string|null} - Reason the page needs a browser, or null if the HTML is usable
+ */
+const detectJavaScriptShell = (html) => {
+  const $ = cheerio.load(html);
+  const noscriptText = $('noscript').text().toLowerCase();
 
-    console.log('Navigating to URL:', url);
-    // Navigate with balanced wait conditions
-    await page.goto(url, {
-      waitUntil: 'domcontentloaded', // Wait for DOM content
-      timeout: 30000 // 30 second timeout
-    });
+  $('script, style, iframe, noscript, template').remove();
+  const bodyText = $('body').text().replace(/\s+/g, ' ').trim();
 
-    // Wait a short time for any critical JS to execute
-    await page.waitForTimeout(2000);
+  if (bodyText.length === 0) {
+    return 'empty body';
+  }
 
-    console.log('Page loaded, extracting content...');
-    
-    // Extract balanced content
-    const content = await page.evaluate(() => {
-      // Get meta content
-      const getMetaContent = (name) => {
-        const meta = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
-        return meta ? meta.getAttribute('content') : '';
+  const spaRoot = $('#root, #app, #__next, #__nuxt, #___gatsby, [data-reactroot], app-root').first();
+  if (spaRoot.length > 0 && spaRoot.text().trim().length < 50) {
+    return 'empty SPA root';
+  }
+
+  if (noscriptText.includes('enable javascript') || noscriptText.includes('javascript is required')) {
+    if (bodyText.length < 500) return 'noscript warning';
+  }
+
+  if (bodyText.length < 200) {
+    return 'too little text';
+  }
+
+  return null;
+};
+
+/**
+ * Scrape a website, trying a plain HTTP fetch first and only launching a
+ * browser when the page needs JavaScript to render
+ * @param {string} url - Website URL
+ * @returns {Promise<Object>} - Extracted content, with `scrapeStrategy` set to 'static' or 'puppeteer'
+ *   and `finalUrl` the page URL after redirects
+ */
+async function scrapeWebsite(url) {
+  let fallbackReason;
+  try {
+    const { html, finalUrl } = await fetchStaticPage(url);
+    fallbackReason = detectJavaScriptShell(html);
+
+    if (!fallbackReason) {
+      console.log('Static fetch succeeded, extracting content with cheerio');
+      return {
+        ...extractTextContent(html, finalUrl),
+        metadata: extractMetadata(html, finalUrl),
+        finalUrl,
+        scrapeStrategy: 'static'
       };
+    }
+
+    console.log(`Page looks like a JavaScript shell (${fallbackReason}), falling back to Puppeteer`);
+  } catch (error) {
+    fallbackReason = `static fetch failed: ${error.message}`;
+    console.warn('Static fetch failed, falling back to Puppeteer:', error.message);
+  }
+
+  const content = await scrapeWebsiteWithPuppeteer(url);
+  return { ...content, scrapeStrategy: 'puppeteer', fallbackReason };
+}
+
+// Launch a headless Chromium configured for the Render environment
+async function launchBrowser() {
+  // Configure chromium for Render environment with balanced settings
+  const puppeteerConfig = {
+    headless: 'new', // Use new headless mode for better performance
+    defaultViewport: {
+      width: 1024, // Medium viewport for better content capture
+      height: 768,
+      deviceScaleFactor: 1,
+    },
+    executablePath: await chromium.executablePath(),
+    args: [
+      ...chromium.args,
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--no-zygote',
+      '--disable-extensions',
+      '--disable-accelerated-2d-canvas',
+      '--disable-web-security',
+      '--disable-features=site-per-process',
+      '--window-size=1024,768'
+    ],
+    ignoreHTTPSErrors: true
+  };
+
+  // Launch browser with puppeteer directly
+  return puppeteer.launch(puppeteerConfig);
+}
+
+// Shared browsers reused across scrapes instead of launching Chromium per request
+const browserPool = new BrowserPool({
+  launch: launchBrowser,
+  maxBrowsers: parseInt(process.env.BROWSER_POOL_MAX_BROWSERS, 10) || 2,
+  maxPagesPerBrowser: parseInt(process.env.BROWSER_POOL_MAX_PAGES, 10) || 4,
+  maxUsesPerBrowser: parseInt(process.env.BROWSER_POOL_RECYCLE_AFTER, 10) || 50
+});
 
-      // Get text content with reasonable limits
-      const getText = (selector, limit = 10) => {
-        const elements = document.querySelectorAll(selector);
-        const results = [];
-        for (let i = 0; i < Math.min(elements.length, limit); i++) {
-          const text = elements[i].textContent.trim();
-          if (text.length > 0) results.push(text);
+// Updated website scraping function using Puppeteer
+async function scrapeWebsiteWithPuppeteer(url) {
+  try {
+    return await browserPool.withPage(async (page) => {
+      // Set viewport
+      await page.setViewport({ width: 1024, height: 768 });
+      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36');
+
+      // Set reasonable timeouts
+      await page.setDefaultNavigationTimeout(30000);
+      
+      // Block only heavy resources but allow CSS and basic JS for better content rendering
+      await page.setRequestInterception(true);
+      page.on('request', (req) => {
+        const resourceType = req.resourceType();
+        if (resourceType === 'image' || resourceType === 'font' || resourceType === 'media' || 
+            resourceType === 'video' || resourceType === 'audio') {
+          req.abort();
+        } else {
+          req.continue();
         }
-        return results;
-      };
+      });
 
-      // Get important links
-      const getLinks = (limit = 30) => {
-        const links = [];
-        const elements = document.querySelectorAll('a');
-        let count = 0;
+      console.log('Navigating to URL:', url);
+      // Navigate with balanced wait conditions
+      await page.goto(url, {
+        waitUntil: 'domcontentloaded', // Wait for DOM content
+        timeout: 30000 // 30 second timeout
+      });
+
+      // Wait a short time for any critical JS to execute
+      await page.waitForTimeout(2000);
+
+      console.log('Page loaded, extracting content...');
+    
+      // Extract balanced content
+      const content = await page.evaluate(() => {
+        // Get meta content
+        const getMetaContent = (name) => {
+          const meta = document.querySelector(`meta[name="${name}"], meta[property="${name}"]`);
+          return meta ? meta.getAttribute('content') : '';
+        };
+
+        // Get text content with reasonable limits
+        const getText = (selector, limit = 10) => {
+          const elements = document.querySelectorAll(selector);
+          const results = [];
+          for (let i = 0; i < Math.min(elements.length, limit); i++) {
+            const text = elements[i].textContent.trim();
+            if (text.length > 0) results.push(text);
+          }
+          return results;
+        };
+
+        // Get important links
+        const getLinks = (limit = 30) => {
+          const links = [];
+          const elements = document.querySelectorAll('a');
+          let count = 0;
         
-        for (let i = 0; i < elements.length && count < limit; i++) {
-          const a = elements[i];
-          const href = a.href;
-          const text = a.textContent.trim();
+          for (let i = 0; i < elements.length && count < limit; i++) {
+            const a = elements[i];
+            const href = a.href;
+            const text = a.textContent.trim();
           
-          if (href && text && text.length > 3 && !href.startsWith('#')) {
-            links.push({ href, text });
-            count++;
+            if (href && text && text.length > 3 && !href.startsWith('#')) {
+              links.push({ href, text });
+              count++;
+            }
           }
-        }
         
-        return links;
-      };
+          return links;
+        };
 
-      // Get main content with reasonable length
-      const getMainContent = () => {
-        // Try to get content from main content areas first
-        const mainElements = document.querySelectorAll('main, article, .content, #content, .main');
-        if (mainElements.length > 0) {
-          return Array.from(mainElements)
-            .map(el => el.textContent.trim())
-            .join(' ')
-            .substring(0, 3000); // 3000 chars is reasonable
-        }
+        // Get main content with reasonable length
+        const getMainContent = () => {
+          // Try to get content from main content areas first
+          const mainElements = document.querySelectorAll('main, article, .content, #content, .main');
+          if (mainElements.length > 0) {
+            return Array.from(mainElements)
+              .map(el => el.textContent.trim())
+              .join(' ')
+              .substring(0, 3000); // 3000 chars is reasonable
+          }
         
-        // Fallback to body text with limit
-        return document.body.innerText.substring(0, 3000);
-      };
+          // Fallback to body text with limit
+          return document.body.innerText.substring(0, 3000);
+        };
 
-      return {
-        title: document.title,
-        metaDescription: getMetaContent('description') || getMetaContent('og:description'),
-        mainContent: getMainContent(),
-        headings: [
-          ...getText('h1', 5),
-          ...getText('h2', 10),
-          ...getText('h3', 10)
-        ],
-        paragraphs: getText('p', 15),
-        links: getLinks(30)
-      };
-    });
+        return {
+          title: document.title,
+          metaDescription: getMetaContent('description') || getMetaContent('og:description'),
+          mainContent: getMainContent(),
+          headings: [
+            ...getText('h1', 5),
+            ...getText('h2', 10),
+            ...getText('h3', 10)
+          ],
+          paragraphs: getText('p', 15),
+          links: getLinks(30)
+        };
+      });
 
-    return content;
+      // Structured metadata (logo, Open Graph, JSON-LD, socials, contacts) from the rendered DOM
+      content.metadata = extractMetadata(await page.content(), page.url());
+      content.finalUrl = page.url();
+
+      return content;
+    });
   } catch (error) {
     console.error('Puppeteer scraping error:', error);
     throw error;
-  } finally {
-    if (browser) {
+  }
+}
+
+// Add "https://" when the user typed a bare domain
+const normalizeWebsiteUrl = (websiteUrl) => {
+  if (!websiteUrl.startsWith('http://') && !websiteUrl.startsWith('https://')) {
+    return 'https://' + websiteUrl;
+  }
+  return websiteUrl;
+};
+
+/**
+ * Scrape the home page, then crawl for its pricing/features/about/contact pages
+ * @param {string} url - Website URL
+ * @param {Object|null} crawlOptions - { maxPages, maxDepth }, or null to skip the crawl
+ * @returns {Promise<Object>} - Home page content with a `subpages` map
+ */
+async function scrapeWebsiteWithSubpages(url, crawlOptions) {
+  const content = await scrapeWebsite(url);
+  if (!crawlOptions) return content;
+
+  try {
+    // Links were resolved against the post-redirect URL (example.com -> www.example.com), so crawl that origin
+    const crawl = await crawlSite(content.finalUrl || url, content, { ...crawlOptions, scrapePage: scrapeWebsite });
+    console.log(`Crawled ${crawl.crawledUrls.length} additional pages`);
+
+    // Keep only the text fields GPT needs; links and metadata come from the home page
+    content.subpages = {};
+    Object.entries(crawl.pages).forEach(([type, page]) => {
+      content.subpages[type] = {
+        url: page.url,
+        title: page.content.title,
+        metaDescription: page.content.metaDescription,
+        headings: page.content.headings,
+        paragraphs: page.content.paragraphs,
+        mainContent: page.content.mainContent
+      };
+    });
+    content.crawl = {
+      // The budget, so the analysis cache knows which later requests this crawl can answer
+      maxPages: crawlOptions.maxPages,
+      maxDepth: crawlOptions.maxDepth,
+      crawledUrls: crawl.crawledUrls,
+      sitemapUrlCount: crawl.sitemapUrlCount,
+      skipped: crawl.skipped
+    };
+  } catch (error) {
+    // The home page alone is still enough for an analysis
+    console.error('Error crawling subpages:', error);
+  }
+
+  return content;
+}
+
+// What the analysis flow needs from this server (see services/websiteAnalysis.js)
+const analysisDeps = {
+  supabase,
+  llm,
+  scrapeSite: scrapeWebsiteWithSubpages,
+  captureAssets: ({ url, metadata, userId }) => captureWebsiteAssets({
+    supabase,
+    browserPool,
+    url,
+    metadata,
+    userId,
+    bucket: process.env.SUPABASE_ASSETS_BUCKET || 'website-assets'
+  }),
+  cacheTtlMs: (parseFloat(process.env.ANALYSIS_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000
+};
+
+// Background queue so callers don't have to hold the connection open for a scrape
+const scrapeQueue = new ScrapeQueue({
+  supabase,
+  processor: async (job) => {
+    const result = await scrapeAndAnalyzeWebsite(analysisDeps, job.website_url, job.website_name, job.user_id, job.options || {});
+    // A placeholder analysis (the LLM call failed) isn't worth the credits
+    const charged = job.options?.chargedCredits;
+    if (result.gptAnalysis.fallback && job.user_id && charged) {
       try {
-        await browser.close();
-        console.log('Browser closed successfully');
-      } catch (closeError) {
-        console.error('Error closing browser:', closeError);
+        await creditLedger.grant(job.user_id, charged, 'refund', job.id, { cause: 'analysis fell back' });
+      } catch (refundError) {
+        console.error(`Error refunding credits for scrape job ${job.id}:`, refundError);
       }
     }
+    return result;
+  },
+  concurrency: parseInt(process.env.SCRAPE_QUEUE_CONCURRENCY, 10) || 2,
+  maxAttempts: parseInt(process.env.SCRAPE_JOB_MAX_ATTEMPTS, 10) || 3,
+  backoffMs: parseInt(process.env.SCRAPE_JOB_BACKOFF_MS, 10) || 5000,
+  // Give back the credits charged when the job was queued
+  onFailed: async (job) => {
+    const charged = job.options?.chargedCredits;
+    if (job.user_id && charged) {
+      await creditLedger.grant(job.user_id, charged, 'refund', job.id, { cause: 'scrape job failed' });
+      console.log(`Refunded ${charged} credit(s) for failed scrape job ${job.id}`);
+    }
   }
-}
+});
+
+// Automated directory submissions (see services/submissionRunner.js).
+// SUBMISSION_ALLOW_FILE_URLS=true lets adapters point at local fixture forms; never enable it in production.
+const allowFileFormUrls = process.env.SUBMISSION_ALLOW_FILE_URLS === 'true';
+const submissionRunQueue = new SubmissionRunQueue({
+  supabase,
+  browserPool,
+  credentialVault,
+  concurrency: parseInt(process.env.SUBMISSION_RUN_CONCURRENCY, 10) || 1,
+  timeoutMs: parseInt(process.env.SUBMISSION_RUN_TIMEOUT_MS, 10) || 30000,
+  allowFileUrls: allowFileFormUrls,
+  // Give back the credits charged when the run was queued
+  onFailed: async (run) => {
+    if (run.user_id && run.charged_credits) {
+      await creditLedger.grant(run.user_id, run.charged_credits, 'refund', run.id, { cause: 'submission run failed' });
+      console.log(`Refunded ${run.charged_credits} credit(s) for failed submission run ${run.id}`);
+    }
+  }
+});
 
 // Update the scrape endpoint to use Puppeteer
-app.post('/api/scrape-website', async (req, res) => {
-  const { websiteUrl, websiteName, userId } = req.body;
+// Pass `async: true` in the body (or `?async=true`) to enqueue a job and poll
+// GET /api/scrape-jobs/:id instead of waiting for the result.
+app.post('/api/scrape-website', scrapeIpLimiter, requireAuth, scrapeUserLimiter, async (req, res) => {
+  const { websiteUrl, websiteName, crawl, captureAssets, analysisMode, force } = req.body;
+  // The owner always comes from the verified token, never from the body
+  const userId = req.user.id;
+  const runAsync = req.body.async === true || req.query.async === 'true';
   
   if (!websiteUrl) {
     return res.status(400).json({ 
@@ -298,75 +651,77 @@ app.post('/api/scrape-website', async (req, res) => {
     });
   }
   
-  // Set a timeout for the entire operation - increased to 90 seconds
-  const TIMEOUT_MS = 90000; // 90 seconds
-  let timeoutId;
-  
-  const timeoutPromise = new Promise((_, reject) => {
-    timeoutId = setTimeout(() => {
-      reject(new Error('Operation timed out after 90 seconds'));
-    }, TIMEOUT_MS);
-  });
-  
+  const url = normalizeWebsiteUrl(websiteUrl);
+  const cost = CREDIT_COSTS.analysis;
+
+  // Charge up front so concurrent requests can't overspend; refunded on failure
   try {
-    // Normalize URL
-    let url = websiteUrl;
-    if (!url.startsWith('http://') && !url.startsWith('https://')) {
-      url = 'https://' + url;
+    await creditLedger.debit(userId, cost, 'analysis', null, { websiteUrl: url });
+  } catch (error) {
+    if (error.code === INSUFFICIENT_CREDITS) {
+      return sendInsufficientCredits(res, error);
     }
-    
-    console.log('Attempting to scrape:', url);
-    
-    // Race between the scraping operation and the timeout
-    const content = await Promise.race([
-      scrapeWebsiteWithPuppeteer(url),
-      timeoutPromise
-    ]);
-    
-    // Clear the timeout if scraping completed successfully
-    clearTimeout(timeoutId);
-    
-    console.log('Content extracted, analyzing with GPT...');
-    
-    // Use GPT to analyze the content
-    const gptAnalysis = await analyzeWebsiteWithGPT(content, websiteName);
-    
-    console.log('GPT analysis complete');
+    console.error('Error debiting credits:', error);
+    return res.status(500).json({ error: 'Failed to charge credits', details: error.message });
+  }
 
-    // Store the results in the database if userId is provided
-    if (userId) {
-      try {
-        const { error } = await supabase
-          .from('website_content')
-          .insert([{
-            user_id: userId,
-            website_name: websiteName,
-            website_url: url,
-            content: content,
-            gpt_analysis: gptAnalysis,
-            relevant_directories: gptAnalysis?.suggestedDirectories?.length || 0
-          }]);
-
-        if (error) {
-          console.error('Error storing website content:', error);
-        }
-      } catch (dbError) {
-        console.error('Database error:', dbError);
-        // Continue even if database storage fails
-      }
+  const refundAnalysis = async (cause) => {
+    try {
+      await creditLedger.grant(userId, cost, 'refund', null, { websiteUrl: url, cause });
+    } catch (refundError) {
+      console.error('Error refunding credits:', refundError);
+    }
+  };
+
+  if (runAsync) {
+    try {
+      const job = await scrapeQueue.enqueue({
+        websiteUrl: url,
+        websiteName,
+        userId,
+        options: { crawl, captureAssets, analysisMode, force: force === true, chargedCredits: cost }
+      });
+      return res.status(202).json({
+        jobId: job.id,
+        status: job.status,
+        statusUrl: `/api/scrape-jobs/${job.id}`,
+        message: 'Website analysis queued'
+      });
+    } catch (error) {
+      console.error('Error queuing scrape job:', error);
+      await refundAnalysis('failed to queue');
+      return res.status(500).json({
+        error: 'Failed to queue website analysis',
+        details: error.message
+      });
+    }
+  }
+  
+  try {
+    const { content, gptAnalysis, submissionPrefill, cache } = await scrapeAndAnalyzeWebsite(analysisDeps, url, websiteName, userId, {
+      crawl,
+      captureAssets,
+      analysisMode,
+      force: force === true
+    });
+
+    // A placeholder analysis (the LLM call failed) isn't worth the credits
+    if (gptAnalysis.fallback) {
+      await refundAnalysis('analysis fell back');
     }
     
     // Return the scraped content and GPT analysis
     res.json({ 
       content,
       gptAnalysis,
+      scrapeStrategy: content.scrapeStrategy,
+      submissionPrefill,
+      cache,
       message: 'Website successfully analyzed'
     });
   } catch (error) {
-    // Clear the timeout if there was an error
-    clearTimeout(timeoutId);
-    
     console.error('Error details:', error);
+    await refundAnalysis(error.message);
     
     // Return a more user-friendly error message
     if (error.message.includes('timed out')) {
@@ -385,359 +740,593 @@ app.post('/api/scrape-website', async (req, res) => {
   }
 });
 
-// Function to analyze website content with GPT
-async function analyzeWebsiteWithGPT(content, websiteName) {
+// Current credit balance and transaction history for the signed-in user
+app.get('/api/credits', requireAuth, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+
   try {
-    // Create a more structured content summary with all available information
-    const contentSummary = `
-      Website Name: ${websiteName || 'Unknown'}
-      Website Title: ${content.title || 'No title found'}
-      Meta Description: ${content.metaDescription || 'No meta description found'}
-      
-      Main Headings:
-      ${content.headings.slice(0, 5).join('\n') || 'No headings found'}
-      
-      Content Sample:
-      ${content.paragraphs.slice(0, 3).join('\n') || 'No paragraphs found'}
-      
-      Key Links:
-      ${content.links.slice(0, 5).map(l => `${l.text} (${l.href})`).join('\n') || 'No links found'}
-      
-      Main Content Excerpt:
-      ${content.mainContent?.substring(0, 500) || 'No main content found'}
-    `;
-    
-    const prompt = `
-      You are analyzing a website to create directory listings that will drive traffic and increase visibility.
-      
-      Website Information:
-      ${contentSummary}
-      
-      Based on this information, provide:
-      
-      1. Description: Write a compelling 2-3 sentence description that clearly explains what the website offers, its value proposition, and target audience. Make it persuasive and SEO-friendly.
-      
-      2. Categories: Identify exactly 3 specific, relevant categories that best represent this website for directory listings. Choose from common directory categories like: Business, Technology, Health, Education, Finance, E-commerce, Marketing, AI/ML, SaaS, Productivity, Entertainment, Social Media, etc.
-      
-      3. Features: List 3 specific, standout features or benefits that would attract users to this website. Be concrete and specific, not generic.
-      
-      Format your response as clean JSON:
-      {
-        "description": "Your compelling description here.",
-        "categories": ["Primary Category", "Secondary Category", "Tertiary Category"],
-        "features": ["Specific Feature 1", "Specific Feature 2", "Specific Feature 3"]
-      }
-    `;
-    
-    const response = await openai.chat.completions.create({
-      model: "gpt-4o-mini", // Using gpt-4o-mini for better quality
-      messages: [
-        { 
-          role: "system", 
-          content: "You are an expert SEO and directory listing specialist. Your task is to analyze websites and create compelling, accurate directory listings that will drive traffic and increase visibility. Focus on being specific, accurate, and persuasive."
-        },
-        { role: "user", content: prompt }
-      ],
-      response_format: { type: "json_object" },
-      temperature: 0.5, // Slightly higher temperature for more creative descriptions
-      max_tokens: 500 // Allow more tokens for better quality
+    const [balance, transactions] = await Promise.all([
+      creditLedger.getBalance(req.user.id),
+      creditLedger.getTransactions(req.user.id, { limit, offset })
+    ]);
+
+    res.json({ balance, transactions, costs: CREDIT_COSTS, limit, offset });
+  } catch (error) {
+    console.error('Error fetching credits:', error);
+    res.status(500).json({ error: 'Failed to fetch credits', details: error.message });
+  }
+});
+
+// Get the status (and result, once completed) of a queued scrape job
+app.get('/api/scrape-jobs/:id', requireAuth, async (req, res) => {
+  try {
+    const job = await scrapeQueue.getJob(req.params.id);
+
+    // Don't reveal whether other users' jobs exist
+    if (!job || !isOwnerOrAdmin(req.user, job.user_id)) {
+      return res.status(404).json({ error: 'Scrape job not found' });
+    }
+
+    res.json({
+      jobId: job.id,
+      status: job.status,
+      websiteUrl: job.website_url,
+      attempts: job.attempts,
+      maxAttempts: job.max_attempts,
+      result: job.status === JOB_STATUS.COMPLETED ? job.result : null,
+      error: job.error,
+      createdAt: job.created_at,
+      completedAt: job.completed_at
     });
-    
-    const analysis = JSON.parse(response.choices[0].message.content);
-    
-    // Ensure we have valid data in each field
-    return {
-      description: analysis.description || "A website offering digital services and solutions.",
-      categories: Array.isArray(analysis.categories) && analysis.categories.length > 0 
-        ? analysis.categories.slice(0, 3) 
-        : ["Technology", "Business", "Internet"],
-      features: Array.isArray(analysis.features) && analysis.features.length > 0 
-        ? analysis.features.slice(0, 3) 
-        : ["User-friendly interface", "Digital solutions", "Online services"],
-      analysisDate: new Date().toISOString(),
-      suggestedDirectories: 467 // Adding a fixed number for relevant directories
-    };
   } catch (error) {
-    console.error('Error analyzing with GPT:', error);
-    // Return fallback data if analysis fails
-    return {
-      description: `${websiteName || 'This website'} provides digital services and solutions for online users.`,
-      categories: ["Technology", "Internet", "Business"],
-      features: ["User-friendly interface", "Digital solutions", "Online services"],
-      analysisDate: new Date().toISOString(),
-      suggestedDirectories: 467
-    };
+    console.error('Error fetching scrape job:', error);
+    res.status(500).json({
+      error: 'Failed to fetch scrape job',
+      details: error.message
+    });
   }
-}
+});
+
+// Browser pool health and metrics
+app.get('/api/browser-pool/health', requireAdmin, (req, res) => {
+  const stats = browserPool.getStats();
+  res.status(stats.healthy ? 200 : 503).json(stats);
+});
+
+// List directories in the catalog, optionally filtered
+app.get('/api/directories', requireAuth, async (req, res) => {
+  const { category, linkType, pricing, includeInactive } = req.query;
 
-/**
- * Syncs data from Supabase to Airtable
- * @param {string} tableKey - Key of the table in TABLE_MAPPINGS
- * @param {Date} lastSyncTime - Last sync timestamp
- * @returns {Promise<Date>} - New sync timestamp
- */
-async function syncToAirtable(tableKey, lastSyncTime) {
-  const mapping = TABLE_MAPPINGS[tableKey];
-  const { supabaseTable, airtableTable, keyField, fields } = mapping;
-  
-  console.log(`Starting sync for ${supabaseTable} to Airtable...`);
-  
   try {
-    // Get records from Supabase that were updated since lastSyncTime
     let query = supabase
-      .from(supabaseTable)
-      .select(fields.join(','));
-    
-    if (lastSyncTime) {
-      // Only get records updated since last sync
-      query = query.gte('updated_at', lastSyncTime.toISOString());
-    }
-    
-    const { data: records, error } = await query;
-    
-    if (error) {
-      console.error(`Error fetching ${supabaseTable} records:`, error);
-      return lastSyncTime;
-    }
-    
-    console.log(`Found ${records.length} records to sync to Airtable`);
-    
-    // Process records in batches of 10 (Airtable API limit)
-    for (let i = 0; i < records.length; i += 10) {
-      const batch = records.slice(i, i + 10);
-      await processAirtableBatch(airtableTable, batch, keyField);
-    }
-    
-    return new Date(); // Return current time as new sync time
+      .from('directories')
+      .select('*')
+      .order('domain_authority', { ascending: false });
+
+    if (includeInactive !== 'true' || !req.user.isAdmin) query = query.eq('is_active', true);
+    if (category) query = query.contains('categories', [category]);
+    if (linkType) query = query.eq('link_type', linkType);
+    if (pricing) query = query.eq('pricing', pricing);
+
+    const { data: directories, error } = await query;
+    if (error) throw error;
+
+    res.json({ directories, count: directories.length });
   } catch (error) {
-    console.error(`Error syncing ${supabaseTable} to Airtable:`, error);
-    return lastSyncTime;
+    console.error('Error listing directories:', error);
+    res.status(500).json({ error: 'Failed to list directories', details: error.message });
   }
-}
+});
 
-/**
- * Process a batch of records for Airtable
- * @param {string} airtableTable - Airtable table name
- * @param {Array} records - Array of records to process
- * @param {string} keyField - Field to use for identifying records
- */
-async function processAirtableBatch(airtableTable, records, keyField) {
-  try {
-    // For each record in the batch, check if it exists in Airtable
-    for (const record of records) {
-      // Convert arrays to strings for Airtable
-      const preparedRecord = {};
-      for (const [key, value] of Object.entries(record)) {
-        if (Array.isArray(value)) {
-          preparedRecord[key] = JSON.stringify(value);
-        } else {
-          preparedRecord[key] = value;
-        }
-      }
-      
-      // Try to find existing record in Airtable
-      const existingRecords = await airtableBase(airtableTable)
-        .select({
-          filterByFormula: `{${keyField}} = "${record[keyField]}"`,
-          maxRecords: 1
-        })
-        .firstPage();
-      
-      if (existingRecords && existingRecords.length > 0) {
-        // Update existing record
-        await airtableBase(airtableTable).update(existingRecords[0].id, preparedRecord);
-        console.log(`Updated record ${record[keyField]} in Airtable`);
-      } else {
-        // Create new record
-        await airtableBase(airtableTable).create(preparedRecord);
-        console.log(`Created record ${record[keyField]} in Airtable`);
-      }
-    }
+// Add a directory to the catalog
+app.post('/api/directories', requireAdmin, async (req, res) => {
+  const { directory, errors } = validateDirectoryInput(req.body, { allowFileUrls: allowFileFormUrls });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid directory', details: errors });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('directories')
+      .insert([directory])
+      .select()
+      .single();
+
+    if (error) throw error;
+    res.status(201).json({ directory: data });
   } catch (error) {
-    console.error('Error processing Airtable batch:', error);
-    throw error;
+    console.error('Error creating directory:', error);
+    res.status(500).json({ error: 'Failed to create directory', details: error.message });
   }
-}
+});
 
-// Store last sync times
-let lastSyncTimes = {
-  payments: null,
-  product_submissions: null
-};
+// Update a directory in the catalog
+app.put('/api/directories/:id', requireAdmin, async (req, res) => {
+  const { directory, errors } = validateDirectoryInput(req.body, { partial: true, allowFileUrls: allowFileFormUrls });
+  if (errors.length > 0) {
+    return res.status(400).json({ error: 'Invalid directory', details: errors });
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('directories')
+      .update({ ...directory, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Directory not found' });
+
+    res.json({ directory: data });
+  } catch (error) {
+    console.error('Error updating directory:', error);
+    res.status(500).json({ error: 'Failed to update directory', details: error.message });
+  }
+});
+
+// Deactivate a directory (kept for the history of past submissions)
+app.delete('/api/directories/:id', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('directories')
+      .update({ is_active: false, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) return res.status(404).json({ error: 'Directory not found' });
+
+    res.json({ message: 'Directory deactivated', directory: data });
+  } catch (error) {
+    console.error('Error deactivating directory:', error);
+    res.status(500).json({ error: 'Failed to deactivate directory', details: error.message });
+  }
+});
+
+// Rank the catalog for a set of categories
+app.post('/api/directories/match', requireAuth, async (req, res) => {
+  const { categories, limit, minScore } = req.body;
+
+  if (!Array.isArray(categories) || categories.length === 0) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      details: 'categories must be a non-empty array'
+    });
+  }
+
+  try {
+    const directories = await matchDirectories(supabase, { categories }, {
+      limit: parseInt(limit, 10) || undefined,
+      minScore: minScore !== undefined ? Number(minScore) : undefined
+    });
+    res.json({ directories, count: directories.length });
+  } catch (error) {
+    console.error('Error matching directories:', error);
+    res.status(500).json({ error: 'Failed to match directories', details: error.message });
+  }
+});
+
+// Supabase ⇄ Airtable sync with persisted cursors (see services/airtableSync.js)
+const airtableSync = new AirtableSync({
+  supabase,
+  base: airtableBase,
+  mappings: TABLE_MAPPINGS,
+  throttle: new RequestThrottle({
+    name: 'Airtable',
+    minIntervalMs: parseInt(process.env.AIRTABLE_MIN_REQUEST_INTERVAL_MS, 10) || 250
+  }),
+  loadSchema: () => fetchBaseSchema({ apiKey: AIRTABLE_API_KEY, baseId: AIRTABLE_BASE_ID }),
+  // Status edits made in Airtable get the same validation, history and emails as the API
+  onStatusChange: async ({ id, newStatus, previousStatus, note }) => {
+    if (normalizeStatus(newStatus) && normalizeStatus(newStatus) === normalizeStatus(previousStatus)) return;
+    await applySubmissionStatusChange({
+      submissionId: id,
+      newStatus,
+      note,
+      actor: { id: null, role: 'airtable' },
+      source: 'airtable'
+    });
+  }
+});
 
 // Setup cron job to sync every 5 minutes
 cron.schedule('*/5 * * * *', async () => {
   console.log('Running scheduled sync with Airtable...');
-  
-  // Sync each table
-  for (const tableKey of Object.keys(TABLE_MAPPINGS)) {
-    lastSyncTimes[tableKey] = await syncToAirtable(tableKey, lastSyncTimes[tableKey]);
+  await sealPlaintextCredentials();
+
+  try {
+    await airtableSync.syncAll({ trigger: 'cron' });
+  } catch (error) {
+    if (error.code === SYNC_ERRORS.LOCKED) {
+      console.log('Skipping scheduled Airtable sync: another sync is running');
+      return;
+    }
+    console.error('Error during scheduled Airtable sync:', error);
   }
-  
-  console.log('Sync completed');
 });
 
 // Add API endpoint to manually trigger a sync
-app.post('/api/sync-airtable', async (req, res) => {
+app.post('/api/sync-airtable', requireAdmin, async (req, res) => {
   try {
-    for (const tableKey of Object.keys(TABLE_MAPPINGS)) {
-      lastSyncTimes[tableKey] = await syncToAirtable(tableKey, lastSyncTimes[tableKey]);
-    }
-    res.json({ success: true, message: 'Sync with Airtable completed' });
+    const results = await airtableSync.syncAll({ trigger: 'manual' });
+    res.json({ success: true, message: 'Sync with Airtable completed', results });
   } catch (error) {
+    if (error.code === SYNC_ERRORS.LOCKED) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
     console.error('Error during manual sync:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Last run, counts, cursor and errors per synced table
+app.get('/api/sync-airtable/status', requireAdmin, async (req, res) => {
+  try {
+    res.json(await airtableSync.getStatus());
+  } catch (error) {
+    console.error('Error fetching Airtable sync status:', error);
+    res.status(500).json({ error: 'Failed to fetch sync status', details: error.message });
+  }
+});
+
+// Lemon Squeezy order webhooks: record payments, grant/revoke credits, confirm by email
+app.post('/api/webhooks/lemonsqueezy', async (req, res) => {
+  const signature = req.get('X-Signature');
+
+  if (!verifySignature(req.rawBody, signature, process.env.LEMONSQUEEZY_WEBHOOK_SECRET)) {
+    console.warn('Rejected Lemon Squeezy webhook with invalid signature');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const result = await handleLemonSqueezyWebhook(
+      { supabase, creditLedger, emailOutbox },
+      req.body,
+      req.rawBody
+    );
+    console.log('Processed Lemon Squeezy webhook:', req.body.meta?.event_name, result);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    // A 500 makes Lemon Squeezy retry the delivery
+    console.error('Error processing Lemon Squeezy webhook:', error);
+    res.status(500).json({ error: 'Failed to process webhook', details: error.message });
+  }
+});
+
+// Resend delivery webhooks: track per-message state and suppress bouncing addresses
+app.post('/api/webhooks/resend', async (req, res) => {
+  const headers = {
+    id: req.get('svix-id'),
+    timestamp: req.get('svix-timestamp'),
+    signature: req.get('svix-signature')
+  };
+
+  if (!verifySvixSignature(req.rawBody, headers, process.env.RESEND_WEBHOOK_SECRET)) {
+    console.warn('Rejected Resend webhook with invalid signature');
+    return res.status(401).json({ error: 'Invalid signature' });
+  }
+
+  try {
+    const result = await handleResendWebhook({ supabase, emailOutbox }, req.body, headers.id);
+    console.log('Processed Resend webhook:', req.body.type, result);
+    res.json({ received: true, ...result });
+  } catch (error) {
+    // A 500 makes Resend retry the delivery
+    console.error('Error processing Resend webhook:', error);
+    res.status(500).json({ error: 'Failed to process webhook', details: error.message });
+  }
+});
+
+// Outbox messages, newest first (?status=failed&to=...)
+app.get('/api/email-outbox', requireAdmin, async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+  const offset = parseInt(req.query.offset, 10) || 0;
+
+  try {
+    const messages = await emailOutbox.listMessages({ status: req.query.status, to: req.query.to, limit, offset });
+    res.json({ messages, limit, offset });
+  } catch (error) {
+    console.error('Error fetching email outbox:', error);
+    res.status(500).json({ error: 'Failed to fetch email outbox', details: error.message });
+  }
+});
+
+app.get('/api/email-outbox/:id', requireAdmin, async (req, res) => {
+  try {
+    const message = await emailOutbox.getMessage(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'Email not found' });
+    }
+    res.json(message);
+  } catch (error) {
+    console.error('Error fetching email:', error);
+    res.status(500).json({ error: 'Failed to fetch email', details: error.message });
+  }
+});
+
+// Allow a suppressed address to receive email again
+app.delete('/api/email-suppressions/:email', requireAdmin, async (req, res) => {
+  try {
+    const removed = await emailOutbox.unsuppress(req.params.email);
+    if (!removed) {
+      return res.status(404).json({ error: 'Address is not suppressed' });
+    }
+    res.json({ message: 'Suppression removed', email: req.params.email });
+  } catch (error) {
+    console.error('Error removing email suppression:', error);
+    res.status(500).json({ error: 'Failed to remove suppression', details: error.message });
+  }
+});
+
+// Clients can send an Idempotency-Key header so retried requests don't email twice
+const idempotencyKey = (req, scope) => {
+  const key = req.get('Idempotency-Key');
+  return key ? `${scope}:${req.user.id}:${key}` : null;
+};
+
 // Add email sending endpoints
-app.post('/api/send-submission-email', async (req, res) => {
-  const { email, productName } = req.body;
+app.post('/api/send-submission-email', requireAuth, async (req, res) => {
+  const { productName, locale } = req.body;
+  // Users can only email themselves; admins may send on a user's behalf
+  const email = req.user.isAdmin && req.body.email ? req.body.email : req.user.email;
 
   try {
-    const { data, error } = await resend.emails.send({
-      from: 'BacklinkBot <noreply@backlinkbotai.com>',
+    const message = await emailOutbox.enqueue({
       to: email,
-      subject: 'Your Website Submission Received',
-      html: `
-        <h1>Thank you for submitting ${productName}!</h1>
-        <p>We have received your website submission and will begin processing it shortly.</p>
-        <p>You will receive another email once your submission is ready for directory listings.</p>
-        <br>
-        <p>Best regards,</p>
-        <p>The BacklinkBot Team</p>
-      `,
+      template: 'submission_received',
+      data: { productName },
+      locale,
+      userId: req.user.id,
+      dedupeKey: idempotencyKey(req, 'submission_received')
     });
 
-    if (error) {
-      console.error('Email error:', error);
-      return res.status(400).json({ error });
-    }
-
-    res.status(200).json({ data });
+    res.status(202).json({ data: { id: message.id, status: message.status, duplicate: Boolean(message.duplicate) } });
   } catch (error) {
-    console.error('Server error:', error);
-    res.status(500).json({ error: 'Failed to send email' });
+    console.error('Email error:', error);
+    res.status(500).json({ error: 'Failed to queue email', details: error.message });
   }
 });
 
-app.post('/api/send-credit-used-email', async (req, res) => {
-  const { email, productName, plan } = req.body;
+app.post('/api/send-credit-used-email', requireAuth, async (req, res) => {
+  const { productName, plan, locale } = req.body;
+  // Users can only email themselves; admins may send on a user's behalf
+  const email = req.user.isAdmin && req.body.email ? req.body.email : req.user.email;
 
   try {
-    const { data, error } = await resend.emails.send({
-      from: 'BacklinkBot <noreply@backlinkbotai.com>',
+    const message = await emailOutbox.enqueue({
       to: email,
-      subject: 'Directory Submission Process Started',
-      html: `
-        <h1>Directory Submission Process Started for ${productName}</h1>
-        <p>We've started the directory submission process for your website using your ${plan} credit.</p>
-        <p>Here's what happens next:</p>
-        <ul>
-          <li>Our system will begin submitting your website to relevant directories</li>
-          <li>You'll receive progress updates as submissions are completed</li>
-          <li>A final report will be sent once all submissions are done</li>
-        </ul>
-        <br>
-        <p>Best regards,</p>
-        <p>The BacklinkBot Team</p>
-      `,
+      template: 'credit_used',
+      data: { productName, plan },
+      locale,
+      userId: req.user.id,
+      dedupeKey: idempotencyKey(req, 'credit_used')
     });
 
-    if (error) {
-      console.error('Email error:', error);
-      return res.status(400).json({ error });
+    res.status(202).json({ data: { id: message.id, status: message.status, duplicate: Boolean(message.duplicate) } });
+  } catch (error) {
+    console.error('Email error:', error);
+    res.status(500).json({ error: 'Failed to queue email', details: error.message });
+  }
+});
+
+// Notification preferences for the signed-in user
+app.get('/api/notification-preferences', requireAuth, async (req, res) => {
+  try {
+    const preferences = await getPreferences(supabase, req.user.id);
+    res.json({ preferences, optionalCategories: OPTIONAL_CATEGORIES });
+  } catch (error) {
+    console.error('Error fetching notification preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch notification preferences', details: error.message });
+  }
+});
+
+app.put('/api/notification-preferences', requireAuth, async (req, res) => {
+  try {
+    const preferences = await updatePreferences(supabase, req.user.id, req.body);
+    res.json({ preferences });
+  } catch (error) {
+    if (error.code === 'INVALID_PREFERENCES') {
+      return res.status(400).json({ error: 'Invalid preferences', details: error.message });
     }
+    console.error('Error updating notification preferences:', error);
+    res.status(500).json({ error: 'Failed to update notification preferences', details: error.message });
+  }
+});
+
+const CATEGORY_LABELS = {
+  progress_updates: 'submission progress updates',
+  feedback_requests: 'feedback requests',
+  marketing: 'reminders about unfinished submissions'
+};
+
+const unsubscribePage = (title, message, form = '') => `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family: Arial, Helvetica, sans-serif; max-width: 480px; margin: 64px auto; padding: 0 16px; color: #222;">
+<h1 style="font-size: 22px;">${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+${form}
+</body>
+</html>`;
 
-    res.status(200).json({ data });
+// Unsubscribe link from an email: confirm before changing anything, since link scanners follow GETs
+app.get('/api/notifications/unsubscribe', (req, res) => {
+  const token = verifyUnsubscribeToken(req.query.token);
+  if (!token) {
+    return res.status(400).type('html').send(unsubscribePage('Invalid link', 'This unsubscribe link is invalid or has been changed.'));
+  }
+
+  res.type('html').send(unsubscribePage(
+    'Unsubscribe',
+    `Stop receiving ${CATEGORY_LABELS[token.category]} from BacklinkBot? You'll still get emails about payments and anything that needs your action.`,
+    `<form method="post" action="?token=${encodeURIComponent(req.query.token)}">
+<button type="submit" style="background-color: #4CAF50; color: white; padding: 10px 20px; border: 0; border-radius: 5px; cursor: pointer;">Unsubscribe</button>
+</form>`
+  ));
+});
+
+// One-click unsubscribe (RFC 8058 List-Unsubscribe-Post) and the confirmation form
+app.post('/api/notifications/unsubscribe', express.urlencoded({ extended: false }), async (req, res) => {
+  const token = verifyUnsubscribeToken(req.query.token || req.body?.token);
+  if (!token) {
+    return res.status(400).type('html').send(unsubscribePage('Invalid link', 'This unsubscribe link is invalid or has been changed.'));
+  }
+
+  try {
+    await updatePreferences(supabase, token.userId, { [token.category]: false });
+    console.log(`User ${token.userId} unsubscribed from ${token.category}`);
+    res.type('html').send(unsubscribePage(
+      'You have been unsubscribed',
+      `You will no longer receive ${CATEGORY_LABELS[token.category]}. You can turn them back on in your notification settings.`
+    ));
   } catch (error) {
-    console.error('Server error:', error);
-    res.status(500).json({ error: 'Failed to send email' });
+    console.error('Error processing unsubscribe:', error);
+    res.status(500).type('html').send(unsubscribePage('Something went wrong', 'We could not update your preferences. Please try again later.'));
   }
 });
 
-// Email templates for different status notifications
-const EMAIL_TEMPLATES = {
-  verifying: {
-    subject: 'Your Product Submission is Being Verified',
-    html: (productName) => `
-      <h1>Your Product Submission is Being Verified</h1>
-      <p>Hello,</p>
-      <p>We wanted to let you know that your product submission "${productName}" is currently being verified by our team.</p>
-      <p>We'll review all the details you've provided and get back to you soon with the next steps.</p>
-      <p>Thank you for your patience!</p>
-      <p>Best regards,<br>The BacklinkBot Team</p>
-    `
-  },
-  'in progress': {
-    subject: 'Your Product Submission is In Progress',
-    html: (productName) => `
-      <h1>Your Product Submission is In Progress</h1>
-      <p>Hello,</p>
-      <p>We're currently processing your product submission "${productName}".</p>
-      <p>Our team is working on reviewing and preparing your submission. We'll keep you updated on any developments.</p>
-      <p>Thank you for your patience!</p>
-      <p>Best regards,<br>The BacklinkBot Team</p>
-    `
-  },
-  done: {
-    subject: 'Your Product Submission Process is Complete',
-    html: (productName) => `
-      <h1>Product Submission Process Complete</h1>
-      <p>Hello,</p>
-      <p>We've completed processing your product submission "${productName}".</p>
-      <p>You can now view the final status and details in your dashboard.</p>
-      <p>Thank you for working with us!</p>
-      <p>Best regards,<br>The BacklinkBot Team</p>
-    `
-  },
-  feedback1: {
-    subject: 'Feedback Required for Your Product Submission',
-    html: (productName) => `
-      <h1>Feedback Required for Your Product Submission</h1>
-      <p>Hello,</p>
-      <p>We've reviewed your product submission "${productName}" and need some additional information or clarification.</p>
-      <p>Please check your dashboard for specific feedback points that need to be addressed.</p>
-      <p>Thank you for your cooperation!</p>
-      <p>Best regards,<br>The BacklinkBot Team</p>
-    `
-  },
-  pending: {
-    subject: 'Product Submission Pending Review',
-    html: (productName) => `
-      <h1>Your Product Submission is Pending Review</h1>
-      <p>Hello,</p>
-      <p>Your product submission "${productName}" is currently pending review by our team.</p>
-      <p>We'll begin the review process shortly and notify you of any updates.</p>
-      <p>Thank you for your patience!</p>
-      <p>Best regards,<br>The BacklinkBot Team</p>
-    `
-  },
-  approved: {
-    subject: 'Congratulations! Your Product Has Been Approved',
-    html: (productName) => `
-      <h1>Your Product Has Been Approved! 🎉</h1>
-      <p>Hello,</p>
-      <p>Great news! Your product "${productName}" has been approved and is now live on our platform.</p>
-      <p>Thank you for choosing to list your product with us.</p>
-      <p>Best regards,<br>The BacklinkBot Team</p>
-    `
-  },
-  rejected: {
-    subject: 'Update on Your Product Submission',
-    html: (productName) => `
-      <h1>Update on Your Product Submission</h1>
-      <p>Hello,</p>
-      <p>We've carefully reviewed your product submission "${productName}" and regret to inform you that we cannot approve it at this time.</p>
-      <p>If you'd like to understand more about this decision or submit a revised application, please reach out to our support team.</p>
-      <p>Best regards,<br>The BacklinkBot Team</p>
-    `
+// Lifecycle email campaigns and how many emails each has sent
+app.get('/api/campaigns', requireAdmin, async (req, res) => {
+  try {
+    const campaigns = await campaignScheduler.getSummary();
+    res.json({ campaigns, config: campaignScheduler.config, lastRun: campaignScheduler.lastRun });
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    res.status(500).json({ error: 'Failed to fetch campaigns', details: error.message });
+  }
+});
+
+// Run a campaign now instead of waiting for the schedule
+app.post('/api/campaigns/:name/run', requireAdmin, async (req, res) => {
+  try {
+    const result = await campaignScheduler.run(req.params.name);
+    res.json({ campaign: req.params.name, ...result });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_CAMPAIGN') {
+      return res.status(404).json({ error: 'Campaign not found', details: error.message });
+    }
+    console.error(`Error running ${req.params.name} campaign:`, error);
+    res.status(500).json({ error: 'Failed to run campaign', details: error.message });
+  }
+});
+
+// List email templates and their locales
+app.get('/api/email-templates', requireAdmin, (req, res) => {
+  res.json({ templates: listTemplates(), locales: SUPPORTED_LOCALES });
+});
+
+// Render a template with sample data (?locale=es&format=html|text|json)
+app.get('/api/email-templates/:name/preview', requireAdmin, (req, res) => {
+  const { locale, format = 'html' } = req.query;
+
+  try {
+    const email = renderPreview(req.params.name, { locale });
+
+    if (format === 'json') return res.json(email);
+    if (format === 'text') return res.type('text/plain').send(email.text);
+    res.type('html').send(email.html);
+  } catch (error) {
+    if (error.code === 'UNKNOWN_TEMPLATE') {
+      return res.status(404).json({ error: 'Email template not found', details: error.message });
+    }
+    console.error('Error rendering email preview:', error);
+    res.status(500).json({ error: 'Failed to render email preview', details: error.message });
+  }
+});
+
+/**
+ * Change a submission's status and notify the owner by email.
+ * Shared by the status endpoint and anything else that moves submissions along.
+ * @param {Object} change - { submissionId, newStatus, actor, note, source, feedbackItems }
+ * @returns {Promise<Object>} - { submission, previousStatus, historyEntry, feedbackItems, emailOutboxId }
+ */
+async function applySubmissionStatusChange({ feedbackItems: newFeedback = [], ...change }) {
+  console.log(`Processing status update for submission ${change.submissionId} to ${change.newStatus}`);
+
+  const result = await changeSubmissionStatus(supabase, change);
+  const { submission } = result;
+  const newStatus = submission.status;
+
+  let feedbackItems = [];
+  if (newFeedback.length) {
+    try {
+      feedbackItems = await createFeedbackItems(supabase, {
+        submissionId: submission.id,
+        historyId: result.historyEntry?.id,
+        items: newFeedback,
+        createdBy: change.actor?.id
+      });
+    } catch (feedbackError) {
+      // Keep going so the user is still notified, with the items we were given
+      console.error('Error storing feedback items:', feedbackError);
+      feedbackItems = newFeedback;
+    }
+  }
+
+  console.log('Status updated successfully:', {
+    id: submission.id,
+    product_name: submission.product_name,
+    from: result.previousStatus,
+    to: newStatus
+  });
+
+  let emailOutboxId = null;
+
+  // Queue the email notification for the new status
+  if (!submission.email_user) {
+    console.warn('No email_user found for submission:', submission.id);
+  } else {
+    try {
+      const message = await emailOutbox.enqueue({
+        to: submission.email_user,
+        template: statusTemplateName(newStatus),
+        data: { productName: submission.product_name, feedbackItems },
+        locale: submission.locale,
+        userId: submission.user_id,
+        // One email per status change, however often this change is replayed
+        dedupeKey: result.historyEntry
+          ? `submission_status:${result.historyEntry.id}`
+          : `submission_status:${submission.id}:${newStatus}:${submission.updated_at}`
+      });
+      emailOutboxId = message.id;
+    } catch (emailError) {
+      console.error('Failed to queue status email:', emailError);
+      // Don't throw error here, just log it
+    }
+  }
+
+  return { ...result, feedbackItems, emailOutboxId };
+}
+
+// Map status-change errors to HTTP responses
+const sendStatusChangeError = (res, error) => {
+  switch (error.code) {
+    case STATUS_ERRORS.NOT_FOUND:
+      return res.status(404).json({ error: 'Product submission not found' });
+    case STATUS_ERRORS.INVALID_STATUS:
+    case STATUS_ERRORS.INVALID_TRANSITION:
+      return res.status(400).json({ error: 'Invalid status change', details: error.message });
+    case STATUS_ERRORS.CONFLICT:
+      return res.status(409).json({ error: 'Status conflict', details: error.message });
+    case FEEDBACK_ERRORS.INVALID_FEEDBACK:
+      return res.status(400).json({ error: 'Invalid feedback', details: error.message });
+    case FEEDBACK_ERRORS.UNANSWERED_FEEDBACK:
+      return res.status(422).json({ error: 'Unanswered feedback', details: error.message, items: error.details });
+    default:
+      console.error('Error in status update endpoint:', error);
+      return res.status(500).json({ 
+        error: 'Failed to update status',
+        details: error.message
+      });
   }
 };
 
 // Endpoint to handle product submission status changes
-app.post('/api/product-submissions/status', async (req, res) => {
-  const { submissionId, newStatus } = req.body;
+app.post('/api/product-submissions/status', requireAdmin, async (req, res) => {
+  const { submissionId, newStatus, note, feedback } = req.body;
   
   if (!submissionId || !newStatus) {
     return res.status(400).json({ 
@@ -746,93 +1335,364 @@ app.post('/api/product-submissions/status', async (req, res) => {
     });
   }
 
+  const { items: feedbackItems, errors: feedbackErrors } = validateFeedbackItems(feedback);
+  if (feedbackErrors.length) {
+    return res.status(400).json({ error: 'Invalid feedback', details: feedbackErrors });
+  }
+  if (feedbackItems.length && normalizeStatus(newStatus) !== 'feedback') {
+    return res.status(400).json({
+      error: 'Invalid feedback',
+      details: 'Feedback items can only be attached when moving a submission to "feedback"'
+    });
+  }
+
   try {
-    console.log(`Processing status update for submission ${submissionId} to ${newStatus}`);
-    
-    // Get the product submission details
-    const { data: submission, error: fetchError } = await supabase
+    const result = await applySubmissionStatusChange({
+      submissionId,
+      newStatus,
+      note,
+      feedbackItems,
+      actor: { id: req.user.id, role: req.user.role },
+      source: 'api'
+    });
+
+    res.json({ 
+      message: 'Status updated successfully',
+      submission: result.submission,
+      previousStatus: result.previousStatus,
+      historyEntry: result.historyEntry,
+      feedbackItems: result.feedbackItems,
+      emailOutboxId: result.emailOutboxId,
+      allowedTransitions: allowedTransitions(result.submission.status)
+    });
+  } catch (error) {
+    sendStatusChangeError(res, error);
+  }
+});
+
+// Owner answers reviewer feedback and sends the submission back into review
+app.post('/api/product-submissions/:id/resubmit', requireAuth, async (req, res) => {
+  const { responses = [], note } = req.body;
+
+  try {
+    const { data: submission, error } = await supabase
       .from('product_submissions')
-      .select('*')
-      .eq('id', submissionId)
-      .single();
+      .select('id, user_id, status')
+      .eq('id', req.params.id)
+      .maybeSingle();
 
-    if (fetchError) {
-      console.error('Error fetching submission:', fetchError);
-      throw fetchError;
+    if (error) throw error;
+    if (!submission || !isOwnerOrAdmin(req.user, submission.user_id)) {
+      return res.status(404).json({ error: 'Product submission not found' });
     }
-    
-    if (!submission) {
-      console.error('Submission not found:', submissionId);
+    if (normalizeStatus(submission.status) !== 'feedback') {
+      return res.status(409).json({
+        error: 'Submission is not awaiting feedback',
+        details: `Only submissions in "feedback" can be resubmitted (current status: ${submission.status})`
+      });
+    }
+
+    const answers = await validateFeedbackResponses(supabase, submission.id, responses);
+
+    // Change the status before saving the answers, so a failed change (e.g. a 409 on a
+    // stale status) leaves the feedback open and the resubmit can simply be retried
+    const result = await applySubmissionStatusChange({
+      submissionId: submission.id,
+      newStatus: 'verifying',
+      note: note || `Resubmitted with ${answers.size} feedback response(s)`,
+      actor: { id: req.user.id, role: req.user.role },
+      source: 'resubmit'
+    });
+
+    let answered = [];
+    try {
+      answered = await respondToFeedback(supabase, answers);
+    } catch (feedbackError) {
+      // The submission is back in review either way; the reviewer sees the items as unanswered
+      console.error('Error saving feedback responses:', feedbackError);
+    }
+
+    res.json({
+      message: 'Submission resubmitted for review',
+      submission: result.submission,
+      previousStatus: result.previousStatus,
+      historyEntry: result.historyEntry,
+      feedbackItems: answered
+    });
+  } catch (error) {
+    sendStatusChangeError(res, error);
+  }
+});
+
+// Status timeline for the dashboard
+app.get('/api/product-submissions/:id/history', requireAuth, async (req, res) => {
+  try {
+    const { data: submission, error } = await supabase
+      .from('product_submissions')
+      .select('id, user_id, status')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!submission || !isOwnerOrAdmin(req.user, submission.user_id)) {
       return res.status(404).json({ error: 'Product submission not found' });
     }
 
-    console.log('Fetched submission:', {
-      id: submission.id,
-      product_name: submission.product_name,
-      email_user: submission.email_user,
-      status: submission.status
+    const [history, feedbackItems] = await Promise.all([
+      getStatusHistory(supabase, submission.id),
+      getFeedbackItems(supabase, submission.id)
+    ]);
+    res.json({
+      submissionId: submission.id,
+      status: normalizeStatus(submission.status) || submission.status,
+      allowedTransitions: req.user.isAdmin ? allowedTransitions(submission.status) : [],
+      history,
+      feedbackItems
     });
+  } catch (error) {
+    console.error('Error fetching status history:', error);
+    res.status(500).json({ error: 'Failed to fetch status history', details: error.message });
+  }
+});
+
+// Submit a product to directories with their form adapters. Without directoryIds,
+// the best catalog matches for the submission's categories are used.
+app.post('/api/product-submissions/:id/submission-runs', requireAuth, async (req, res) => {
+  const { directoryIds, limit } = req.body;
+
+  if (directoryIds !== undefined &&
+      (!Array.isArray(directoryIds) || directoryIds.length === 0 || directoryIds.some(id => typeof id !== 'string'))) {
+    return res.status(400).json({ error: 'Invalid directoryIds', details: 'directoryIds must be a non-empty array of directory IDs' });
+  }
 
-    // Update the status
-    const { error: updateError } = await supabase
+  let submission;
+  let directoryList;
+  try {
+    const { data, error } = await supabase
       .from('product_submissions')
-      .update({ status: newStatus })
-      .eq('id', submissionId);
+      .select('id, user_id, categories')
+      .eq('id', req.params.id)
+      .maybeSingle();
 
-    if (updateError) {
-      console.error('Error updating status:', updateError);
-      throw updateError;
+    if (error) throw error;
+    if (!data || !isOwnerOrAdmin(req.user, data.user_id)) {
+      return res.status(404).json({ error: 'Product submission not found' });
     }
+    submission = data;
 
-    console.log('Status updated successfully');
+    if (directoryIds) {
+      const { data: directories, error: directoriesError } = await supabase
+        .from('directories')
+        .select('id')
+        .in('id', [...new Set(directoryIds)])
+        .eq('is_active', true);
 
-    // Send email notification if template exists for the status
-    if (EMAIL_TEMPLATES[newStatus]) {
-      if (!submission.email_user) {
-        console.warn('No email_user found for submission:', submissionId);
-      } else {
-        try {
-          console.log('Attempting to send email to:', submission.email_user);
-          
-          const emailData = {
-            from: 'BacklinkBot <noreply@backlinkbotai.com>',
-            to: submission.email_user,
-            subject: EMAIL_TEMPLATES[newStatus].subject,
-            html: EMAIL_TEMPLATES[newStatus].html(submission.product_name)
-          };
-          
-          console.log('Sending email with data:', emailData);
-          
-          const emailResponse = await resend.emails.send(emailData);
-          console.log('Email sent successfully:', emailResponse);
-          
-        } catch (emailError) {
-          console.error('Failed to send email:', {
-            error: emailError,
-            errorMessage: emailError.message,
-            errorDetails: emailError.details
-          });
-          // Don't throw error here, just log it
-        }
+      if (directoriesError) throw directoriesError;
+      const found = new Set(directories.map(directory => directory.id));
+      const unknown = directoryIds.filter(id => !found.has(id));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: 'Unknown directories', details: `Not in the active catalog: ${unknown.join(', ')}` });
       }
+      directoryList = [...new Set(directoryIds)];
     } else {
-      console.log('No email template found for status:', newStatus);
+      const matches = await matchDirectories(supabase, { categories: submission.categories || [] }, {
+        limit: Math.min(parseInt(limit, 10) || 20, 100)
+      });
+      directoryList = matches.map(match => match.id);
     }
+  } catch (error) {
+    console.error('Error preparing submission run:', error);
+    return res.status(500).json({ error: 'Failed to prepare submission run', details: error.message });
+  }
 
-    res.json({ 
-      message: 'Status updated successfully',
-      submission: { ...submission, status: newStatus }
+  if (directoryList.length === 0) {
+    return res.status(422).json({ error: 'No matching directories', details: 'No active directory matches this submission\'s categories' });
+  }
+
+  // Charged to the submission's owner, also when an admin starts the run; refunded if the run fails
+  const userId = submission.user_id || req.user.id;
+  const cost = CREDIT_COSTS.submission_run;
+  try {
+    await creditLedger.debit(userId, cost, 'submission_run', submission.id, { directories: directoryList.length });
+  } catch (error) {
+    if (error.code === INSUFFICIENT_CREDITS) {
+      return sendInsufficientCredits(res, error);
+    }
+    console.error('Error debiting credits:', error);
+    return res.status(500).json({ error: 'Failed to charge credits', details: error.message });
+  }
+
+  try {
+    const run = await submissionRunQueue.enqueue({
+      submissionId: submission.id,
+      directoryIds: directoryList,
+      userId,
+      chargedCredits: cost
+    });
+    res.status(202).json({
+      runId: run.id,
+      status: run.status,
+      directories: directoryList.length,
+      statusUrl: `/api/submission-runs/${run.id}`,
+      message: 'Directory submission queued'
     });
   } catch (error) {
-    console.error('Error in status update endpoint:', error);
-    res.status(500).json({ 
-      error: 'Failed to update status',
-      details: error.message
+    console.error('Error queuing submission run:', error);
+    try {
+      await creditLedger.grant(userId, cost, 'refund', submission.id, { cause: 'failed to queue submission run' });
+    } catch (refundError) {
+      console.error('Error refunding credits:', refundError);
+    }
+    res.status(500).json({ error: 'Failed to queue directory submission', details: error.message });
+  }
+});
+
+// Submission runs for a product submission
+app.get('/api/product-submissions/:id/submission-runs', requireAuth, async (req, res) => {
+  try {
+    const { data: submission, error } = await supabase
+      .from('product_submissions')
+      .select('id, user_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!submission || !isOwnerOrAdmin(req.user, submission.user_id)) {
+      return res.status(404).json({ error: 'Product submission not found' });
+    }
+
+    res.json({ runs: await submissionRunQueue.listRuns(submission.id) });
+  } catch (error) {
+    console.error('Error listing submission runs:', error);
+    res.status(500).json({ error: 'Failed to list submission runs', details: error.message });
+  }
+});
+
+// A run with its per-directory results and screenshot evidence
+app.get('/api/submission-runs/:id', requireAuth, async (req, res) => {
+  try {
+    const run = await submissionRunQueue.getRun(req.params.id);
+    if (!run || !isOwnerOrAdmin(req.user, run.user_id)) {
+      return res.status(404).json({ error: 'Submission run not found' });
+    }
+    res.json({ run });
+  } catch (error) {
+    console.error('Error fetching submission run:', error);
+    res.status(500).json({ error: 'Failed to fetch submission run', details: error.message });
+  }
+});
+
+const sendVaultError = (res, error) => {
+  const statuses = {
+    [VAULT_ERRORS.INVALID_CREDENTIALS]: 400,
+    [VAULT_ERRORS.NOT_FOUND]: 404,
+    [VAULT_ERRORS.KEY_MISSING]: 503
+  };
+  const status = statuses[error.code];
+  if (!status) {
+    console.error('Credential vault error:', error);
+    return res.status(500).json({ error: 'Credential vault request failed', details: error.message });
+  }
+  res.status(status).json({ error: error.message, code: error.code });
+};
+
+const auditContext = (req, reason) => ({
+  actor: { id: req.user.id, role: req.user.role },
+  reason,
+  ip: req.ip,
+  userAgent: req.get('User-Agent')
+});
+
+// Save a submission's directory-account password, encrypted
+app.put('/api/product-submissions/:id/credentials', requireAuth, async (req, res) => {
+  try {
+    const { data: submission, error } = await supabase
+      .from('product_submissions')
+      .select('id, user_id')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!submission || !isOwnerOrAdmin(req.user, submission.user_id)) {
+      return res.status(404).json({ error: 'Product submission not found' });
+    }
+
+    await credentialVault.store(submission.id, req.body.password, auditContext(req, 'Credentials updated'));
+
+    // Drop any plaintext copy the submission form wrote
+    const { error: clearError } = await supabase
+      .from('product_submissions')
+      .update({ password: null })
+      .eq('id', submission.id);
+
+    if (clearError) throw clearError;
+    res.json({ message: 'Credentials saved', submissionId: submission.id });
+  } catch (error) {
+    sendVaultError(res, error);
+  }
+});
+
+// Decrypt a submission's credentials for the ops team. Audited, and a reason is required.
+app.post('/api/product-submissions/:id/credentials/reveal', requireAdmin, credentialRevealLimiter, async (req, res) => {
+  const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+  if (reason.length < 5) {
+    return res.status(400).json({
+      error: 'Reason required',
+      details: 'Explain why you need these credentials (at least 5 characters); it is kept in the access log'
     });
   }
+
+  try {
+    const { data: submission, error } = await supabase
+      .from('product_submissions')
+      .select('id, email')
+      .eq('id', req.params.id)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!submission) return res.status(404).json({ error: 'Product submission not found' });
+
+    const password = await credentialVault.reveal(submission.id, auditContext(req, reason));
+    console.log(`Admin ${req.user.id} revealed credentials for submission ${submission.id}`);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ submissionId: submission.id, email: submission.email, password });
+  } catch (error) {
+    sendVaultError(res, error);
+  }
+});
+
+// Who stored and revealed a submission's credentials
+app.get('/api/product-submissions/:id/credentials/access-log', requireAdmin, async (req, res) => {
+  try {
+    const [log, stored] = await Promise.all([
+      credentialVault.getAccessLog(req.params.id),
+      credentialVault.hasCredentials(req.params.id)
+    ]);
+    res.json({ submissionId: req.params.id, stored, log });
+  } catch (error) {
+    sendVaultError(res, error);
+  }
 });
 
 // Start the server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
+  scrapeQueue.start();
+  emailOutbox.start();
+  submissionRunQueue.start();
+  campaignScheduler.start();
+  airtableSync.validateSchema().catch(error => console.error('Error validating Airtable schema:', error));
+  if (credentialVault.enabled) {
+    sealPlaintextCredentials();
+  } else {
+    console.warn('CREDENTIALS_ENCRYPTION_KEY is not set: submission passwords will not be encrypted or revealable');
+  }
+});
+
+// Close pooled browsers before the process exits
+process.on('SIGTERM', async () => {
+  console.log('SIGTERM received, closing browser pool...');
+  await browserPool.close();
+  process.exit(0);
 }); 
\ No newline at end of file
@@ -0,0 +1,301 @@
+const axios = require('axios');
+
+/**
+ * Declarative field mapping for the Airtable sync.
+ *
+ * Each entry in a table mapping's `fields` is either a Supabase column name
+ * (sent as is) or an object:
+ *
+ *   { column: 'categories', airtable: 'Categories', type: 'multiSelect' }
+ *   { column: 'submission_id', type: 'link', table: 'product_submissions' }
+ *
+ * A link's `table` is another key of TABLE_MAPPINGS; set `multiple: true`
+ * when the column holds an array of ids.
+ *
+ * `airtable` defaults to the column name and `type` to 'auto'. Each type
+ * converts values both ways, so the same config drives the push, the pull
+ * and the schema check against the Airtable base.
+ */
+
+const MAPPING_ERRORS = {
+  INVALID_MAPPING: 'INVALID_MAPPING'
+};
+
+const toArray = (value) => {
+  if (value == null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed)) return parsed;
+    } catch (error) {
+      // Not JSON: treat as a comma separated list
+    }
+    return value.split(',');
+  }
+  return [value];
+};
+
+const toDate = (value) => {
+  if (value == null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toNumber = (value) => {
+  if (value == null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const uniqueStrings = (values) => [...new Set(values.map(value => String(value).trim()).filter(Boolean))];
+
+/**
+ * Field types: how a Supabase value is sent to Airtable (`toAirtable`), how an
+ * Airtable value is stored back (`fromAirtable`) and which Airtable field
+ * types can hold it (`airtableTypes`, empty means any).
+ * Link fields are converted by AirtableSync, which knows the record ids.
+ */
+const FIELD_TYPES = {
+  // Legacy behaviour: values as they are, arrays and objects as JSON text
+  auto: {
+    airtableTypes: [],
+    toAirtable: (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value ?? null),
+    fromAirtable: (value) => value ?? null
+  },
+  text: {
+    airtableTypes: ['singleLineText', 'multilineText', 'richText', 'email', 'url', 'phoneNumber', 'singleSelect'],
+    toAirtable: (value) => (value == null ? null : String(value)),
+    fromAirtable: (value) => (value == null || value === '' ? null : String(value))
+  },
+  // Array of strings as one line each in a long text field
+  list: {
+    airtableTypes: ['multilineText', 'richText'],
+    toAirtable: (value) => uniqueStrings(toArray(value)).join('\n') || null,
+    fromAirtable: (value) => (value ? String(value).split('\n').map(line => line.trim()).filter(Boolean) : [])
+  },
+  json: {
+    airtableTypes: ['multilineText', 'singleLineText', 'richText'],
+    toAirtable: (value) => (value == null ? null : JSON.stringify(value)),
+    fromAirtable: (value) => {
+      if (value == null || value === '') return null;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return value;
+      }
+    }
+  },
+  number: {
+    airtableTypes: ['number', 'percent', 'currency', 'rating', 'duration'],
+    toAirtable: toNumber,
+    fromAirtable: toNumber
+  },
+  currency: {
+    airtableTypes: ['currency', 'number'],
+    toAirtable: toNumber,
+    fromAirtable: toNumber
+  },
+  checkbox: {
+    airtableTypes: ['checkbox'],
+    toAirtable: (value) => Boolean(value),
+    fromAirtable: (value) => Boolean(value)
+  },
+  date: {
+    airtableTypes: ['date', 'dateTime'],
+    toAirtable: (value) => toDate(value)?.toISOString().slice(0, 10) ?? null,
+    fromAirtable: (value) => toDate(value)?.toISOString().slice(0, 10) ?? null
+  },
+  dateTime: {
+    airtableTypes: ['dateTime', 'date'],
+    toAirtable: (value) => toDate(value)?.toISOString() ?? null,
+    fromAirtable: (value) => toDate(value)?.toISOString() ?? null
+  },
+  multiSelect: {
+    airtableTypes: ['multipleSelects'],
+    toAirtable: (value) => uniqueStrings(toArray(value)),
+    fromAirtable: (value) => (Array.isArray(value) ? value : [])
+  },
+  // Public URLs; Airtable downloads and re-hosts each file
+  attachment: {
+    airtableTypes: ['multipleAttachments'],
+    toAirtable: (value) => uniqueStrings(toArray(value)).map(url => ({ url })),
+    fromAirtable: (value) => (Array.isArray(value) ? value.map(attachment => attachment.url).filter(Boolean) : [])
+  },
+  // Sensitive text shown partly (j***@example.com); push only
+  masked: {
+    airtableTypes: ['singleLineText', 'multilineText', 'email'],
+    pushOnly: true,
+    toAirtable: (value) => {
+      if (value == null || value === '') return null;
+      const [name, domain] = String(value).split('@');
+      const masked = `${name.slice(0, 1)}***`;
+      return domain ? `${masked}@${domain}` : masked;
+    },
+    fromAirtable: () => null
+  },
+  // Always sent empty, to clear a column that should never have been synced; push only
+  redacted: {
+    airtableTypes: [],
+    pushOnly: true,
+    toAirtable: () => null,
+    fromAirtable: () => null
+  },
+  // Supabase id of a row in another synced table ⇄ Airtable linked record
+  link: {
+    airtableTypes: ['multipleRecordLinks'],
+    toAirtable: (value) => value ?? null,
+    fromAirtable: (value) => value ?? null
+  }
+};
+
+const invalidMapping = (tableKey, message) => {
+  const error = new Error(`Airtable mapping "${tableKey}": ${message}`);
+  error.code = MAPPING_ERRORS.INVALID_MAPPING;
+  return error;
+};
+
+/**
+ * Expand TABLE_MAPPINGS into field specs and check the config is consistent
+ * @param {Object} mappings - TABLE_MAPPINGS
+ * @returns {Object} - Same keys; `fields` and `pull.fields` become [{ column, airtable, type, table }]
+ *   and each table gets `keyAirtableField`
+ */
+const normalizeMappings = (mappings) => {
+  const normalized = {};
+
+  for (const [tableKey, mapping] of Object.entries(mappings)) {
+    for (const option of ['supabaseTable', 'airtableTable', 'keyField']) {
+      if (!mapping[option]) throw invalidMapping(tableKey, `${option} is required`);
+    }
+    if (!Array.isArray(mapping.fields) || mapping.fields.length === 0) {
+      throw invalidMapping(tableKey, 'fields must be a non-empty array');
+    }
+
+    const fields = mapping.fields.map(field => {
+      const spec = typeof field === 'string' ? { column: field } : { ...field };
+      if (!spec.column) throw invalidMapping(tableKey, `field ${JSON.stringify(field)} has no column`);
+      spec.airtable = spec.airtable || spec.column;
+      spec.type = spec.type || 'auto';
+      if (!FIELD_TYPES[spec.type]) throw invalidMapping(tableKey, `unknown type "${spec.type}" for ${spec.column}`);
+      if (spec.type === 'link' && !mappings[spec.table]) {
+        throw invalidMapping(tableKey, `link field ${spec.column} must name a mapped table in "table"`);
+      }
+      return spec;
+    });
+
+    const byColumn = new Map(fields.map(spec => [spec.column, spec]));
+    const airtableNames = fields.map(spec => spec.airtable);
+    const duplicate = airtableNames.find((name, index) => airtableNames.indexOf(name) !== index);
+    if (duplicate) throw invalidMapping(tableKey, `Airtable field "${duplicate}" is mapped twice`);
+
+    const keySpec = byColumn.get(mapping.keyField);
+    if (!keySpec) throw invalidMapping(tableKey, `keyField ${mapping.keyField} must be one of the fields`);
+
+    let pull = null;
+    if (mapping.pull) {
+      const pullFields = (mapping.pull.fields || []).map(column => {
+        if (!byColumn.has(column)) throw invalidMapping(tableKey, `pull field ${column} must be one of the fields`);
+        if (FIELD_TYPES[byColumn.get(column).type].pushOnly) {
+          throw invalidMapping(tableKey, `${column} is ${byColumn.get(column).type} and can't be pulled`);
+        }
+        return byColumn.get(column);
+      });
+      if (!mapping.pull.modifiedField) throw invalidMapping(tableKey, 'pull.modifiedField is required');
+      if (mapping.pull.statusField && !mapping.pull.fields.includes(mapping.pull.statusField)) {
+        throw invalidMapping(tableKey, `pull.statusField ${mapping.pull.statusField} must be one of the pull fields`);
+      }
+      pull = { ...mapping.pull, fields: pullFields };
+    }
+
+    normalized[tableKey] = { ...mapping, fields, pull, keyAirtableField: keySpec.airtable };
+  }
+
+  return normalized;
+};
+
+/**
+ * Fetch the tables and fields of an Airtable base (needs the schema.bases:read scope)
+ * @param {Object} options - { apiKey, baseId }
+ * @returns {Promise<Array>} - [{ id, name, fields: [{ id, name, type, options }] }]
+ */
+const fetchBaseSchema = async ({ apiKey, baseId }) => {
+  const response = await axios.get(`https://api.airtable.com/v0/meta/bases/${baseId}/tables`, {
+    headers: { Authorization: `Bearer ${apiKey}` },
+    timeout: 15000
+  });
+  return response.data.tables;
+};
+
+/**
+ * Compare normalized mappings with the base's schema
+ * @param {Object} mappings - Output of normalizeMappings()
+ * @param {Array} tables - Output of fetchBaseSchema()
+ * @returns {Object} - { [tableKey]: [problem] }, only for tables with problems
+ */
+const checkSchema = (mappings, tables) => {
+  const tablesByName = new Map(tables.map(table => [table.name, table]));
+  const problems = {};
+
+  for (const [tableKey, mapping] of Object.entries(mappings)) {
+    const table = tablesByName.get(mapping.airtableTable);
+    const tableProblems = [];
+
+    if (!table) {
+      problems[tableKey] = [`Airtable table "${mapping.airtableTable}" not found`];
+      continue;
+    }
+
+    const fieldsByName = new Map(table.fields.map(field => [field.name, field]));
+    for (const spec of mapping.fields) {
+      const field = fieldsByName.get(spec.airtable);
+      const allowed = FIELD_TYPES[spec.type].airtableTypes;
+
+      if (!field) {
+        tableProblems.push(`field "${spec.airtable}" not found`);
+      } else if (allowed.length > 0 && !allowed.includes(field.type)) {
+        tableProblems.push(`field "${spec.airtable}" is ${field.type}, expected ${allowed.join(' or ')} for ${spec.type}`);
+      } else if (spec.type === 'link') {
+        const linkedTable = tablesByName.get(mappings[spec.table].airtableTable);
+        if (linkedTable && field.options?.linkedTableId !== linkedTable.id) {
+          tableProblems.push(`field "${spec.airtable}" does not link to "${linkedTable.name}"`);
+        }
+      }
+    }
+
+    if (mapping.pull && !fieldsByName.has(mapping.pull.modifiedField)) {
+      tableProblems.push(`field "${mapping.pull.modifiedField}" (pull.modifiedField) not found`);
+    }
+
+    if (tableProblems.length > 0) problems[tableKey] = tableProblems;
+  }
+
+  return problems;
+};
+
+/**
+ * Whether a Supabase value and a value pulled from Airtable are the same once
+ * both are in the field's Airtable form
+ * @param {Object} spec - Field spec
+ * @param {*} supabaseValue - Current column value
+ * @param {*} pulledValue - Output of FIELD_TYPES[type].fromAirtable
+ * @returns {boolean}
+ */
+const isSameValue = (spec, supabaseValue, pulledValue) => {
+  const { toAirtable } = FIELD_TYPES[spec.type];
+  const comparable = (value) => {
+    const converted = spec.type === 'link' ? toArray(value).map(String).sort() : toAirtable(value);
+    if (converted == null || converted === '' || (Array.isArray(converted) && converted.length === 0)) return '';
+    return typeof converted === 'object' ? JSON.stringify(converted) : String(converted);
+  };
+  return comparable(supabaseValue) === comparable(pulledValue);
+};
+
+module.exports = {
+  FIELD_TYPES,
+  MAPPING_ERRORS,
+  normalizeMappings,
+  fetchBaseSchema,
+  checkSchema,
+  isSameValue
+};
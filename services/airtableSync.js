@@ -0,0 +1,681 @@
+const crypto = require('crypto');
+const os = require('os');
+const { RequestThrottle } = require('./requestThrottle');
+const { FIELD_TYPES, normalizeMappings, checkSchema, isSameValue } = require('./airtableFields');
+
+/**
+ * Two-way Supabase ⇄ Airtable sync.
+ *
+ * Push: progress is kept in `airtable_sync_state`, one row per table: the
+ * cursor is the highest `updated_at` actually pushed, so a restart resumes
+ * where the last run stopped and rows updated mid-run are picked up next time.
+ * Rows are upserted 10 per request using the Supabase id → Airtable record id
+ * map in `airtable_record_map`; rows Airtable rejects are kept in the table's
+ * `failed_records` and retried on later runs.
+ *
+ * Pull: tables with a `pull` mapping bring whitelisted fields edited in
+ * Airtable back to Supabase (state row `<table>:pull`). The Airtable table
+ * needs a "Last modified time" field covering those fields; an edit only wins
+ * if it is newer than the Supabase row. Status changes go through the
+ * `onStatusChange` hook instead of a plain update.
+ *
+ * Fields are converted both ways by type (see services/airtableFields.js).
+ * When a schema loader is configured, the mappings are checked against the
+ * Airtable base before syncing and tables that don't match are skipped.
+ *
+ * A lease in `sync_locks` keeps the cron job and the manual endpoint (or two
+ * instances) from syncing at the same time.
+ */
+
+const SYNC_ERRORS = {
+  LOCKED: 'SYNC_LOCKED'
+};
+
+const LOCK_NAME = 'airtable_sync';
+
+// Airtable rejected the records themselves (bad value, unknown field, deleted record),
+// as opposed to the request failing
+const isRecordError = (error) => error && [404, 422].includes(error.statusCode);
+
+class AirtableSync {
+  /**
+   * @param {Object} options
+   * @param {Object} options.supabase - Supabase client (service role)
+   * @param {Function} options.base - Airtable base, called with a table name
+   * @param {Object} options.mappings - TABLE_MAPPINGS (see normalizeMappings)
+   * @param {number} [options.pageSize=500] - Supabase rows fetched per page
+   * @param {number} [options.lockTtlMs=900000] - How long a lock is held before it can be taken over
+   * @param {Function} [options.onStatusChange] - async ({ tableKey, id, newStatus, previousStatus, note }) for pulled status edits
+   * @param {RequestThrottle} [options.throttle] - Paces Airtable requests (5 per second per base)
+   * @param {Function} [options.loadSchema] - async () => the base's tables, see fetchBaseSchema
+   */
+  constructor({ supabase, base, mappings, pageSize = 500, lockTtlMs = 15 * 60 * 1000, onStatusChange, throttle, loadSchema }) {
+    this.supabase = supabase;
+    this.throttle = throttle || new RequestThrottle({ name: 'Airtable' });
+    this.onStatusChange = onStatusChange;
+    this.base = base;
+    this.mappings = normalizeMappings(mappings);
+    this.loadSchema = loadSchema;
+    this.schemaCheck = null;
+    this.pageSize = pageSize;
+    this.lockTtlMs = lockTtlMs;
+    this.holder = `${os.hostname()}:${process.pid}:${crypto.randomUUID()}`;
+    this.running = null;
+  }
+
+  /**
+   * Sync every mapped table, holding the sync lock for the whole run
+   * @param {Object} [options]
+   * @param {string} [options.trigger='manual'] - 'cron' or 'manual', for the logs and status
+   * @returns {Promise<Object>} - { [tableKey]: { processed, failed, cursor, error }, [`${tableKey}:pull`]: ... }
+   */
+  async syncAll({ trigger = 'manual' } = {}) {
+    if (!(await this.acquireLock())) {
+      const error = new Error('An Airtable sync is already running');
+      error.code = SYNC_ERRORS.LOCKED;
+      throw error;
+    }
+
+    this.running = { trigger, startedAt: new Date().toISOString() };
+    console.log(`Starting Airtable sync (${trigger})...`);
+
+    try {
+      // Check again until the base matches, so fixing a field doesn't need a restart
+      if (this.loadSchema && !this.schemaCheck?.ok) await this.validateSchema();
+
+      const results = {};
+      for (const tableKey of Object.keys(this.mappings)) {
+        const problems = this.schemaCheck?.problems?.[tableKey];
+        if (problems) {
+          results[tableKey] = { processed: 0, failed: 0, error: `Airtable schema mismatch: ${problems.join('; ')}` };
+          continue;
+        }
+
+        // Pull first so ops edits land before the push sends Supabase values back
+        if (this.mappings[tableKey].pull) {
+          results[`${tableKey}:pull`] = await this.pullTable(tableKey, { trigger });
+        }
+        results[tableKey] = await this.syncTable(tableKey, { trigger });
+      }
+      console.log('Airtable sync completed:', results);
+      return results;
+    } finally {
+      this.running = null;
+      await this.releaseLock();
+    }
+  }
+
+  /**
+   * Check the mappings against the Airtable base. Tables with problems are
+   * skipped by syncAll() until a later check passes.
+   * @returns {Promise<Object|null>} - { checkedAt, ok, problems, error }, null without a schema loader
+   */
+  async validateSchema() {
+    if (!this.loadSchema) return null;
+
+    const checkedAt = new Date().toISOString();
+    try {
+      const tables = await this.throttle.run(() => this.loadSchema());
+      const problems = checkSchema(this.mappings, tables);
+      const ok = Object.keys(problems).length === 0;
+      this.schemaCheck = { checkedAt, ok, problems, error: null };
+
+      if (ok) {
+        console.log('Airtable schema matches the table mappings');
+      } else {
+        Object.entries(problems).forEach(([tableKey, tableProblems]) => {
+          console.error(`Airtable schema mismatch for ${tableKey}, table will not sync:\n  ${tableProblems.join('\n  ')}`);
+        });
+      }
+    } catch (error) {
+      // A token without schema access shouldn't stop the sync; tables are synced unchecked
+      console.error('Could not read the Airtable schema:', error.response?.data?.error || error.message);
+      this.schemaCheck = { checkedAt, ok: null, problems: {}, error: error.message };
+    }
+
+    return this.schemaCheck;
+  }
+
+  /**
+   * Push rows updated since the table's cursor. Call through syncAll() so the lock is held.
+   * @param {string} tableKey - Key of the table in TABLE_MAPPINGS
+   * @param {Object} [options] - { trigger }
+   * @returns {Promise<Object>} - { processed, failed, cursor, error }
+   */
+  async syncTable(tableKey, { trigger = 'manual' } = {}) {
+    const { supabaseTable, keyField, fields } = this.mappings[tableKey];
+    const state = await this.getState(tableKey);
+    const startedAt = new Date().toISOString();
+    let cursor = state?.cursor || null;
+    let processed = 0;
+    let runError = null;
+    // Rows Airtable rejected, by Supabase id; retried on every run until they go through
+    const failures = new Map((state?.failed_records || []).map(failure => [String(failure.id), failure]));
+
+    console.log(`Starting sync for ${supabaseTable} to Airtable from ${cursor || 'the beginning'}...`);
+    await this.saveState(tableKey, { last_run_started_at: startedAt, last_trigger: trigger });
+
+    // The cursor needs updated_at even if the table mapping doesn't sync it
+    // Redacted columns are always sent empty, so their values are never read
+    const columns = fields.filter(spec => spec.type !== 'redacted').map(spec => spec.column);
+    if (!columns.includes('updated_at')) columns.push('updated_at');
+
+    const pushBatch = async (batch) => {
+      const { succeeded, failed } = await this.processBatch(tableKey, batch);
+      processed += succeeded.length;
+      succeeded.forEach(id => failures.delete(id));
+      failed.forEach(({ id, error }) => {
+        const previous = failures.get(id);
+        failures.set(id, { id, error, attempts: (previous?.attempts || 0) + 1, failed_at: new Date().toISOString() });
+      });
+    };
+
+    // Rows already pushed whose updated_at equals the cursor, so the next page can skip them
+    let sentAtCursor = new Set();
+
+    try {
+      if (failures.size > 0) {
+        const { data: retries, error } = await this.supabase
+          .from(supabaseTable)
+          .select(columns.join(','))
+          .in(keyField, [...failures.keys()]);
+
+        if (error) throw error;
+        console.log(`Retrying ${retries.length} ${supabaseTable} records that failed to sync`);
+        // Rows deleted since they failed have nothing left to sync
+        const found = new Set(retries.map(record => String(record[keyField])));
+        [...failures.keys()].forEach(id => { if (!found.has(id)) failures.delete(id); });
+
+        for (let i = 0; i < retries.length; i += 10) {
+          await pushBatch(retries.slice(i, i + 10));
+        }
+      }
+
+      for (;;) {
+        let query = this.supabase.from(supabaseTable).select(columns.join(','));
+        // Page from the cursor itself rather than an offset, so rows that change mid-run can't shift pages
+        if (cursor) query = query.gte('updated_at', cursor);
+
+        const { data: page, error } = await query
+          .order('updated_at', { ascending: true, nullsFirst: true })
+          .order(keyField, { ascending: true })
+          .limit(this.pageSize);
+
+        if (error) throw error;
+
+        const records = page.filter(record => !(record.updated_at === cursor && sentAtCursor.has(record[keyField])));
+        console.log(`Found ${records.length} records to sync to Airtable`);
+        if (records.length === 0) {
+          if (page.length === this.pageSize) {
+            console.warn(`More than ${this.pageSize} ${supabaseTable} rows share updated_at ${cursor}; some were not synced`);
+          }
+          break;
+        }
+
+        // Process records in batches of 10 (Airtable API limit)
+        for (let i = 0; i < records.length; i += 10) {
+          const batch = records.slice(i, i + 10);
+          await pushBatch(batch);
+
+          // Rejected rows are tracked in failures, so the cursor can move past the whole batch
+          for (const record of batch) {
+            if (!record.updated_at) continue;
+            if (record.updated_at !== cursor) {
+              cursor = record.updated_at;
+              sentAtCursor = new Set();
+            }
+            sentAtCursor.add(record[keyField]);
+          }
+        }
+
+        // Rows without updated_at can't be paged by cursor; they only go out on the first full sync
+        if (page.length < this.pageSize || !cursor) break;
+      }
+    } catch (error) {
+      // Anything other than a rejected record (network, auth, rate limit) stops the table; the cursor stays put
+      console.error(`Error syncing ${supabaseTable} to Airtable:`, error);
+      runError = error.message || String(error);
+    }
+
+    const failedRecords = [...failures.values()];
+    await this.saveState(tableKey, {
+      cursor,
+      failed_records: failedRecords,
+      last_run_finished_at: new Date().toISOString(),
+      last_status: runError ? 'failed' : 'success',
+      records_processed: processed,
+      records_failed: failedRecords.length,
+      last_error: runError,
+      ...(runError ? {} : { last_success_at: new Date().toISOString() })
+    });
+
+    return { processed, failed: failedRecords.length, cursor, error: runError, errors: failedRecords.slice(0, 20) };
+  }
+
+  /**
+   * Bring whitelisted fields edited in Airtable back to Supabase. Call through syncAll().
+   * @param {string} tableKey - Key of a table in TABLE_MAPPINGS with a `pull` config
+   * @param {Object} [options] - { trigger }
+   * @returns {Promise<Object>} - { processed, updated, conflicts, failed, cursor, error, errors }
+   */
+  async pullTable(tableKey, { trigger = 'manual' } = {}) {
+    const { supabaseTable, airtableTable, keyField, keyAirtableField, pull } = this.mappings[tableKey];
+    const { fields, modifiedField } = pull;
+    const stateKey = `${tableKey}:pull`;
+    const state = await this.getState(stateKey);
+    const result = { processed: 0, updated: 0, conflicts: 0, failed: 0, cursor: state?.cursor || null, error: null, errors: [] };
+
+    // Start from now the first time, rather than replaying every historical Airtable edit
+    if (!state?.cursor) {
+      result.cursor = new Date().toISOString();
+      console.log(`Starting Airtable pull for ${airtableTable} from ${result.cursor}`);
+      await this.saveState(stateKey, { cursor: result.cursor, last_trigger: trigger });
+      return result;
+    }
+
+    await this.saveState(stateKey, { last_run_started_at: new Date().toISOString(), last_trigger: trigger });
+
+    try {
+      // Not before the cursor, so edits sharing its timestamp aren't lost; re-applying them is a no-op
+      const airtableRecords = await this.throttle.run(() => this.base(airtableTable)
+        .select({
+          filterByFormula: `NOT(IS_BEFORE({${modifiedField}}, '${result.cursor}'))`,
+          fields: [keyAirtableField, modifiedField, ...fields.map(spec => spec.airtable)],
+          sort: [{ field: modifiedField, direction: 'asc' }]
+        })
+        .all());
+
+      console.log(`Found ${airtableRecords.length} Airtable edits to pull into ${supabaseTable}`);
+
+      for (let i = 0; i < airtableRecords.length; i += 100) {
+        const chunk = airtableRecords.slice(i, i + 100);
+        const ids = chunk.map(record => record.get(keyAirtableField)).filter(Boolean);
+
+        const { data: rows, error } = await this.supabase
+          .from(supabaseTable)
+          .select([keyField, 'updated_at', ...fields.map(spec => spec.column)].join(','))
+          .in(keyField, ids);
+
+        if (error) throw error;
+        const rowsById = new Map(rows.map(row => [String(row[keyField]), row]));
+        const links = await this.resolveLinks(fields, chunk.map(record => record.fields || {}), 'fromAirtable');
+
+        for (const record of chunk) {
+          const id = record.get(keyAirtableField);
+          const modifiedAt = record.get(modifiedField);
+          result.processed++;
+
+          try {
+            const outcome = await this.applyPulledRecord(tableKey, rowsById.get(String(id)), record, links);
+            if (outcome === 'updated') result.updated++;
+            if (outcome === 'conflict') result.conflicts++;
+          } catch (error) {
+            result.failed++;
+            result.errors.push({ id: id || record.id, error: error.message });
+            console.error(`Error pulling Airtable record ${record.id} into ${supabaseTable}:`, error.message);
+          }
+
+          if (modifiedAt && new Date(modifiedAt) > new Date(result.cursor)) {
+            result.cursor = new Date(modifiedAt).toISOString();
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`Error pulling ${airtableTable} from Airtable:`, error);
+      result.error = error.message || String(error);
+    }
+
+    await this.saveState(stateKey, {
+      cursor: result.cursor,
+      last_run_finished_at: new Date().toISOString(),
+      last_status: result.error ? 'failed' : 'success',
+      records_processed: result.processed,
+      records_failed: result.failed,
+      last_error: result.error || (result.errors.length ? JSON.stringify(result.errors.slice(0, 20)) : null),
+      ...(result.error ? {} : { last_success_at: new Date().toISOString() })
+    });
+
+    return result;
+  }
+
+  /**
+   * Apply one Airtable record's whitelisted fields to its Supabase row
+   * @returns {Promise<string>} - 'updated', 'unchanged' or 'conflict'
+   */
+  async applyPulledRecord(tableKey, row, record, links = new Map()) {
+    const { supabaseTable, keyField, keyAirtableField, pull } = this.mappings[tableKey];
+    const { fields, statusField } = pull;
+    if (!row) throw new Error(`No ${supabaseTable} row with ${keyField} ${record.get(keyAirtableField)}`);
+
+    const changes = {};
+    fields.forEach(spec => {
+      const value = this.fromAirtableValue(spec, record.get(spec.airtable), links);
+      if (!isSameValue(spec, row[spec.column], value)) changes[spec.column] = value;
+    });
+    if (Object.keys(changes).length === 0) return 'unchanged';
+
+    // Last write wins: a Supabase change made after the Airtable edit is kept and pushed back out
+    const modifiedAt = new Date(record.get(pull.modifiedField));
+    if (row.updated_at && new Date(row.updated_at) > modifiedAt) {
+      console.log(`Keeping newer Supabase ${supabaseTable} ${row[keyField]} over Airtable edit (${Object.keys(changes).join(', ')})`);
+      return 'conflict';
+    }
+
+    const { [statusField]: newStatus, ...otherChanges } = changes;
+
+    if (Object.keys(otherChanges).length > 0) {
+      const { error } = await this.supabase
+        .from(supabaseTable)
+        .update({ ...otherChanges, updated_at: new Date().toISOString() })
+        .eq(keyField, row[keyField]);
+
+      if (error) throw error;
+    }
+
+    if (statusField && statusField in changes) {
+      if (!this.onStatusChange) throw new Error(`No status handler configured for ${tableKey}`);
+      await this.onStatusChange({
+        tableKey,
+        id: row[keyField],
+        newStatus,
+        previousStatus: row[statusField],
+        note: 'Changed in Airtable'
+      });
+    }
+
+    console.log(`Pulled ${Object.keys(changes).join(', ')} for ${supabaseTable} ${row[keyField]} from Airtable`);
+    return 'updated';
+  }
+
+  /**
+   * Upsert up to 10 rows into Airtable: one update call for rows already mapped
+   * to an Airtable record and one create call for the rest. If Airtable rejects
+   * a call, its rows are retried one by one so a single bad row is reported
+   * without failing the others.
+   * @param {string} tableKey - Key of the table in TABLE_MAPPINGS
+   * @param {Array} records - Supabase rows
+   * @returns {Promise<Object>} - { succeeded: [id], failed: [{ id, error }] }
+   */
+  async processBatch(tableKey, records) {
+    const { keyField, fields } = this.mappings[tableKey];
+    const recordIds = await this.findAirtableRecordIds(tableKey, records.map(record => String(record[keyField])));
+    const links = await this.resolveLinks(fields, records, 'toAirtable');
+    const outcome = { succeeded: [], failed: [] };
+    const updates = [];
+    const creates = [];
+
+    for (const record of records) {
+      const supabaseId = String(record[keyField]);
+      try {
+        const item = { supabaseId, recordId: recordIds.get(supabaseId), fields: this.toAirtableFields(fields, record, links) };
+        (item.recordId ? updates : creates).push(item);
+      } catch (error) {
+        outcome.failed.push({ id: supabaseId, error: error.message });
+      }
+    }
+
+    await this.writeRecords(tableKey, 'update', updates, outcome);
+    await this.writeRecords(tableKey, 'create', creates, outcome);
+
+    console.log(`Synced ${outcome.succeeded.length} ${this.mappings[tableKey].airtableTable} records ` +
+      `(${updates.length} updates, ${creates.length} creates, ${outcome.failed.length} failed)`);
+    return outcome;
+  }
+
+  /**
+   * Convert a Supabase row to Airtable fields
+   * @param {Array} fields - Field specs
+   * @param {Object} record - Supabase row
+   * @param {Map} links - From resolveLinks(..., 'toAirtable')
+   * @returns {Object} - { [airtable field]: value }
+   */
+  toAirtableFields(fields, record, links) {
+    const prepared = {};
+    for (const spec of fields) {
+      const value = record[spec.column];
+      if (spec.type !== 'link') {
+        prepared[spec.airtable] = FIELD_TYPES[spec.type].toAirtable(value);
+        continue;
+      }
+
+      const ids = (Array.isArray(value) ? value : [value]).filter(id => id != null).map(String);
+      const linked = ids.map(id => links.get(spec.column)?.get(id));
+      // Reported as a failed record and retried, by which time the linked table has synced
+      if (linked.includes(undefined)) {
+        throw new Error(`${spec.column} links to a ${spec.table} record that isn't in Airtable yet`);
+      }
+      prepared[spec.airtable] = linked;
+    }
+    return prepared;
+  }
+
+  fromAirtableValue(spec, value, links) {
+    if (spec.type !== 'link') return FIELD_TYPES[spec.type].fromAirtable(value);
+
+    const ids = (value || []).map(recordId => links.get(spec.column)?.get(recordId)).filter(Boolean);
+    return spec.multiple ? ids : ids[0] ?? null;
+  }
+
+  /**
+   * Look up the record map for the link fields of a set of rows
+   * @param {Array} fields - Field specs
+   * @param {Array} records - Supabase rows ('toAirtable') or Airtable field objects ('fromAirtable')
+   * @param {string} direction - 'toAirtable' maps Supabase ids to record ids, 'fromAirtable' the reverse
+   * @returns {Promise<Map>} - column → Map(id → id)
+   */
+  async resolveLinks(fields, records, direction) {
+    const links = new Map();
+    const [from, to] = direction === 'toAirtable'
+      ? ['supabase_id', 'airtable_record_id']
+      : ['airtable_record_id', 'supabase_id'];
+
+    for (const spec of fields.filter(field => field.type === 'link')) {
+      const key = direction === 'toAirtable' ? spec.column : spec.airtable;
+      const ids = [...new Set(records.flatMap(record => [].concat(record[key] ?? [])).map(String))];
+      const resolved = new Map();
+      links.set(spec.column, resolved);
+      if (ids.length === 0) continue;
+
+      const { data, error } = await this.supabase
+        .from('airtable_record_map')
+        .select('supabase_id, airtable_record_id')
+        .eq('table_key', spec.table)
+        .in(from, ids);
+
+      if (error) throw error;
+      data.forEach(row => resolved.set(row[from], row[to]));
+    }
+
+    return links;
+  }
+
+  async writeRecords(tableKey, method, items, outcome) {
+    if (items.length === 0) return;
+    const { airtableTable } = this.mappings[tableKey];
+
+    try {
+      // typecast lets Airtable add new multi-select options instead of rejecting the record
+      const written = await this.throttle.run(() => this.base(airtableTable)[method](
+        items.map(item => (method === 'update' ? { id: item.recordId, fields: item.fields } : { fields: item.fields })),
+        { typecast: true }
+      ));
+
+      // Airtable returns records in the order they were sent
+      if (method === 'create') {
+        await this.saveRecordIds(tableKey, items.map((item, index) => [item.supabaseId, written[index].id]));
+      }
+      outcome.succeeded.push(...items.map(item => item.supabaseId));
+    } catch (error) {
+      if (!isRecordError(error)) throw error;
+
+      if (items.length > 1) {
+        for (const item of items) {
+          await this.writeRecords(tableKey, method, [item], outcome);
+        }
+        return;
+      }
+
+      const [item] = items;
+      // The mapped record was deleted in Airtable: forget it and create a new one
+      if (method === 'update' && error.statusCode === 404) {
+        await this.forgetRecordId(tableKey, item.supabaseId);
+        return this.writeRecords(tableKey, 'create', [{ ...item, recordId: null }], outcome);
+      }
+
+      console.error(`Airtable rejected ${airtableTable} record ${item.supabaseId}:`, error.message);
+      outcome.failed.push({ id: item.supabaseId, error: error.message || String(error) });
+    }
+  }
+
+  /**
+   * Airtable record ids for Supabase ids, from the stored map or, for rows
+   * synced before the map existed, a single lookup by key field
+   * @param {string} tableKey - Key of the table in TABLE_MAPPINGS
+   * @param {string[]} ids - Supabase ids
+   * @returns {Promise<Map>} - Supabase id → Airtable record id
+   */
+  async findAirtableRecordIds(tableKey, ids) {
+    const { airtableTable, keyAirtableField } = this.mappings[tableKey];
+
+    const { data: mapped, error } = await this.supabase
+      .from('airtable_record_map')
+      .select('supabase_id, airtable_record_id')
+      .eq('table_key', tableKey)
+      .in('supabase_id', ids);
+
+    if (error) throw error;
+    const recordIds = new Map(mapped.map(row => [row.supabase_id, row.airtable_record_id]));
+
+    const missing = ids.filter(id => !recordIds.has(id));
+    if (missing.length > 0) {
+      // JSON.stringify quotes and escapes the ids for the formula
+      const formula = `OR(${missing.map(id => `{${keyAirtableField}} = ${JSON.stringify(id)}`).join(', ')})`;
+      const existing = await this.throttle.run(() => this.base(airtableTable)
+        .select({ filterByFormula: formula, fields: [keyAirtableField], maxRecords: missing.length })
+        .firstPage());
+
+      const found = existing
+        .filter(record => record.get(keyAirtableField) != null)
+        .map(record => [String(record.get(keyAirtableField)), record.id]);
+      found.forEach(([supabaseId, recordId]) => recordIds.set(supabaseId, recordId));
+      if (found.length > 0) await this.saveRecordIds(tableKey, found);
+    }
+
+    return recordIds;
+  }
+
+  async saveRecordIds(tableKey, pairs) {
+    const { error } = await this.supabase
+      .from('airtable_record_map')
+      .upsert(pairs.map(([supabaseId, recordId]) => ({
+        table_key: tableKey,
+        supabase_id: supabaseId,
+        airtable_record_id: recordId,
+        updated_at: new Date().toISOString()
+      })), { onConflict: 'table_key,supabase_id' });
+
+    if (error) console.error(`Error saving Airtable record ids for ${tableKey}:`, error);
+  }
+
+  async forgetRecordId(tableKey, supabaseId) {
+    const { error } = await this.supabase
+      .from('airtable_record_map')
+      .delete()
+      .eq('table_key', tableKey)
+      .eq('supabase_id', supabaseId);
+
+    if (error) console.error(`Error removing Airtable record id for ${tableKey} ${supabaseId}:`, error);
+  }
+
+  /**
+   * Sync state for every table plus whether a run is in progress
+   * @returns {Promise<Object>} - { running, lock, tables }
+   */
+  async getStatus() {
+    const { data: tables, error } = await this.supabase
+      .from('airtable_sync_state')
+      .select('*')
+      .order('table_key', { ascending: true });
+
+    if (error) throw error;
+
+    const { data: lock, error: lockError } = await this.supabase
+      .from('sync_locks')
+      .select('holder, acquired_at, expires_at')
+      .eq('name', LOCK_NAME)
+      .maybeSingle();
+
+    if (lockError) throw lockError;
+
+    const activeLock = lock && new Date(lock.expires_at).getTime() > Date.now() ? lock : null;
+    return {
+      running: Boolean(activeLock),
+      currentRun: this.running,
+      lock: activeLock,
+      schema: this.schemaCheck,
+      tables
+    };
+  }
+
+  async getState(tableKey) {
+    const { data, error } = await this.supabase
+      .from('airtable_sync_state')
+      .select('*')
+      .eq('table_key', tableKey)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  async saveState(tableKey, fields) {
+    const { error } = await this.supabase
+      .from('airtable_sync_state')
+      .upsert([{ table_key: tableKey, ...fields, updated_at: new Date().toISOString() }], { onConflict: 'table_key' });
+
+    if (error) console.error(`Error saving Airtable sync state for ${tableKey}:`, error);
+  }
+
+  /**
+   * Take the sync lease. An expired lease (a crashed run) can be taken over.
+   * @returns {Promise<boolean>}
+   */
+  async acquireLock() {
+    const now = new Date();
+    const lease = {
+      holder: this.holder,
+      acquired_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + this.lockTtlMs).toISOString()
+    };
+
+    const { error: insertError } = await this.supabase
+      .from('sync_locks')
+      .insert([{ name: LOCK_NAME, ...lease }]);
+
+    if (!insertError) return true;
+    if (insertError.code !== '23505') throw insertError;
+
+    const { data: taken, error: updateError } = await this.supabase
+      .from('sync_locks')
+      .update(lease)
+      .eq('name', LOCK_NAME)
+      .lt('expires_at', now.toISOString())
+      .select();
+
+    if (updateError) throw updateError;
+    if (taken.length > 0) console.warn('Took over an expired Airtable sync lock');
+    return taken.length > 0;
+  }
+
+  async releaseLock() {
+    const { error } = await this.supabase
+      .from('sync_locks')
+      .delete()
+      .eq('name', LOCK_NAME)
+      .eq('holder', this.holder);
+
+    if (error) console.error('Error releasing Airtable sync lock:', error);
+  }
+}
+
+module.exports = { AirtableSync, SYNC_ERRORS };
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+/**
+ * Cache of scrape + analysis results, backed by the `website_content` table.
+ *
+ * Rows are keyed by a normalized URL so `http://www.example.com/?utm_source=x`
+ * and `https://example.com` hit the same entry, and carry a hash of the
+ * scraped text so an unchanged page can reuse its previous analysis.
+ */
+
+const TRACKING_PARAMS = /^(utm_.+|gclid|gbraid|wbraid|fbclid|msclkid|dclid|yclid|mc_cid|mc_eid|_ga|_gl|ref|ref_src|igshid)$/i;
+
+/**
+ * Normalize a URL for cache lookups
+ * @param {string} url - Website URL
+ * @returns {string} - Normalized URL
+ */
+const normalizeUrlForCache = (url) => {
+  const parsed = new URL(url.includes('://') ? url : `https://${url}`);
+
+  // http/https and www/non-www serve the same site for our purposes
+  parsed.protocol = 'https:';
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  parsed.port = '';
+  parsed.hash = '';
+  parsed.username = '';
+  parsed.password = '';
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  const pathname = parsed.pathname.replace(/\/+$/, '') || '';
+  return `${parsed.protocol}//${parsed.hostname}${pathname}${parsed.search}`;
+};
+
+/**
+ * Hash the text of a scrape so unchanged pages can be detected
+ * @param {Object} content - Scraped content
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashContent = (content) => {
+  const subpages = content.subpages || {};
+  const significant = {
+    title: content.title,
+    metaDescription: content.metaDescription,
+    headings: content.headings,
+    paragraphs: content.paragraphs,
+    mainContent: content.mainContent,
+    subpages: Object.keys(subpages).sort().map(type => [type, subpages[type].mainContent])
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(significant)).digest('hex');
+};
+
+// A stored row only answers a request that asked for no more than was done for it:
+// a basic analysis can't answer a request for the full submission profile, a
+// smaller (or no) crawl can't answer a bigger one, and a row without assets
+// can't answer a request to capture them. Fallback analyses (the LLM call
+// failed) never answer anything, so the next request tries the LLM again.
+const satisfiesRequest = (row, { analysisMode, crawl, captureAssets }) => {
+  if (row.gpt_analysis?.fallback) return false;
+  if (analysisMode === 'full' && !row.gpt_analysis?.profile) return false;
+  if (captureAssets && !row.content?.assets) return false;
+
+  const done = row.content?.crawl;
+  if (crawl && !(done?.maxPages >= crawl.maxPages && done.maxDepth >= crawl.maxDepth)) return false;
+  return true;
+};
+
+/**
+ * Find a recent stored result for a URL
+ * @param {Object} supabase - Supabase client
+ * @param {string} normalizedUrl - Result of normalizeUrlForCache()
+ * @param {Object} options
+ * @param {number} options.ttlMs - Max age of a usable entry
+ * @param {string} [options.analysisMode] - Requested analysis mode
+ * @param {Object|null} [options.crawl] - Requested crawl budget { maxPages, maxDepth }, null for none
+ * @param {boolean} [options.captureAssets] - Whether screenshots and logo were requested
+ * @returns {Promise<Object|null>} - website_content row or null
+ */
+async function findCachedResult(supabase, normalizedUrl, { ttlMs, ...request }) {
+  const { data: rows, error } = await supabase
+    .from('website_content')
+    .select('*')
+    .eq('normalized_url', normalizedUrl)
+    .gte('created_at', new Date(Date.now() - ttlMs).toISOString())
+    .order('created_at', { ascending: false })
+    .limit(5);
+
+  if (error) throw error;
+  return rows.find(row => satisfiesRequest(row, request)) || null;
+}
+
+/**
+ * Find the latest analysis of identical page content, regardless of age
+ * @param {Object} supabase - Supabase client
+ * @param {string} normalizedUrl - Result of normalizeUrlForCache()
+ * @param {string} contentHash - Result of hashContent()
+ * @param {Object} [request]
+ * @param {string} [request.analysisMode] - Requested analysis mode
+ * @param {Object|null} [request.crawl] - Requested crawl budget; a crawl that found no pages hashes like no crawl
+ * @returns {Promise<Object|null>} - website_content row or null
+ */
+async function findAnalysisByHash(supabase, normalizedUrl, contentHash, { analysisMode, crawl } = {}) {
+  const { data: rows, error } = await supabase
+    .from('website_content')
+    .select('*')
+    .eq('normalized_url', normalizedUrl)
+    .eq('content_hash', contentHash)
+    .order('created_at', { ascending: false })
+    .limit(5);
+
+  if (error) throw error;
+  // Only the analysis is reused here; content and assets come from the fresh scrape
+  return rows.find(row => satisfiesRequest(row, { analysisMode, crawl })) || null;
+}
+
+module.exports = {
+  normalizeUrlForCache,
+  hashContent,
+  findCachedResult,
+  findAnalysisByHash
+};
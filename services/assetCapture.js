@@ -0,0 +1,137 @@
+const { fetchPublic } = require('./publicFetch');
+
+/**
+ * Screenshot and logo capture for directory submissions.
+ *
+ * Assets are uploaded to a public Supabase Storage bucket and the public URLs
+ * are returned so they can go straight into `logo_url` / `screenshot_urls`.
+ */
+
+const VIEWPORTS = {
+  desktop: { width: 1440, height: 900, deviceScaleFactor: 1, isMobile: false, hasTouch: false },
+  mobile: { width: 390, height: 844, deviceScaleFactor: 2, isMobile: true, hasTouch: true }
+};
+
+const MOBILE_USER_AGENT = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+const DESKTOP_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/121.0.0.0 Safari/537.36';
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/svg+xml': 'svg',
+  'image/webp': 'webp',
+  'image/x-icon': 'ico',
+  'image/vnd.microsoft.icon': 'ico'
+};
+
+/**
+ * Take a viewport screenshot of a page
+ * @param {Object} browserPool - Shared BrowserPool
+ * @param {string} url - Page URL
+ * @param {string} device - 'desktop' or 'mobile'
+ * @returns {Promise<Buffer>} - JPEG image
+ */
+async function takeScreenshot(browserPool, url, device) {
+  return browserPool.withPage(async (page) => {
+    await page.setViewport(VIEWPORTS[device]);
+    await page.setUserAgent(device === 'mobile' ? MOBILE_USER_AGENT : DESKTOP_USER_AGENT);
+    await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    return page.screenshot({ type: 'jpeg', quality: 80 });
+  });
+}
+
+/**
+ * Download the first usable logo from a list of candidate URLs
+ * @param {string[]} candidates - Logo URLs in order of preference
+ * @returns {Promise<Object|null>} - { buffer, contentType, sourceUrl } or null
+ */
+async function downloadLogo(candidates) {
+  for (const sourceUrl of candidates.filter(Boolean)) {
+    try {
+      // Candidates come from the scraped page, so they may only point at public https hosts
+      const response = await fetchPublic(sourceUrl, { timeout: 10000, maxContentLength: MAX_LOGO_BYTES });
+      const contentType = (response.headers['content-type'] || '').split(';')[0].trim();
+
+      if (EXTENSIONS[contentType] && response.data.byteLength > 0) {
+        return { buffer: Buffer.from(response.data), contentType, sourceUrl };
+      }
+    } catch (error) {
+      console.warn(`Could not download logo candidate ${sourceUrl}:`, error.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Upload a file to Supabase Storage and return its public URL
+ * @param {Object} supabase - Supabase client
+ * @param {string} bucket - Storage bucket
+ * @param {string} path - Object path within the bucket
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - MIME type
+ * @returns {Promise<string>} - Public URL
+ */
+async function uploadAsset(supabase, bucket, path, buffer, contentType) {
+  const { error } = await supabase.storage
+    .from(bucket)
+    .upload(path, buffer, { contentType, upsert: true });
+
+  if (error) throw error;
+
+  const { data } = supabase.storage.from(bucket).getPublicUrl(path);
+  return data.publicUrl;
+}
+
+/**
+ * Capture desktop/mobile screenshots and the site logo, and upload them
+ * @param {Object} options
+ * @param {Object} options.supabase - Supabase client
+ * @param {Object} options.browserPool - Shared BrowserPool
+ * @param {string} options.url - Website URL
+ * @param {Object} [options.metadata] - Extracted page metadata (logo/favicon candidates)
+ * @param {string} [options.userId] - Owner, used to namespace storage paths
+ * @param {string} [options.bucket] - Storage bucket name
+ * @returns {Promise<Object>} - { logoUrl, screenshotUrls, errors }
+ */
+async function captureWebsiteAssets({ supabase, browserPool, url, metadata = {}, userId, bucket = 'website-assets' }) {
+  const prefix = `${userId || 'anonymous'}/${new URL(url).hostname}/${Date.now()}`;
+  const result = { logoUrl: null, logoSourceUrl: null, screenshotUrls: [], errors: [] };
+
+  for (const device of Object.keys(VIEWPORTS)) {
+    try {
+      console.log(`Capturing ${device} screenshot of`, url);
+      const screenshot = await takeScreenshot(browserPool, url, device);
+      const publicUrl = await uploadAsset(supabase, bucket, `${prefix}/screenshot-${device}.jpg`, screenshot, 'image/jpeg');
+      result.screenshotUrls.push(publicUrl);
+    } catch (error) {
+      console.error(`Error capturing ${device} screenshot:`, error.message);
+      result.errors.push({ asset: `screenshot-${device}`, error: error.message });
+    }
+  }
+
+  try {
+    const logo = await downloadLogo([
+      metadata.logoUrl,
+      metadata.organization?.logo,
+      metadata.faviconUrl,
+      new URL('/favicon.ico', url).href
+    ]);
+
+    if (logo) {
+      const path = `${prefix}/logo.${EXTENSIONS[logo.contentType]}`;
+      result.logoUrl = await uploadAsset(supabase, bucket, path, logo.buffer, logo.contentType);
+      result.logoSourceUrl = logo.sourceUrl;
+    } else {
+      result.errors.push({ asset: 'logo', error: 'No usable logo candidate found' });
+    }
+  } catch (error) {
+    console.error('Error capturing logo:', error.message);
+    result.errors.push({ asset: 'logo', error: error.message });
+  }
+
+  return result;
+}
+
+module.exports = { captureWebsiteAssets };
@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+/**
+ * Supabase JWT authentication and authorization middleware.
+ *
+ * The caller's access token comes from the `Authorization: Bearer <jwt>`
+ * header. When SUPABASE_JWT_SECRET is set the token is verified locally,
+ * otherwise it is checked with Supabase Auth. Admins are users whose
+ * `app_metadata.role` is 'admin' (app_metadata can only be set server-side).
+ */
+
+const ADMIN_ROLE = 'admin';
+
+const base64UrlDecode = (segment) => Buffer.from(segment.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+/**
+ * Verify an HS256 Supabase access token with the project's JWT secret
+ * @param {string} token - JWT
+ * @param {string} secret - SUPABASE_JWT_SECRET
+ * @returns {Object} - Token payload
+ */
+const verifyJwt = (token, secret) => {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new Error('Malformed token');
+
+  const [encodedHeader, encodedPayload, encodedSignature] = parts;
+  const header = JSON.parse(base64UrlDecode(encodedHeader).toString('utf8'));
+  if (header.alg !== 'HS256') throw new Error(`Unsupported token algorithm ${header.alg}`);
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${encodedHeader}.${encodedPayload}`)
+    .digest();
+  const signature = base64UrlDecode(encodedSignature);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+    throw new Error('Invalid token signature');
+  }
+
+  const payload = JSON.parse(base64UrlDecode(encodedPayload).toString('utf8'));
+  if (!payload.exp || payload.exp * 1000 < Date.now()) throw new Error('Token expired');
+  if (payload.aud !== 'authenticated') throw new Error('Token is not for an authenticated user');
+  if (!payload.sub) throw new Error('Token has no subject');
+
+  return payload;
+};
+
+const toRequestUser = ({ id, email, appMetadata }) => ({
+  id,
+  email,
+  role: appMetadata?.role || 'user',
+  isAdmin: appMetadata?.role === ADMIN_ROLE
+});
+
+/**
+ * Whether a user may act on a resource owned by ownerId
+ * @param {Object} user - req.user
+ * @param {string} ownerId - user_id of the resource
+ * @returns {boolean}
+ */
+const isOwnerOrAdmin = (user, ownerId) => Boolean(user && (user.isAdmin || (ownerId && user.id === ownerId)));
+
+/**
+ * Build the auth middleware for an app
+ * @param {Object} supabase - Supabase client (service role)
+ * @param {Object} [options]
+ * @param {string} [options.jwtSecret] - Verify tokens locally with this secret
+ * @returns {Object} - { requireAuth, requireAdmin }
+ */
+const createAuthMiddleware = (supabase, { jwtSecret } = {}) => {
+  const authenticate = async (token) => {
+    if (jwtSecret) {
+      const payload = verifyJwt(token, jwtSecret);
+      return toRequestUser({ id: payload.sub, email: payload.email, appMetadata: payload.app_metadata });
+    }
+
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) throw new Error(error?.message || 'Invalid token');
+    return toRequestUser({ id: data.user.id, email: data.user.email, appMetadata: data.user.app_metadata });
+  };
+
+  // Reject requests without a valid Supabase access token; sets req.user
+  const requireAuth = async (req, res, next) => {
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+
+    if (!match) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        details: 'Provide a Supabase access token in the Authorization header'
+      });
+    }
+
+    try {
+      req.user = await authenticate(match[1].trim());
+      next();
+    } catch (error) {
+      console.warn('Rejected access token:', error.message);
+      res.status(401).json({ error: 'Invalid or expired token', details: error.message });
+    }
+  };
+
+  // requireAuth, plus the admin role
+  const requireAdmin = (req, res, next) => {
+    requireAuth(req, res, () => {
+      if (!req.user.isAdmin) {
+        return res.status(403).json({ error: 'Forbidden', details: 'Admin role required' });
+      }
+      next();
+    });
+  };
+
+  return { requireAuth, requireAdmin };
+};
+
+module.exports = { createAuthMiddleware, isOwnerOrAdmin, verifyJwt };
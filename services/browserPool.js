@@ -0,0 +1,275 @@
+/**
+ * Shared pool of headless Chromium instances.
+ *
+ * Browsers are launched lazily, serve several tabs at once and are recycled
+ * after a fixed number of pages (or when they crash). Pages are reset and
+ * reused between leases instead of being opened for every scrape.
+ */
+class BrowserPool {
+  /**
+   * @param {Object} options
+   * @param {Function} options.launch - async () => Browser
+   * @param {number} [options.maxBrowsers=2] - Max browsers alive at once
+   * @param {number} [options.maxPagesPerBrowser=4] - Max concurrent tabs per browser
+   * @param {number} [options.maxUsesPerBrowser=50] - Pages served before a browser is recycled
+   * @param {number} [options.acquireTimeoutMs=60000] - How long to wait for a free tab
+   */
+  constructor({ launch, maxBrowsers = 2, maxPagesPerBrowser = 4, maxUsesPerBrowser = 50, acquireTimeoutMs = 60000 }) {
+    this.launch = launch;
+    this.maxBrowsers = maxBrowsers;
+    this.maxPagesPerBrowser = maxPagesPerBrowser;
+    this.maxUsesPerBrowser = maxUsesPerBrowser;
+    this.acquireTimeoutMs = acquireTimeoutMs;
+
+    this.entries = [];
+    this.launching = 0;
+    this.waiters = [];
+    this.nextId = 1;
+    this.closed = false;
+    this.lastLaunchError = null;
+    this.metrics = {
+      browsersLaunched: 0,
+      browsersRecycled: 0,
+      browserCrashes: 0,
+      launchFailures: 0,
+      pagesServed: 0,
+      pagesReused: 0,
+      acquireTimeouts: 0
+    };
+  }
+
+  /**
+   * Run a function with a pooled page, releasing it afterwards
+   * @param {Function} fn - async (page) => result
+   * @returns {Promise<*>} - Whatever fn returns
+   */
+  async withPage(fn) {
+    const lease = await this.acquire();
+    let broken = false;
+    try {
+      return await fn(lease.page);
+    } catch (error) {
+      // A page that errored may be stuck mid-navigation; don't hand it out again
+      broken = true;
+      throw error;
+    } finally {
+      await this.release(lease, { broken });
+    }
+  }
+
+  /**
+   * Get a page from the pool, waiting for a free tab if necessary
+   * @returns {Promise<Object>} - Lease { page, entry }
+   */
+  async acquire() {
+    if (this.closed) throw new Error('Browser pool is closed');
+
+    const entry = this.findAvailableEntry();
+    if (entry) return this.openPage(entry);
+
+    if (this.entries.length + this.launching < this.maxBrowsers) {
+      return this.openPage(await this.launchEntry());
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject };
+      waiter.timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        this.metrics.acquireTimeouts++;
+        reject(new Error(`Timed out after ${this.acquireTimeoutMs}ms waiting for a browser page`));
+      }, this.acquireTimeoutMs);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Return a page to the pool
+   * @param {Object} lease - Lease returned by acquire()
+   * @param {Object} [options]
+   * @param {boolean} [options.broken=false] - Close the page instead of reusing it
+   */
+  async release(lease, { broken = false } = {}) {
+    const { entry, page } = lease;
+    entry.activePages--;
+
+    const reusable = !broken && !entry.retiring && !entry.crashed && !page.isClosed();
+    if (reusable) {
+      try {
+        page.removeAllListeners('request');
+        await page.setRequestInterception(false);
+        await page.goto('about:blank');
+        entry.idlePages.push(page);
+      } catch (error) {
+        console.warn(`Could not reset page on browser ${entry.id}:`, error.message);
+        await this.closePage(page);
+      }
+    } else {
+      await this.closePage(page);
+    }
+
+    if (entry.retiring && entry.activePages === 0) {
+      await this.retireEntry(entry);
+    }
+
+    this.serveWaiters();
+  }
+
+  /**
+   * Pool health and counters
+   * @returns {Object}
+   */
+  getStats() {
+    const browsers = this.entries.map(entry => ({
+      id: entry.id,
+      activePages: entry.activePages,
+      idlePages: entry.idlePages.length,
+      uses: entry.uses,
+      retiring: entry.retiring,
+      launchedAt: entry.launchedAt.toISOString()
+    }));
+
+    return {
+      healthy: !this.closed && !this.lastLaunchError,
+      lastLaunchError: this.lastLaunchError,
+      browsers,
+      launching: this.launching,
+      activePages: browsers.reduce((sum, b) => sum + b.activePages, 0),
+      capacity: this.maxBrowsers * this.maxPagesPerBrowser,
+      waiting: this.waiters.length,
+      limits: {
+        maxBrowsers: this.maxBrowsers,
+        maxPagesPerBrowser: this.maxPagesPerBrowser,
+        maxUsesPerBrowser: this.maxUsesPerBrowser
+      },
+      metrics: { ...this.metrics }
+    };
+  }
+
+  /**
+   * Close every browser and reject pending waiters
+   */
+  async close() {
+    this.closed = true;
+    this.waiters.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(new Error('Browser pool is closed'));
+    });
+    this.waiters = [];
+    await Promise.all(this.entries.map(entry => this.retireEntry(entry)));
+  }
+
+  findAvailableEntry() {
+    const candidates = this.entries.filter(entry =>
+      !entry.retiring && !entry.crashed && entry.activePages < this.maxPagesPerBrowser
+    );
+    // Prefer browsers with an idle page ready, then the least busy one
+    candidates.sort((a, b) =>
+      (b.idlePages.length > 0) - (a.idlePages.length > 0) || a.activePages - b.activePages
+    );
+    return candidates[0] || null;
+  }
+
+  async launchEntry() {
+    this.launching++;
+    try {
+      console.log('Launching pooled browser...');
+      const browser = await this.launch();
+      const entry = {
+        id: this.nextId++,
+        browser,
+        activePages: 0,
+        idlePages: [],
+        uses: 0,
+        retiring: false,
+        crashed: false,
+        launchedAt: new Date()
+      };
+
+      browser.on('disconnected', () => {
+        if (!entry.retiring) {
+          console.error(`Pooled browser ${entry.id} disconnected unexpectedly`);
+          entry.crashed = true;
+          this.metrics.browserCrashes++;
+        }
+        this.entries = this.entries.filter(e => e !== entry);
+        this.serveWaiters();
+      });
+
+      this.entries.push(entry);
+      this.lastLaunchError = null;
+      this.metrics.browsersLaunched++;
+      console.log(`Pooled browser ${entry.id} launched successfully`);
+      return entry;
+    } catch (error) {
+      this.metrics.launchFailures++;
+      this.lastLaunchError = error.message;
+      throw error;
+    } finally {
+      this.launching--;
+    }
+  }
+
+  async openPage(entry) {
+    entry.activePages++;
+    entry.uses++;
+    if (entry.uses >= this.maxUsesPerBrowser) {
+      entry.retiring = true;
+    }
+
+    try {
+      let page = entry.idlePages.pop();
+      if (page && !page.isClosed()) {
+        this.metrics.pagesReused++;
+      } else {
+        page = await entry.browser.newPage();
+      }
+      this.metrics.pagesServed++;
+      return { entry, page };
+    } catch (error) {
+      entry.activePages--;
+      throw error;
+    }
+  }
+
+  async closePage(page) {
+    try {
+      if (!page.isClosed()) await page.close();
+    } catch (error) {
+      console.warn('Error closing pooled page:', error.message);
+    }
+  }
+
+  async retireEntry(entry) {
+    entry.retiring = true;
+    this.entries = this.entries.filter(e => e !== entry);
+    await Promise.all(entry.idlePages.map(page => this.closePage(page)));
+    entry.idlePages = [];
+
+    if (!entry.crashed) {
+      try {
+        await entry.browser.close();
+        this.metrics.browsersRecycled++;
+        console.log(`Pooled browser ${entry.id} closed`);
+      } catch (error) {
+        console.error(`Error closing pooled browser ${entry.id}:`, error);
+      }
+    }
+  }
+
+  serveWaiters() {
+    while (this.waiters.length > 0) {
+      const entry = this.findAvailableEntry();
+      const canLaunch = this.entries.length + this.launching < this.maxBrowsers;
+      if (!entry && !canLaunch) return;
+
+      const waiter = this.waiters.shift();
+      clearTimeout(waiter.timer);
+      const lease = entry
+        ? this.openPage(entry)
+        : this.launchEntry().then(launched => this.openPage(launched));
+      lease.then(waiter.resolve, waiter.reject);
+    }
+  }
+}
+
+module.exports = { BrowserPool };
@@ -0,0 +1,301 @@
+const cron = require('node-cron');
+
+/**
+ * Lifecycle email campaigns, run on a cron schedule.
+ *
+ * - welcome: new sign-ups
+ * - unpaid_reminder: submissions still pending N days after creation with no payment since
+ *   (a marketing email, so users can unsubscribe from it)
+ * - feedback_request: submissions that went `done` N days ago
+ *
+ * Each send is claimed in `campaign_sends` (unique per campaign + record)
+ * before it is queued, so a user never gets the same campaign email twice.
+ * Only records inside a lookback window are considered, so turning a
+ * campaign on doesn't mail every old record at once.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const readNumber = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+/**
+ * Campaign settings from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {Object}
+ */
+const loadCampaignConfig = (env = process.env) => ({
+  schedule: env.CAMPAIGN_CRON || '*/15 * * * *',
+  enabled: (env.CAMPAIGNS_ENABLED || 'welcome,unpaid_reminder,feedback_request')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean),
+  welcomeLookbackHours: readNumber(env.WELCOME_LOOKBACK_HOURS, 48),
+  unpaidReminderDays: readNumber(env.UNPAID_REMINDER_DAYS, 3),
+  feedbackRequestDays: readNumber(env.FEEDBACK_REQUEST_DAYS, 14),
+  lookbackDays: readNumber(env.CAMPAIGN_LOOKBACK_DAYS, 7)
+});
+
+class CampaignScheduler {
+  /**
+   * @param {Object} options
+   * @param {Object} options.supabase - Supabase client (service role)
+   * @param {Object} options.emailOutbox - EmailOutbox used to queue the emails
+   * @param {Object} [options.config] - Overrides for loadCampaignConfig()
+   */
+  constructor({ supabase, emailOutbox, config = {} }) {
+    this.supabase = supabase;
+    this.emailOutbox = emailOutbox;
+    this.config = { ...loadCampaignConfig(), ...config };
+    this.running = false;
+    this.lastRun = null;
+    this.campaigns = {
+      welcome: () => this.runWelcome(),
+      unpaid_reminder: () => this.runUnpaidReminders(),
+      feedback_request: () => this.runFeedbackRequests()
+    };
+  }
+
+  /**
+   * Start the cron schedule
+   */
+  start() {
+    if (!cron.validate(this.config.schedule)) {
+      console.error(`Invalid CAMPAIGN_CRON "${this.config.schedule}", campaigns not scheduled`);
+      return;
+    }
+
+    cron.schedule(this.config.schedule, () => {
+      this.runAll().catch(error => console.error('Error running email campaigns:', error));
+    });
+    console.log(`Email campaigns scheduled (${this.config.schedule}): ${this.config.enabled.join(', ') || 'none'}`);
+  }
+
+  /**
+   * Run every enabled campaign once. Overlapping runs are skipped.
+   * @returns {Promise<Object>} - { [campaign]: { queued, skipped } | { error } }
+   */
+  async runAll() {
+    if (this.running) {
+      console.log('Email campaigns already running, skipping this run');
+      return { skipped: true };
+    }
+
+    this.running = true;
+    const results = {};
+    try {
+      for (const name of this.config.enabled) {
+        results[name] = await this.run(name).catch(error => {
+          console.error(`Error running ${name} campaign:`, error);
+          return { error: error.message };
+        });
+      }
+      this.lastRun = { finishedAt: new Date().toISOString(), results };
+      return results;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Run one campaign
+   * @param {string} name - Campaign name
+   * @returns {Promise<Object>} - { queued, skipped }
+   */
+  async run(name) {
+    const campaign = this.campaigns[name];
+    if (!campaign) {
+      const error = new Error(`Unknown campaign "${name}"`);
+      error.code = 'UNKNOWN_CAMPAIGN';
+      throw error;
+    }
+
+    const result = await campaign();
+    if (result.queued > 0) {
+      console.log(`Campaign ${name}: queued ${result.queued} email(s), skipped ${result.skipped}`);
+    }
+    return result;
+  }
+
+  /**
+   * Campaign names with their settings and how many emails each has sent
+   * @returns {Promise<Array>}
+   */
+  async getSummary() {
+    const summary = [];
+    for (const name of Object.keys(this.campaigns)) {
+      const { count, error } = await this.supabase
+        .from('campaign_sends')
+        .select('id', { count: 'exact', head: true })
+        .eq('campaign', name);
+
+      if (error) throw error;
+      summary.push({ name, enabled: this.config.enabled.includes(name), sent: count || 0 });
+    }
+    return summary;
+  }
+
+  // Welcome email for users who signed up within the lookback window
+  async runWelcome() {
+    const since = new Date(Date.now() - this.config.welcomeLookbackHours * HOUR_MS).toISOString();
+
+    const { data: users, error } = await this.supabase.rpc('recent_signups', { p_since: since });
+    if (error) throw error;
+
+    return this.sendAll('welcome', users.map(user => ({
+      entityId: user.id,
+      userId: user.id,
+      to: user.email,
+      template: 'welcome',
+      data: { name: user.user_metadata?.full_name || user.user_metadata?.name || '' },
+      locale: user.user_metadata?.locale || null
+    })));
+  }
+
+  // Payment reminder for submissions still pending N days after they were created
+  async runUnpaidReminders() {
+    const { dueBefore, windowStart } = this.window(this.config.unpaidReminderDays);
+
+    const { data: submissions, error } = await this.supabase
+      .from('product_submissions')
+      .select('id, user_id, email_user, product_name, plan_name, price, locale, created_at')
+      .eq('status', 'pending')
+      .lte('created_at', dueBefore)
+      .gte('created_at', windowStart);
+
+    if (error) throw error;
+
+    const unpaid = [];
+    for (const submission of submissions) {
+      if (!submission.email_user) continue;
+      if (submission.user_id && await this.hasPaidSince(submission.user_id, submission.created_at)) continue;
+      unpaid.push(submission);
+    }
+
+    return this.sendAll('unpaid_reminder', unpaid.map(submission => ({
+      entityId: submission.id,
+      userId: submission.user_id,
+      to: submission.email_user,
+      template: 'unpaid_reminder',
+      data: {
+        submissionId: submission.id,
+        productName: submission.product_name,
+        plan: submission.plan_name,
+        price: submission.price
+      },
+      locale: submission.locale
+    })));
+  }
+
+  // Feedback request for submissions that went `done` N days ago
+  async runFeedbackRequests() {
+    const { dueBefore, windowStart } = this.window(this.config.feedbackRequestDays);
+
+    const { data: completions, error } = await this.supabase
+      .from('submission_status_history')
+      .select('submission_id, created_at')
+      .eq('new_status', 'done')
+      .lte('created_at', dueBefore)
+      .gte('created_at', windowStart);
+
+    if (error) throw error;
+    if (!completions.length) return { queued: 0, skipped: 0 };
+
+    const { data: submissions, error: submissionsError } = await this.supabase
+      .from('product_submissions')
+      .select('id, user_id, email_user, product_name, locale, status')
+      .in('id', [...new Set(completions.map(entry => entry.submission_id))])
+      .eq('status', 'done');
+
+    if (submissionsError) throw submissionsError;
+
+    return this.sendAll('feedback_request', submissions
+      .filter(submission => submission.email_user)
+      .map(submission => ({
+        entityId: submission.id,
+        userId: submission.user_id,
+        to: submission.email_user,
+        template: 'feedback_request',
+        data: { submissionId: submission.id, productName: submission.product_name },
+        locale: submission.locale
+      })));
+  }
+
+  // Records become due `delayDays` after their timestamp and stay eligible for the lookback window
+  window(delayDays) {
+    const dueBefore = Date.now() - delayDays * DAY_MS;
+    return {
+      dueBefore: new Date(dueBefore).toISOString(),
+      windowStart: new Date(dueBefore - this.config.lookbackDays * DAY_MS).toISOString()
+    };
+  }
+
+  async hasPaidSince(userId, since) {
+    const { data, error } = await this.supabase
+      .from('payments')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('status', 'paid')
+      .gte('created_at', since)
+      .limit(1);
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  /**
+   * Claim and queue each email, skipping anything this campaign already sent
+   * @param {string} campaign - Campaign name
+   * @param {Array} sends - [{ entityId, userId, to, template, data, locale }]
+   * @returns {Promise<Object>} - { queued, skipped }
+   */
+  async sendAll(campaign, sends) {
+    let queued = 0;
+    let skipped = 0;
+
+    for (const send of sends) {
+      const { data: claim, error } = await this.supabase
+        .from('campaign_sends')
+        .insert([{ campaign, entity_id: String(send.entityId), user_id: send.userId || null }])
+        .select()
+        .maybeSingle();
+
+      if (error) {
+        // Unique violation: already sent for this record
+        if (error.code === '23505') {
+          skipped++;
+          continue;
+        }
+        throw error;
+      }
+
+      try {
+        const message = await this.emailOutbox.enqueue({
+          to: send.to,
+          template: send.template,
+          data: send.data,
+          locale: send.locale,
+          userId: send.userId,
+          dedupeKey: `campaign:${campaign}:${send.entityId}`
+        });
+
+        await this.supabase
+          .from('campaign_sends')
+          .update({ outbox_id: message.id })
+          .eq('id', claim.id);
+        queued++;
+      } catch (enqueueError) {
+        // Release the claim so the next run tries again
+        console.error(`Error queueing ${campaign} email for ${send.entityId}:`, enqueueError);
+        await this.supabase.from('campaign_sends').delete().eq('id', claim.id);
+      }
+    }
+
+    return { queued, skipped };
+  }
+}
+
+module.exports = { CampaignScheduler, loadCampaignConfig };
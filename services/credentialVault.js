@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+
+/**
+ * Encrypted storage for the directory-account passwords customers give us
+ * with a submission.
+ *
+ * Passwords are encrypted with AES-256-GCM under CREDENTIALS_ENCRYPTION_KEY
+ * (32 bytes, base64 or hex) and kept in `submission_credentials`, bound to
+ * their submission id so a ciphertext can't be moved to another row. Every
+ * store, reveal and seal is written to `credential_access_log`.
+ *
+ * Submissions still arrive with a plaintext `password` column from the
+ * frontend; sealPlaintext() moves those into the vault and clears the column.
+ */
+
+const VAULT_ERRORS = {
+  KEY_MISSING: 'VAULT_KEY_MISSING',
+  NOT_FOUND: 'CREDENTIALS_NOT_FOUND',
+  DECRYPT_FAILED: 'CREDENTIALS_DECRYPT_FAILED',
+  INVALID_CREDENTIALS: 'INVALID_CREDENTIALS'
+};
+
+const FORMAT_VERSION = 'v1';
+
+const vaultError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Parse the encryption key from the environment
+ * @param {Object} [env] - Environment variables
+ * @returns {Buffer|null} - 32-byte key, or null when not configured
+ */
+const loadVaultKey = (env = process.env) => {
+  const raw = (env.CREDENTIALS_ENCRYPTION_KEY || '').trim();
+  if (!raw) return null;
+
+  const key = /^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64');
+  if (key.length !== 32) {
+    throw vaultError(VAULT_ERRORS.KEY_MISSING, 'CREDENTIALS_ENCRYPTION_KEY must be 32 bytes, base64 or hex encoded');
+  }
+  return key;
+};
+
+class CredentialVault {
+  /**
+   * @param {Object} options
+   * @param {Object} options.supabase - Supabase client (service role)
+   * @param {Buffer|null} options.key - From loadVaultKey(); without one the vault refuses to read or write
+   */
+  constructor({ supabase, key }) {
+    this.supabase = supabase;
+    this.key = key;
+    // Stored next to each secret so a rotated key fails clearly instead of as a bad auth tag
+    this.keyId = key ? crypto.createHash('sha256').update(key).digest('hex').slice(0, 8) : null;
+  }
+
+  get enabled() {
+    return Boolean(this.key);
+  }
+
+  requireKey() {
+    if (!this.key) throw vaultError(VAULT_ERRORS.KEY_MISSING, 'CREDENTIALS_ENCRYPTION_KEY is not configured');
+  }
+
+  encrypt(submissionId, plaintext) {
+    this.requireKey();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    cipher.setAAD(Buffer.from(String(submissionId)));
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [FORMAT_VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), ciphertext.toString('base64')].join(':');
+  }
+
+  decrypt(submissionId, { secret, key_id: keyId }) {
+    this.requireKey();
+    if (keyId && keyId !== this.keyId) {
+      throw vaultError(VAULT_ERRORS.DECRYPT_FAILED, `Credentials were encrypted with key ${keyId}, current key is ${this.keyId}`);
+    }
+
+    try {
+      const [version, iv, tag, ciphertext] = secret.split(':');
+      if (version !== FORMAT_VERSION) throw new Error(`Unknown format ${version}`);
+
+      const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, Buffer.from(iv, 'base64'));
+      decipher.setAAD(Buffer.from(String(submissionId)));
+      decipher.setAuthTag(Buffer.from(tag, 'base64'));
+      return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw vaultError(VAULT_ERRORS.DECRYPT_FAILED, `Could not decrypt credentials: ${error.message}`);
+    }
+  }
+
+  /**
+   * Encrypt and save a submission's directory-account password
+   * @param {string} submissionId - Product submission ID
+   * @param {string} password - Plaintext password
+   * @param {Object} audit - { actor: { id, role }, reason, ip, userAgent }
+   */
+  async store(submissionId, password, audit) {
+    if (typeof password !== 'string' || password.length === 0 || password.length > 1024) {
+      throw vaultError(VAULT_ERRORS.INVALID_CREDENTIALS, 'password must be a non-empty string of at most 1024 characters');
+    }
+
+    await this.saveSecret(submissionId, password, audit.actor);
+    await this.logAccess(submissionId, 'store', audit);
+  }
+
+  async saveSecret(submissionId, password, actor) {
+    const { error } = await this.supabase
+      .from('submission_credentials')
+      .upsert([{
+        submission_id: submissionId,
+        secret: this.encrypt(submissionId, password),
+        key_id: this.keyId,
+        updated_by: actor?.id || null,
+        updated_at: new Date().toISOString()
+      }], { onConflict: 'submission_id' });
+
+    if (error) throw error;
+  }
+
+  /**
+   * Decrypt a submission's password. Every call is audited.
+   * @param {string} submissionId - Product submission ID
+   * @param {Object} audit - { actor: { id, role }, reason, ip, userAgent }
+   * @returns {Promise<string>} - Plaintext password
+   */
+  async reveal(submissionId, audit) {
+    this.requireKey();
+
+    const { data: stored, error } = await this.supabase
+      .from('submission_credentials')
+      .select('secret, key_id')
+      .eq('submission_id', submissionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!stored) throw vaultError(VAULT_ERRORS.NOT_FOUND, 'No stored credentials for this submission');
+
+    // Log before decrypting so failed attempts are recorded too
+    await this.logAccess(submissionId, 'reveal', audit);
+    return this.decrypt(submissionId, stored);
+  }
+
+  async hasCredentials(submissionId) {
+    const { data, error } = await this.supabase
+      .from('submission_credentials')
+      .select('submission_id')
+      .eq('submission_id', submissionId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return Boolean(data);
+  }
+
+  /**
+   * Audit trail for a submission's credentials, newest first
+   * @param {string} submissionId - Product submission ID
+   * @returns {Promise<Array>}
+   */
+  async getAccessLog(submissionId) {
+    const { data, error } = await this.supabase
+      .from('credential_access_log')
+      .select('id, action, actor_id, actor_role, reason, ip, user_agent, created_at')
+      .eq('submission_id', submissionId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Move plaintext passwords from product_submissions into the vault and clear the column
+   * @param {Object} [options]
+   * @param {number} [options.batchSize=100] - Rows per query
+   * @returns {Promise<Object>} - { sealed, failed }
+   */
+  async sealPlaintext({ batchSize = 100 } = {}) {
+    this.requireKey();
+    const result = { sealed: 0, failed: 0 };
+    const failedIds = new Set();
+
+    for (;;) {
+      let query = this.supabase
+        .from('product_submissions')
+        .select('id, password')
+        .not('password', 'is', null)
+        .neq('password', '');
+      // Skip rows that already failed this run so they can't loop forever
+      if (failedIds.size > 0) query = query.not('id', 'in', `(${[...failedIds].join(',')})`);
+
+      const { data: rows, error } = await query.limit(batchSize);
+      if (error) throw error;
+      if (rows.length === 0) break;
+
+      for (const row of rows) {
+        try {
+          await this.saveSecret(row.id, row.password, null);
+
+          // Only clear the column if it still holds the value we encrypted
+          const { error: clearError } = await this.supabase
+            .from('product_submissions')
+            .update({ password: null })
+            .eq('id', row.id)
+            .eq('password', row.password);
+
+          if (clearError) throw clearError;
+          await this.logAccess(row.id, 'seal', { actor: { id: null, role: 'system' }, reason: 'Encrypted plaintext password' });
+          result.sealed++;
+        } catch (sealError) {
+          console.error(`Error encrypting credentials for submission ${row.id}:`, sealError.message);
+          failedIds.add(row.id);
+          result.failed++;
+        }
+      }
+
+      if (rows.length < batchSize) break;
+    }
+
+    if (result.sealed > 0 || result.failed > 0) {
+      console.log(`Credential vault: encrypted ${result.sealed} plaintext password(s), ${result.failed} failed`);
+    }
+    return result;
+  }
+
+  async logAccess(submissionId, action, { actor, reason, ip, userAgent } = {}) {
+    const { error } = await this.supabase
+      .from('credential_access_log')
+      .insert([{
+        submission_id: submissionId,
+        action,
+        actor_id: actor?.id || null,
+        actor_role: actor?.role || null,
+        reason: reason || null,
+        ip: ip || null,
+        user_agent: userAgent || null
+      }]);
+
+    // An unaudited reveal is not allowed, so this throws rather than logging and carrying on
+    if (error) throw error;
+  }
+}
+
+module.exports = { CredentialVault, VAULT_ERRORS, loadVaultKey };
@@ -0,0 +1,149 @@
+/**
+ * Credit ledger backed by the `credit_balances` and `credit_transactions`
+ * tables. Balance changes go through the `apply_credit_transaction` database
+ * function, which locks the user's balance row so concurrent debits can't
+ * overdraw it.
+ */
+
+const INSUFFICIENT_CREDITS = 'INSUFFICIENT_CREDITS';
+
+// A configured cost, where 0 makes the action free; unset or invalid falls back to the default
+const parseCost = (value, fallback = 1) => {
+  const parsed = Number(value);
+  return value !== undefined && value !== '' && Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+};
+
+// Credits charged per action
+const CREDIT_COSTS = {
+  analysis: parseCost(process.env.CREDIT_COST_ANALYSIS),
+  submission_run: parseCost(process.env.CREDIT_COST_SUBMISSION_RUN)
+};
+
+class CreditLedger {
+  /**
+   * @param {Object} supabase - Supabase client (service role)
+   */
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Current balance for a user
+   * @param {string} userId - User ID
+   * @returns {Promise<number>}
+   */
+  async getBalance(userId) {
+    const { data, error } = await this.supabase
+      .from('credit_balances')
+      .select('balance')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data ? data.balance : 0;
+  }
+
+  /**
+   * Transaction history, newest first
+   * @param {string} userId - User ID
+   * @param {Object} [options]
+   * @param {number} [options.limit=50]
+   * @param {number} [options.offset=0]
+   * @returns {Promise<Array>}
+   */
+  async getTransactions(userId, { limit = 50, offset = 0 } = {}) {
+    const { data, error } = await this.supabase
+      .from('credit_transactions')
+      .select('id, amount, balance_after, reason, reference_id, metadata, created_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Apply a signed change to a user's balance
+   * @param {string} userId - User ID
+   * @param {number} amount - Positive to grant, negative to debit
+   * @param {string} reason - e.g. 'analysis', 'purchase', 'refund'
+   * @param {string} [referenceId] - Related record (job, payment, submission)
+   * @param {Object} [metadata] - Extra details stored with the transaction
+   * @returns {Promise<Object>} - { transactionId, balance }
+   */
+  async apply(userId, amount, reason, referenceId = null, metadata = {}) {
+    const { data, error } = await this.supabase.rpc('apply_credit_transaction', {
+      p_user_id: userId,
+      p_amount: amount,
+      p_reason: reason,
+      p_reference_id: referenceId,
+      p_metadata: metadata
+    });
+
+    if (error) {
+      if (error.message && error.message.includes('insufficient_credits')) {
+        const balance = await this.getBalance(userId);
+        const insufficient = new Error(`This action costs ${-amount} credit(s) but your balance is ${balance}`);
+        insufficient.code = INSUFFICIENT_CREDITS;
+        insufficient.balance = balance;
+        insufficient.required = -amount;
+        throw insufficient;
+      }
+      throw error;
+    }
+
+    const row = Array.isArray(data) ? data[0] : data;
+    return { transactionId: row.transaction_id, balance: row.balance };
+  }
+
+  /**
+   * Apply a change at most once per reason and reference, for webhook
+   * deliveries that may be retried after the change was already made.
+   * The unique index on (reason, reference_id) backs this up against races.
+   * @returns {Promise<Object>} - { transactionId, balance, duplicate }
+   */
+  async applyOnce(userId, amount, reason, referenceId, metadata = {}) {
+    const { data: existing, error } = await this.supabase
+      .from('credit_transactions')
+      .select('id')
+      .eq('reason', reason)
+      .eq('reference_id', referenceId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (existing) return { transactionId: existing.id, balance: null, duplicate: true };
+
+    try {
+      return { ...(await this.apply(userId, amount, reason, referenceId, metadata)), duplicate: false };
+    } catch (applyError) {
+      // Postgres unique_violation: a concurrent call recorded it first
+      if (applyError.code === '23505') return { transactionId: null, balance: null, duplicate: true };
+      throw applyError;
+    }
+  }
+
+  /**
+   * Debit credits, failing with code INSUFFICIENT_CREDITS if the balance is too low
+   */
+  async debit(userId, amount, reason, referenceId = null, metadata = {}) {
+    return this.apply(userId, -Math.abs(amount), reason, referenceId, metadata);
+  }
+
+  /**
+   * Grant (or give back) credits
+   */
+  async grant(userId, amount, reason, referenceId = null, metadata = {}) {
+    return this.apply(userId, Math.abs(amount), reason, referenceId, metadata);
+  }
+}
+
+// Standard 402 response for an insufficient balance
+const sendInsufficientCredits = (res, error) => res.status(402).json({
+  error: 'Insufficient credits',
+  details: error.message,
+  balance: error.balance,
+  required: error.required
+});
+
+module.exports = { CreditLedger, CREDIT_COSTS, INSUFFICIENT_CREDITS, sendInsufficientCredits };
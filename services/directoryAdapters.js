@@ -0,0 +1,429 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { fetchPublic } = require('./publicFetch');
+
+/**
+ * Form adapters for automated directory submissions.
+ *
+ * An adapter is JSON stored on the directory (`directories.submission_adapter`):
+ *
+ *   {
+ *     "formUrl": "https://example.com/submit",   // defaults to the directory's submission_url
+ *     "waitFor": "form#submit-tool",             // optional, waited for before filling
+ *     "fields": [
+ *       { "selector": "#name", "source": "product_name" },
+ *       { "selector": "#tags", "source": "categories", "format": "comma" },
+ *       { "selector": "#pricing", "source": "pricing_model", "type": "select" },
+ *       { "selector": "#logo", "source": "logo_url", "type": "file" },
+ *       { "selector": "#terms", "type": "checkbox", "value": true }
+ *     ],
+ *     "submit": "button[type=submit]",
+ *     "success": { "selector": ".thank-you", "text": "Thanks", "urlContains": "/thanks" },
+ *     "manual": { "selectors": [".login-required"], "text": ["verify your email"] }
+ *   }
+ *
+ * Captchas, login walls and the adapter's `manual` markers stop the run for
+ * that directory with a "needs manual action" result instead of a failure.
+ * Files for upload fields are only downloaded over https from public addresses.
+ */
+
+// product_submissions columns an adapter field can read, plus the directory account
+const FIELD_SOURCES = [
+  'product_name', 'one_liner', 'description', 'website_url', 'price', 'plan_name',
+  'pros', 'cons', 'categories', 'logo_url', 'screenshot_urls', 'coupon_codes',
+  'twitter_handle', 'office_address', 'pricing_model', 'primary_builder',
+  'secondary_builder', 'discovery_source', 'email_user',
+  'account_email', 'account_password'
+];
+
+const FIELD_INPUT_TYPES = ['text', 'select', 'checkbox', 'radio', 'file'];
+const ARRAY_FORMATS = ['comma', 'lines', 'first'];
+
+const CAPTCHA_SELECTORS = [
+  'iframe[src*="recaptcha"]',
+  '.g-recaptcha',
+  'iframe[src*="hcaptcha"]',
+  '.h-captcha',
+  'iframe[src*="challenges.cloudflare.com"]',
+  '.cf-turnstile',
+  '#captcha',
+  'img[src*="captcha" i]',
+  'input[name*="captcha" i]'
+];
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Check that a URL may be opened by the submission runner
+ * @param {string} url - Form URL
+ * @param {Object} [options]
+ * @param {boolean} [options.allowFileUrls=false] - Allow file:// (local fixture forms)
+ * @returns {boolean}
+ */
+const isAllowedFormUrl = (url, { allowFileUrls = false } = {}) => {
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'https:' || protocol === 'http:' || (allowFileUrls && protocol === 'file:');
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Validate an adapter from an API request
+ * @param {Object} adapter - Adapter JSON
+ * @param {Object} [options] - { allowFileUrls }
+ * @returns {string[]} - Errors, empty when valid
+ */
+const validateAdapter = (adapter, options = {}) => {
+  const errors = [];
+  if (!adapter || typeof adapter !== 'object' || Array.isArray(adapter)) {
+    return ['submission_adapter must be an object'];
+  }
+
+  if (adapter.formUrl !== undefined && !isAllowedFormUrl(adapter.formUrl, options)) {
+    errors.push('submission_adapter.formUrl must be an http(s) URL');
+  }
+  if (adapter.waitFor !== undefined && typeof adapter.waitFor !== 'string') {
+    errors.push('submission_adapter.waitFor must be a selector');
+  }
+  if (typeof adapter.submit !== 'string' || !adapter.submit.trim()) {
+    errors.push('submission_adapter.submit must be the submit button selector');
+  }
+
+  if (!Array.isArray(adapter.fields) || adapter.fields.length === 0) {
+    errors.push('submission_adapter.fields must be a non-empty array');
+  } else {
+    adapter.fields.forEach((field, index) => {
+      const label = `submission_adapter.fields[${index}]`;
+      if (typeof field?.selector !== 'string' || !field.selector.trim()) errors.push(`${label}.selector is required`);
+      if (field?.value === undefined && !FIELD_SOURCES.includes(field?.source)) {
+        errors.push(`${label} needs a value or a source (one of ${FIELD_SOURCES.join(', ')})`);
+      }
+      if (field?.type !== undefined && !FIELD_INPUT_TYPES.includes(field.type)) {
+        errors.push(`${label}.type must be one of ${FIELD_INPUT_TYPES.join(', ')}`);
+      }
+      if (field?.format !== undefined && !ARRAY_FORMATS.includes(field.format)) {
+        errors.push(`${label}.format must be one of ${ARRAY_FORMATS.join(', ')}`);
+      }
+    });
+  }
+
+  const success = adapter.success || {};
+  if (!success.selector && !success.text && !success.urlContains) {
+    errors.push('submission_adapter.success needs a selector, text or urlContains to confirm the submission');
+  }
+
+  if (adapter.manual !== undefined) {
+    const { selectors = [], text = [] } = adapter.manual || {};
+    if (!Array.isArray(selectors) || !Array.isArray(text)) {
+      errors.push('submission_adapter.manual.selectors and .text must be arrays');
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Whether an adapter needs the directory-account password from the credential vault
+ * @param {Object} adapter - Adapter JSON
+ * @returns {boolean}
+ */
+const needsPassword = (adapter) => adapter.fields.some(field => field.source === 'account_password');
+
+/**
+ * Value to enter for one adapter field
+ * @param {Object} field - Adapter field
+ * @param {Object} submission - product_submissions row
+ * @param {Object} [secrets] - { password }
+ * @returns {*} - String for text inputs, boolean for checkboxes, URL for files, or null
+ */
+const resolveFieldValue = (field, submission, secrets = {}) => {
+  let value;
+  if (field.value !== undefined) value = field.value;
+  else if (field.source === 'account_email') value = submission.email;
+  else if (field.source === 'account_password') value = secrets.password;
+  else value = submission[field.source];
+
+  const type = field.type || 'text';
+  if (type === 'checkbox') return Boolean(value);
+
+  if (Array.isArray(value)) {
+    const items = value.filter(item => item != null && item !== '').map(String);
+    if (type === 'file' || field.format === 'first') value = items[0];
+    else value = items.join(field.format === 'lines' ? '\n' : ', ');
+  }
+
+  if (value == null || value === '') return null;
+  value = String(value);
+  return field.maxLength ? value.slice(0, field.maxLength) : value;
+};
+
+// Download a file to a temporary path for an upload field
+async function downloadForUpload(url, { allowFileUrls }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Can't upload ${url}: not a URL`);
+  }
+
+  // Submissions set these URLs, so local files are only readable in fixture mode
+  if (parsed.protocol === 'file:' && allowFileUrls) return { filePath: parsed.pathname, temporary: false };
+
+  const response = await fetchPublic(url, { timeout: 15000, maxContentLength: MAX_UPLOAD_BYTES });
+  const extension = path.extname(parsed.pathname).slice(0, 6) || '.jpg';
+  const filePath = path.join(os.tmpdir(), `submission-upload-${Date.now()}-${Math.random().toString(36).slice(2)}${extension}`);
+  await fs.writeFile(filePath, Buffer.from(response.data));
+  return { filePath, temporary: true };
+}
+
+/**
+ * Enter one value into the page
+ * @returns {Promise<string|null>} - Error message, or null when filled
+ */
+async function fillField(page, field, value, { allowFileUrls = false } = {}) {
+  const type = field.type || 'text';
+  const element = await page.$(field.selector);
+  if (!element) return `Field not found: ${field.selector}`;
+
+  if (type === 'checkbox') {
+    const checked = await element.evaluate(el => el.checked);
+    if (checked !== value) await element.click();
+    return null;
+  }
+
+  if (value == null) return null;
+
+  if (type === 'file') {
+    const { filePath, temporary } = await downloadForUpload(value, { allowFileUrls });
+    try {
+      await element.uploadFile(filePath);
+    } finally {
+      if (temporary) await fs.unlink(filePath).catch(() => {});
+    }
+    return null;
+  }
+
+  if (type === 'select') {
+    const matched = await element.evaluate((select, wanted) => {
+      const option = [...select.options].find(opt =>
+        opt.value.toLowerCase() === wanted.toLowerCase() || opt.textContent.trim().toLowerCase() === wanted.toLowerCase()
+      );
+      if (!option) return false;
+      select.value = option.value;
+      select.dispatchEvent(new Event('change', { bubbles: true }));
+      return true;
+    }, value);
+    return matched ? null : `No option "${value}" in ${field.selector}`;
+  }
+
+  if (type === 'radio') {
+    const matched = await page.$$eval(field.selector, (radios, wanted) => {
+      const radio = radios.find(el =>
+        el.value.toLowerCase() === wanted.toLowerCase() || (el.labels?.[0]?.textContent || '').trim().toLowerCase() === wanted.toLowerCase()
+      );
+      if (!radio) return false;
+      radio.click();
+      return true;
+    }, value);
+    return matched ? null : `No choice "${value}" in ${field.selector}`;
+  }
+
+  // Use the native setter so frameworks that track input values (React) see the change
+  await element.evaluate((el, text) => {
+    const prototype = el.tagName === 'TEXTAREA' ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+    Object.getOwnPropertyDescriptor(prototype, 'value').set.call(el, text);
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  }, value);
+  return null;
+}
+
+// Set on the form page before submitting, to tell a new document from an in-place update
+const FORM_PAGE_FLAG = '__submissionRunnerFormPage';
+
+/**
+ * What the page currently shows: confirmation, captcha, manual-step markers, invalid fields
+ * @param {Object} page - Puppeteer page
+ * @param {Object} adapter - Adapter JSON
+ * @param {Object} [baseline] - `markers` and `invalidFields` of the form page before submitting;
+ *   success markers that were already there (a "Thanks" in the footer) don't count as a
+ *   confirmation, and invalid fields that were already there don't count as a rejection
+ * @returns {Promise<Object>}
+ */
+async function inspectPage(page, adapter, baseline = null) {
+  const state = await page.evaluate(({ successSelector, successText, manualSelectors, manualText, captchaSelectors, formPageFlag, submitSelector }) => {
+    const visible = (el) => Boolean(el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+    const findVisible = (selectors) => selectors.find(selector => {
+      try {
+        return [...document.querySelectorAll(selector)].some(visible);
+      } catch (error) {
+        return false;
+      }
+    }) || null;
+    const text = (document.body?.innerText || '').toLowerCase();
+    const countVisible = (selector) => {
+      try {
+        return [...document.querySelectorAll(selector)].filter(visible).length;
+      } catch (error) {
+        return 0;
+      }
+    };
+
+    // Only the form being submitted counts, not a newsletter box elsewhere on the page
+    let submitForm = null;
+    try {
+      const submitButton = submitSelector && document.querySelector(submitSelector);
+      submitForm = submitButton && (submitButton.form || submitButton.closest('form'));
+    } catch (error) {
+      submitForm = null;
+    }
+    const invalid = submitForm
+      ? [...submitForm.elements].filter(el => el.matches(':invalid'))
+      : [...document.querySelectorAll('form :invalid')];
+
+    return {
+      markers: {
+        selectorCount: successSelector ? countVisible(successSelector) : 0,
+        textCount: successText ? text.split(successText.toLowerCase()).length - 1 : 0
+      },
+      formPage: Boolean(window[formPageFlag]),
+      captcha: findVisible(captchaSelectors),
+      manualSelector: findVisible(manualSelectors),
+      manualText: manualText.find(marker => text.includes(marker.toLowerCase())) || null,
+      passwordField: Boolean(findVisible(['input[type="password"]'])),
+      invalidFields: invalid
+        .filter(el => el.tagName !== 'FORM' && el.tagName !== 'FIELDSET')
+        .map(el => el.name || el.id || el.tagName.toLowerCase())
+        .slice(0, 10),
+      invalidInSubmitForm: Boolean(submitForm)
+    };
+  }, {
+    successSelector: adapter.success?.selector || null,
+    successText: adapter.success?.text || null,
+    manualSelectors: adapter.manual?.selectors || [],
+    manualText: adapter.manual?.text || [],
+    captchaSelectors: CAPTCHA_SELECTORS,
+    formPageFlag: FORM_PAGE_FLAG,
+    submitSelector: adapter.submit || null
+  });
+
+  // Without the submitted form to look in, fields that were invalid before submitting
+  // belong to some other form on the page
+  if (baseline && !state.invalidInSubmitForm) {
+    state.invalidFields = state.invalidFields.filter(name => !baseline.invalidFields.includes(name));
+  }
+
+  const pageUrl = page.url();
+  state.markers.urlMatch = Boolean(adapter.success?.urlContains && pageUrl.includes(adapter.success.urlContains));
+
+  // A reload of the form itself is compared with the form page too
+  const compareWith = baseline && (state.formPage || pageUrl === baseline.pageUrl) ? baseline : null;
+  state.markers.pageUrl = pageUrl;
+  state.success = state.markers.selectorCount > (compareWith?.selectorCount || 0) ||
+    state.markers.textCount > (compareWith?.textCount || 0) ||
+    (state.markers.urlMatch && !compareWith?.urlMatch);
+  return state;
+}
+
+const manualReason = (state, adapter) => {
+  if (state.captcha) return `CAPTCHA detected (${state.captcha})`;
+  if (state.manualSelector) return `Manual step detected (${state.manualSelector})`;
+  if (state.manualText) return `Manual step detected ("${state.manualText}")`;
+  if (state.passwordField && !needsPassword(adapter)) return 'Login required';
+  return null;
+};
+
+/**
+ * Fill and submit a directory's form in a page
+ * @param {Object} page - Puppeteer page
+ * @param {Object} options
+ * @param {Object} options.adapter - Adapter JSON
+ * @param {string} options.formUrl - Page with the form
+ * @param {Array} options.values - One resolved value per adapter field
+ * @param {number} [options.timeoutMs=30000] - Navigation timeout and how long to wait for a confirmation
+ * @param {boolean} [options.allowFileUrls=false] - Allow file:// uploads (local fixture forms)
+ * @returns {Promise<Object>} - { status: 'submitted'|'needs_manual'|'failed', reason, fieldsFilled, pageUrl, details }
+ */
+async function runAdapter(page, { adapter, formUrl, values, timeoutMs = 30000, allowFileUrls = false }) {
+  const fieldsFilled = [];
+  const result = (status, reason, details = {}) => ({ status, reason, fieldsFilled, pageUrl: page.url(), details });
+
+  try {
+    await page.goto(formUrl, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+    if (adapter.waitFor) await page.waitForSelector(adapter.waitFor, { timeout: timeoutMs });
+
+    const before = await inspectPage(page, adapter);
+    const blocked = manualReason(before, adapter);
+    if (blocked) return result('needs_manual', blocked);
+
+    const fieldErrors = [];
+    const missing = [];
+    for (const [index, field] of adapter.fields.entries()) {
+      const value = values[index];
+      if (value == null && field.required !== false && (field.type || 'text') !== 'checkbox') {
+        missing.push(field.source || field.selector);
+        continue;
+      }
+
+      const fieldError = await fillField(page, field, value, { allowFileUrls });
+      if (fieldError) fieldErrors.push(fieldError);
+      else if (value != null) fieldsFilled.push(field.source || field.selector);
+    }
+
+    if (missing.length > 0) {
+      return result('needs_manual', `Submission is missing ${missing.join(', ')}`, { missing });
+    }
+    if (fieldErrors.length > 0) {
+      return result('failed', `Could not fill the form: ${fieldErrors.join('; ')}`, { fieldErrors });
+    }
+
+    const submit = await page.$(adapter.submit);
+    if (!submit) return result('failed', `Submit button not found: ${adapter.submit}`);
+
+    // Success markers and invalid fields already on the form page don't come from the submit
+    const beforeSubmit = await inspectPage(page, adapter);
+    const baseline = { ...beforeSubmit.markers, invalidFields: beforeSubmit.invalidFields };
+    await page.evaluate((flag) => { window[flag] = true; }, FORM_PAGE_FLAG);
+    await submit.click();
+
+    // Poll rather than wait for a navigation: many directories submit with fetch and update in place
+    const deadline = Date.now() + timeoutMs;
+    let state = null;
+    while (Date.now() < deadline) {
+      await sleep(500);
+      try {
+        state = await inspectPage(page, adapter, baseline);
+      } catch (error) {
+        // The page is navigating; look again once it has loaded
+        continue;
+      }
+      if (state.success) return result('submitted', null);
+
+      const afterSubmit = manualReason(state, adapter);
+      if (afterSubmit) return result('needs_manual', afterSubmit);
+      if (state.invalidFields.length > 0) {
+        return result('failed', `The form rejected ${state.invalidFields.join(', ')}`, { invalidFields: state.invalidFields });
+      }
+    }
+
+    return result('failed', 'No confirmation after submitting the form');
+  } catch (error) {
+    return result('failed', error.message);
+  }
+}
+
+module.exports = {
+  FIELD_SOURCES,
+  FIELD_INPUT_TYPES,
+  CAPTCHA_SELECTORS,
+  isAllowedFormUrl,
+  validateAdapter,
+  needsPassword,
+  resolveFieldValue,
+  runAdapter
+};
@@ -0,0 +1,223 @@
+const { validateAdapter } = require('./directoryAdapters');
+
+/**
+ * Directory catalog and matching engine.
+ *
+ * Directories live in the Supabase `directories` table. `rankDirectories`
+ * scores each active directory against an analysis by category fit and
+ * listing quality (domain authority, link type, cost).
+ */
+
+const LINK_TYPES = ['dofollow', 'nofollow'];
+const PRICING_TYPES = ['free', 'freemium', 'paid'];
+const GENERAL_CATEGORY = 'general';
+
+// Directory-specific spellings that should count as the same category
+const CATEGORY_ALIASES = {
+  'ai ml': ['ai', 'artificial intelligence', 'machine learning'],
+  'saas': ['software', 'software as a service'],
+  'e commerce': ['ecommerce', 'online store', 'shopping'],
+  'developer tools': ['dev tools', 'developers', 'programming'],
+  'social media': ['social'],
+  'productivity': ['tools', 'utilities']
+};
+
+const normalizeCategory = (category) => String(category).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Expand a category into itself plus its aliases
+const expandCategory = (category) => {
+  const normalized = normalizeCategory(category);
+  const expanded = new Set([normalized]);
+  Object.entries(CATEGORY_ALIASES).forEach(([canonical, aliases]) => {
+    if (canonical === normalized || aliases.includes(normalized)) {
+      expanded.add(canonical);
+      aliases.forEach(alias => expanded.add(alias));
+    }
+  });
+  return expanded;
+};
+
+/**
+ * Score how well a directory's categories cover the analysis categories
+ * @param {string[]} wanted - Categories from the analysis
+ * @param {string[]} offered - Categories the directory accepts
+ * @returns {Object} - { fit (0-1), matchedCategories }
+ */
+const scoreCategoryFit = (wanted, offered) => {
+  const offeredSets = offered.map(expandCategory);
+  const offeredWords = new Set(offered.flatMap(category => normalizeCategory(category).split(' ')));
+  const matchedCategories = [];
+  let total = 0;
+
+  wanted.forEach(category => {
+    const expanded = expandCategory(category);
+    if (offeredSets.some(set => [...expanded].some(value => set.has(value)))) {
+      total += 1;
+      matchedCategories.push(category);
+    } else if (normalizeCategory(category).split(' ').some(word => word.length > 2 && offeredWords.has(word))) {
+      total += 0.5;
+      matchedCategories.push(category);
+    }
+  });
+
+  let fit = wanted.length > 0 ? total / wanted.length : 0;
+  // General directories accept anything, just not as a strong match
+  if (fit === 0 && offered.some(category => normalizeCategory(category) === GENERAL_CATEGORY)) {
+    fit = 0.3;
+  }
+  return { fit, matchedCategories };
+};
+
+/**
+ * Rank directories for an analysis
+ * @param {Array} directories - Rows from the `directories` table
+ * @param {Object} analysis - GPT analysis ({ categories, ... })
+ * @param {Object} [options]
+ * @param {number} [options.minScore=0.2] - Drop matches scoring below this
+ * @param {number} [options.limit] - Return at most this many
+ * @returns {Array} - Directories with `score` and `matchedCategories`, best first
+ */
+const rankDirectories = (directories, analysis, { minScore = 0.2, limit } = {}) => {
+  const wanted = Array.isArray(analysis?.categories) ? analysis.categories : [];
+
+  const ranked = directories
+    .map(directory => {
+      const { fit, matchedCategories } = scoreCategoryFit(wanted, directory.categories || []);
+      if (fit === 0) return null;
+
+      const quality = Math.min(Math.max(directory.domain_authority || 0, 0), 100) / 100;
+      const score = 0.6 * fit +
+        0.3 * quality +
+        (directory.link_type === 'dofollow' ? 0.1 : 0) -
+        (directory.pricing === 'paid' ? 0.05 : 0);
+
+      return {
+        id: directory.id,
+        name: directory.name,
+        url: directory.url,
+        submissionUrl: directory.submission_url,
+        categories: directory.categories,
+        domainAuthority: directory.domain_authority,
+        pricing: directory.pricing,
+        price: directory.price,
+        linkType: directory.link_type,
+        requirements: directory.requirements || [],
+        automated: Boolean(directory.submission_adapter),
+        matchedCategories,
+        score: Math.round(score * 1000) / 1000
+      };
+    })
+    .filter(match => match && match.score >= minScore)
+    .sort((a, b) => b.score - a.score || (b.domainAuthority || 0) - (a.domainAuthority || 0));
+
+  return limit ? ranked.slice(0, limit) : ranked;
+};
+
+/**
+ * Validate directory fields from an API request
+ * @param {Object} input - Request body
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Allow missing required fields (updates)
+ * @param {boolean} [options.allowFileUrls=false] - Allow file:// adapter form URLs (local fixture forms)
+ * @returns {Object} - { directory, errors }
+ */
+const validateDirectoryInput = (input, { partial = false, allowFileUrls = false } = {}) => {
+  const errors = [];
+  const directory = {};
+
+  if (input.name !== undefined || !partial) {
+    if (typeof input.name !== 'string' || !input.name.trim()) errors.push('name is required');
+    else directory.name = input.name.trim();
+  }
+
+  ['url', 'submission_url'].forEach(field => {
+    if (input[field] === undefined && (partial || field === 'submission_url')) return;
+    try {
+      directory[field] = new URL(input[field]).href;
+    } catch (e) {
+      errors.push(`${field} must be a valid URL`);
+    }
+  });
+
+  if (input.categories !== undefined || !partial) {
+    if (!Array.isArray(input.categories) || input.categories.length === 0 ||
+        input.categories.some(category => typeof category !== 'string')) {
+      errors.push('categories must be a non-empty array of strings');
+    } else {
+      directory.categories = input.categories.map(category => category.trim());
+    }
+  }
+
+  if (input.domain_authority !== undefined) {
+    const authority = Number(input.domain_authority);
+    if (!Number.isInteger(authority) || authority < 0 || authority > 100) {
+      errors.push('domain_authority must be an integer between 0 and 100');
+    } else {
+      directory.domain_authority = authority;
+    }
+  }
+
+  if (input.pricing !== undefined) {
+    if (!PRICING_TYPES.includes(input.pricing)) errors.push(`pricing must be one of ${PRICING_TYPES.join(', ')}`);
+    else directory.pricing = input.pricing;
+  }
+
+  if (input.price !== undefined) {
+    if (input.price !== null && (isNaN(Number(input.price)) || Number(input.price) < 0)) {
+      errors.push('price must be a positive number');
+    } else {
+      directory.price = input.price === null ? null : Number(input.price);
+    }
+  }
+
+  if (input.link_type !== undefined) {
+    if (!LINK_TYPES.includes(input.link_type)) errors.push(`link_type must be one of ${LINK_TYPES.join(', ')}`);
+    else directory.link_type = input.link_type;
+  }
+
+  if (input.requirements !== undefined) {
+    if (!Array.isArray(input.requirements)) errors.push('requirements must be an array');
+    else directory.requirements = input.requirements;
+  }
+
+  if (input.submission_adapter !== undefined) {
+    if (input.submission_adapter === null) {
+      directory.submission_adapter = null;
+    } else {
+      const adapterErrors = validateAdapter(input.submission_adapter, { allowFileUrls });
+      if (adapterErrors.length > 0) errors.push(...adapterErrors);
+      else directory.submission_adapter = input.submission_adapter;
+    }
+  }
+
+  if (input.is_active !== undefined) {
+    directory.is_active = Boolean(input.is_active);
+  }
+
+  return { directory, errors };
+};
+
+/**
+ * Load active directories and rank them for an analysis
+ * @param {Object} supabase - Supabase client
+ * @param {Object} analysis - GPT analysis
+ * @param {Object} [options] - Passed to rankDirectories
+ * @returns {Promise<Array>}
+ */
+async function matchDirectories(supabase, analysis, options = {}) {
+  const { data: directories, error } = await supabase
+    .from('directories')
+    .select('*')
+    .eq('is_active', true);
+
+  if (error) throw error;
+  return rankDirectories(directories, analysis, options);
+}
+
+module.exports = {
+  LINK_TYPES,
+  PRICING_TYPES,
+  rankDirectories,
+  validateDirectoryInput,
+  matchDirectories
+};
@@ -0,0 +1,362 @@
+/**
+ * Durable outbox for outgoing email.
+ *
+ * Every notification is written to `email_outbox` first and sent by a worker
+ * with retries and exponential backoff, so a Resend outage doesn't lose mail.
+ * A dedupe key makes enqueueing idempotent, addresses in `email_suppressions`
+ * (hard bounces, complaints) are never mailed, optional email honors the
+ * user's notification preferences, and Resend delivery webhooks update each
+ * message's state.
+ */
+
+const { renderEmail, templateCategory } = require('./emailTemplates');
+const { isCategoryEnabled, buildUnsubscribeUrl } = require('./notificationPreferences');
+
+const OUTBOX_STATUS = {
+  QUEUED: 'queued',
+  SENDING: 'sending',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  DELAYED: 'delayed',
+  BOUNCED: 'bounced',
+  COMPLAINED: 'complained',
+  FAILED: 'failed',
+  SUPPRESSED: 'suppressed',
+  UNSUBSCRIBED: 'unsubscribed'
+};
+
+// Provider errors that won't succeed on retry
+const PERMANENT_ERRORS = ['validation_error', 'invalid_from_address', 'invalid_to_address', 'UNKNOWN_TEMPLATE'];
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+class EmailOutbox {
+  /**
+   * @param {Object} options
+   * @param {Object} options.supabase - Supabase client
+   * @param {Object} options.emailService - Sender with send({ to, template, data, locale, unsubscribeUrl })
+   * @param {number} [options.concurrency=2] - Max messages sending at once
+   * @param {number} [options.maxAttempts=5] - Attempts before a message is marked failed
+   * @param {number} [options.backoffMs=30000] - Base delay for exponential retry backoff
+   */
+  constructor({ supabase, emailService, concurrency = 2, maxAttempts = 5, backoffMs = 30000 }) {
+    this.supabase = supabase;
+    this.emailService = emailService;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.table = 'email_outbox';
+    this.ready = [];
+    this.active = 0;
+  }
+
+  /**
+   * Queue an email. With a dedupeKey, enqueueing the same message again
+   * returns the existing row instead of sending twice.
+   * @param {Object} message
+   * @param {string} message.to - Recipient
+   * @param {string} message.template - Template name (see services/emailTemplates.js)
+   * @param {Object} [message.data] - Template data
+   * @param {string} [message.locale] - Preferred locale
+   * @param {string} [message.userId] - Recipient's user ID
+   * @param {string} [message.dedupeKey] - Unique key for this notification
+   * @returns {Promise<Object>} - Outbox row, with `duplicate: true` if it already existed
+   */
+  async enqueue({ to, template, data = {}, locale = null, userId = null, dedupeKey = null }) {
+    if (!to) throw new Error('Email recipient is required');
+    // Fail fast on unknown templates instead of queueing something that can never send
+    renderEmail(template, data, { locale });
+
+    if (dedupeKey) {
+      const existing = await this.findByDedupeKey(dedupeKey);
+      if (existing) {
+        console.log(`Email ${dedupeKey} already queued as ${existing.id}`);
+        return { ...existing, duplicate: true };
+      }
+    }
+
+    const suppression = await this.getSuppression(to);
+    const { data: message, error } = await this.supabase
+      .from(this.table)
+      .insert([{
+        to_email: normalizeEmail(to),
+        template,
+        data,
+        locale,
+        user_id: userId,
+        dedupe_key: dedupeKey,
+        status: suppression ? OUTBOX_STATUS.SUPPRESSED : OUTBOX_STATUS.QUEUED,
+        last_error: suppression ? `Address suppressed (${suppression.reason})` : null,
+        attempts: 0,
+        max_attempts: this.maxAttempts,
+        run_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      // Lost a race with another enqueue of the same notification
+      if (error.code === '23505' && dedupeKey) {
+        const existing = await this.findByDedupeKey(dedupeKey);
+        if (existing) return { ...existing, duplicate: true };
+      }
+      console.error('Error enqueuing email:', error);
+      throw error;
+    }
+
+    if (suppression) {
+      console.warn(`Not sending ${template} email to suppressed address ${message.to_email}`);
+      return message;
+    }
+
+    console.log(`Enqueued ${template} email ${message.id} for ${message.to_email}`);
+    this.schedule(message);
+    return message;
+  }
+
+  async findByDedupeKey(dedupeKey) {
+    const { data, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('dedupe_key', dedupeKey)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Fetch a message with its delivery events
+   * @param {string} messageId - Outbox ID
+   * @returns {Promise<Object|null>}
+   */
+  async getMessage(messageId) {
+    const { data: message, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('id', messageId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!message) return null;
+
+    const { data: events, error: eventsError } = await this.supabase
+      .from('email_events')
+      .select('id, event_type, payload, created_at')
+      .eq('outbox_id', messageId)
+      .order('created_at', { ascending: true });
+
+    if (eventsError) throw eventsError;
+    return { ...message, events };
+  }
+
+  /**
+   * List messages, newest first
+   * @param {Object} [filters] - { status, to, limit, offset }
+   * @returns {Promise<Array>}
+   */
+  async listMessages({ status, to, limit = 50, offset = 0 } = {}) {
+    let query = this.supabase
+      .from(this.table)
+      .select('id, to_email, template, status, attempts, last_error, provider_message_id, sent_at, delivered_at, created_at, updated_at');
+
+    if (status) query = query.eq('status', status);
+    if (to) query = query.eq('to_email', normalizeEmail(to));
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Suppression record for an address, if any
+   * @param {string} email - Address to check
+   * @returns {Promise<Object|null>}
+   */
+  async getSuppression(email) {
+    const { data, error } = await this.supabase
+      .from('email_suppressions')
+      .select('email, reason, created_at')
+      .eq('email', normalizeEmail(email))
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Stop mailing an address
+   * @param {string} email - Address
+   * @param {string} reason - 'bounce', 'complaint' or 'manual'
+   * @param {string} [messageId] - Outbox message that triggered it
+   */
+  async suppress(email, reason, messageId = null) {
+    const { error } = await this.supabase
+      .from('email_suppressions')
+      .upsert([{ email: normalizeEmail(email), reason, outbox_id: messageId }], { onConflict: 'email' });
+
+    if (error) throw error;
+    console.warn(`Suppressed email address ${normalizeEmail(email)} (${reason})`);
+  }
+
+  /**
+   * Allow mailing an address again
+   * @param {string} email - Address
+   * @returns {Promise<boolean>} - Whether the address was suppressed
+   */
+  async unsuppress(email) {
+    const { data, error } = await this.supabase
+      .from('email_suppressions')
+      .delete()
+      .eq('email', normalizeEmail(email))
+      .select();
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  /**
+   * Reload unsent messages from the database. Messages that were mid-send
+   * when the process stopped are retried.
+   */
+  async start() {
+    const { data: messages, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .in('status', [OUTBOX_STATUS.QUEUED, OUTBOX_STATUS.SENDING])
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error recovering queued emails:', error);
+      return;
+    }
+
+    if (messages.length > 0) {
+      console.log(`Recovered ${messages.length} unsent emails`);
+    }
+    for (const message of messages) {
+      if (message.status === OUTBOX_STATUS.SENDING) {
+        await this.update(message.id, { status: OUTBOX_STATUS.QUEUED }, OUTBOX_STATUS.SENDING);
+      }
+      this.schedule({ ...message, status: OUTBOX_STATUS.QUEUED });
+    }
+  }
+
+  schedule(message) {
+    const delay = Math.max(0, new Date(message.run_at || Date.now()).getTime() - Date.now());
+    setTimeout(() => {
+      this.ready.push(message);
+      this.drain();
+    }, delay);
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.ready.length > 0) {
+      const message = this.ready.shift();
+      this.active++;
+      this.run(message)
+        .catch(error => console.error(`Unexpected error sending email ${message.id}:`, error))
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  async run(message) {
+    const attempts = (message.attempts || 0) + 1;
+    const maxAttempts = message.max_attempts || this.maxAttempts;
+
+    // Claim the message so two workers never send it twice
+    const claimed = await this.update(message.id, { status: OUTBOX_STATUS.SENDING, attempts }, OUTBOX_STATUS.QUEUED);
+    if (!claimed) return;
+
+    const suppression = await this.getSuppression(message.to_email);
+    if (suppression) {
+      console.warn(`Skipping email ${message.id} to suppressed address ${message.to_email}`);
+      await this.update(message.id, {
+        status: OUTBOX_STATUS.SUPPRESSED,
+        last_error: `Address suppressed (${suppression.reason})`
+      });
+      return;
+    }
+
+    // Preferences are checked at send time so an unsubscribe also stops queued email
+    const category = templateCategory(message.template);
+    let enabled = true;
+    try {
+      enabled = await isCategoryEnabled(this.supabase, message.user_id, category);
+    } catch (error) {
+      console.error(`Error loading notification preferences for email ${message.id}:`, error);
+    }
+    if (!enabled) {
+      console.log(`Skipping email ${message.id}: user ${message.user_id} unsubscribed from ${category}`);
+      await this.update(message.id, {
+        status: OUTBOX_STATUS.UNSUBSCRIBED,
+        last_error: `User unsubscribed from ${category}`
+      });
+      return;
+    }
+
+    try {
+      const result = await this.emailService.send({
+        to: message.to_email,
+        template: message.template,
+        data: message.data || {},
+        locale: message.locale,
+        unsubscribeUrl: buildUnsubscribeUrl(message.user_id, category)
+      });
+      await this.update(message.id, {
+        status: OUTBOX_STATUS.SENT,
+        provider_message_id: result?.id || null,
+        last_error: null,
+        sent_at: new Date().toISOString()
+      });
+    } catch (error) {
+      const errorName = error.details?.name || error.code;
+      if (attempts < maxAttempts && !PERMANENT_ERRORS.includes(errorName)) {
+        const delay = this.backoffMs * Math.pow(2, attempts - 1);
+        const runAt = new Date(Date.now() + delay).toISOString();
+        console.warn(`Email ${message.id} failed, retrying in ${delay}ms:`, error.message);
+        await this.update(message.id, {
+          status: OUTBOX_STATUS.QUEUED,
+          last_error: error.message,
+          run_at: runAt
+        });
+        this.schedule({ ...message, attempts, run_at: runAt });
+      } else {
+        console.error(`Email ${message.id} failed after ${attempts} attempts:`, error.message);
+        await this.update(message.id, {
+          status: OUTBOX_STATUS.FAILED,
+          last_error: error.message
+        });
+      }
+    }
+  }
+
+  /**
+   * Update a message, optionally only if it is still in an expected status
+   * @returns {Promise<boolean>} - Whether a row was updated
+   */
+  async update(messageId, fields, expectedStatus = null) {
+    let query = this.supabase
+      .from(this.table)
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', messageId);
+
+    if (expectedStatus) query = query.eq('status', expectedStatus);
+
+    const { data, error } = await query.select('id');
+
+    if (error) {
+      console.error(`Error updating email ${messageId}:`, error);
+      return false;
+    }
+    return data.length > 0;
+  }
+}
+
+module.exports = { EmailOutbox, OUTBOX_STATUS, normalizeEmail };
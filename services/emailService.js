@@ -1,12 +1,17 @@
 const { Resend } = require('resend');
+const { renderEmail, statusTemplateName } = require('./emailTemplates');
+
 const resend = new Resend(process.env.RESEND_API_KEY);
 
+const EMAIL_SEND_FAILED = 'EMAIL_SEND_FAILED';
+
 /**
- * Email Service for sending transactional emails using Resend
+ * Email Service for sending transactional emails using Resend.
+ * All outgoing email goes through send(), rendered from services/emailTemplates.js.
  */
 class EmailService {
   constructor() {
-    this.from = 'BacklinkBot <notifications@backlinkbotai.com>';
+    this.from = process.env.EMAIL_FROM || 'BacklinkBot <notifications@backlinkbotai.com>';
   }
 
   /**
@@ -17,65 +22,101 @@ class EmailService {
    */
   async getUserEmailById(supabase, userId) {
     if (!userId) throw new Error('User ID is required');
-    
+
     // Try to get from auth.users first
     const { data: userData, error: userError } = await supabase
       .from('auth.users')
       .select('email')
       .eq('id', userId)
       .single();
-    
+
     if (userData && userData.email) {
       return userData.email;
     }
-    
+
     // If not found, try product_submissions table
     const { data: subData, error: subError } = await supabase
       .from('product_submissions')
       .select('email_user')
       .eq('user_id', userId)
       .single();
-    
+
     if (subData && subData.email_user) {
       return subData.email_user;
     }
-    
+
     throw new Error('User email not found');
   }
 
   /**
-   * Send a welcome email to a new user
+   * Render a template and send it
+   * @param {Object} message
+   * @param {string} message.to - Recipient
+   * @param {string} message.template - Template name
+   * @param {Object} [message.data] - Template data
+   * @param {string} [message.locale] - Preferred locale
+   * @param {string} [message.unsubscribeUrl] - One-click unsubscribe link for optional email
+   * @returns {Promise<Object>} - Resend response data ({ id })
    */
-  async sendWelcomeEmail(email, name = '') {
-    return await resend.emails.send({
+  async send({ to, template, data = {}, locale, unsubscribeUrl }) {
+    const { subject, html, text } = renderEmail(template, data, { locale, unsubscribeUrl });
+
+    const { data: result, error } = await resend.emails.send({
       from: this.from,
+      to,
+      subject,
+      html,
+      text,
+      // RFC 8058 one-click unsubscribe
+      headers: unsubscribeUrl
+        ? { 'List-Unsubscribe': `<${unsubscribeUrl}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+        : undefined
+    });
+
+    if (error) {
+      const sendError = new Error(error.message || `Failed to send ${template} email`);
+      sendError.code = EMAIL_SEND_FAILED;
+      sendError.details = error;
+      throw sendError;
+    }
+
+    console.log(`Sent ${template} email to ${to}:`, result?.id);
+    return result;
+  }
+
+  /**
+   * Send the notification for a submission's new status
+   */
+  async sendStatusEmail(email, submission, { feedbackItems = [] } = {}) {
+    return this.send({
       to: email,
-      subject: 'Welcome to BacklinkBot!',
-      html: `
-        <h1>Welcome to BacklinkBot!</h1>
-        <p>Hi ${name || 'there'},</p>
-        <p>Thank you for signing up! We're excited to have you on board.</p>
-        <p>Get started by creating your first submission.</p>
-        <a href="https://backlinkbotai.com/dashboard" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Go to Dashboard</a>
-      `,
+      template: statusTemplateName(submission.status),
+      data: { productName: submission.product_name, feedbackItems },
+      locale: submission.locale
     });
   }
 
+  /**
+   * Send a welcome email to a new user
+   */
+  async sendWelcomeEmail(email, name = '', locale) {
+    return this.send({ to: email, template: 'welcome', data: { name }, locale });
+  }
+
   /**
    * Send a payment request email for a new submission
    */
   async sendPaymentRequestEmail(email, submissionData) {
-    return await resend.emails.send({
-      from: this.from,
+    return this.send({
       to: email,
-      subject: 'Complete Your Payment for BacklinkBot Submission',
-      html: `
-        <h1>Complete Your Payment</h1>
-        <p>Your submission for "${submissionData.product_name}" requires payment to proceed.</p>
-        <p>Plan: ${submissionData.submission_plan || 'Standard'}</p>
-        <p>Price: $${submissionData.price}</p>
-        <a href="https://backlinkbotai.com/payment/${submissionData.id}" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Complete Payment</a>
-      `,
+      template: 'payment_request',
+      data: {
+        submissionId: submissionData.id,
+        productName: submissionData.product_name,
+        plan: submissionData.plan_name || submissionData.submission_plan,
+        price: submissionData.price
+      },
+      locale: submissionData.locale
     });
   }
 
@@ -83,18 +124,10 @@ class EmailService {
    * Send a payment confirmation email
    */
   async sendPaymentConfirmationEmail(email, paymentData) {
-    return await resend.emails.send({
-      from: this.from,
+    return this.send({
       to: email,
-      subject: 'Payment Confirmed - BacklinkBot Submission',
-      html: `
-        <h1>Payment Confirmed</h1>
-        <p>Thank you for your payment!</p>
-        <p>Amount: $${paymentData.amount} ${paymentData.currency}</p>
-        <p>Order ID: ${paymentData.order_id}</p>
-        <p>Your submission is now in the verification queue.</p>
-        <a href="https://backlinkbotai.com/dashboard" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Dashboard</a>
-      `,
+      template: 'payment_confirmation',
+      data: { amount: paymentData.amount, currency: paymentData.currency, orderId: paymentData.order_id }
     });
   }
 
@@ -102,52 +135,28 @@ class EmailService {
    * Send an email when submission verification begins
    */
   async sendVerificationStartedEmail(email, submissionData) {
-    return await resend.emails.send({
-      from: this.from,
-      to: email,
-      subject: 'Your Submission is Being Verified - BacklinkBot',
-      html: `
-        <h1>Verification In Progress</h1>
-        <p>Good news! We're now verifying your submission for "${submissionData.product_name}".</p>
-        <p>This typically takes 24-48 hours. We'll notify you once the verification is complete.</p>
-        <a href="https://backlinkbotai.com/dashboard" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Check Status</a>
-      `,
-    });
+    return this.sendStatusEmail(email, { ...submissionData, status: 'verifying' });
   }
 
   /**
    * Send an email when submission is complete
    */
   async sendSubmissionCompletedEmail(email, submissionData) {
-    return await resend.emails.send({
-      from: this.from,
-      to: email,
-      subject: 'Congratulations! Your Submission is Live - BacklinkBot',
-      html: `
-        <h1>Your Submission is Live!</h1>
-        <p>Great news! Your submission for "${submissionData.product_name}" has been approved and is now live.</p>
-        <p>You can view your submission using the link below:</p>
-        <a href="https://backlinkbotai.com/product/${submissionData.id}" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">View Submission</a>
-      `,
-    });
+    return this.sendStatusEmail(email, { ...submissionData, status: 'approved' });
   }
 
   /**
    * Send a feedback request email
    */
   async sendFeedbackRequestEmail(email, submissionData) {
-    return await resend.emails.send({
-      from: this.from,
+    return this.send({
       to: email,
-      subject: 'We Value Your Feedback - BacklinkBot',
-      html: `
-        <h1>How Was Your Experience?</h1>
-        <p>We hope you're enjoying BacklinkBot!</p>
-        <p>Your submission "${submissionData.product_name}" has been live for a while now, and we'd love to hear your feedback.</p>
-        <a href="https://backlinkbotai.com/feedback/${submissionData.id}" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Share Your Feedback</a>
-      `,
+      template: 'feedback_request',
+      data: { submissionId: submissionData.id, productName: submissionData.product_name },
+      locale: submissionData.locale
     });
   }
 }
 
-module.exports = new EmailService(); 
\ No newline at end of file
+module.exports = new EmailService();
+module.exports.EMAIL_SEND_FAILED = EMAIL_SEND_FAILED;
@@ -0,0 +1,594 @@
+/**
+ * Email templates.
+ *
+ * Each template returns a subject and a list of content blocks per locale.
+ * renderEmail() wraps the blocks in the shared layout and produces both HTML
+ * and plain text, escaping every interpolated value on the way. Locales fall
+ * back to English when a template has no translation. Each template has a
+ * notification category that decides whether users can unsubscribe from it.
+ */
+
+const { NOTIFICATION_CATEGORIES } = require('./notificationPreferences');
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = ['en', 'es'];
+const APP_URL = (process.env.APP_URL || 'https://backlinkbotai.com').replace(/\/+$/, '');
+
+/**
+ * Escape a value for HTML
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Content blocks
+const heading = (text) => ({ type: 'heading', text });
+const paragraph = (text) => ({ type: 'paragraph', text });
+// Items are strings or { label, text }
+const list = (items) => ({ type: 'list', items });
+const button = (label, href) => ({ type: 'button', label, href });
+
+/**
+ * Format an amount in the email's language ("$49.00", "49,00 €")
+ * @param {*} amount - Amount; text such as "$19/month" is shown as it is
+ * @param {string} [currency='USD'] - ISO 4217 code
+ * @param {string} locale - Template locale
+ * @returns {string}
+ */
+const formatMoney = (amount, currency, locale) => {
+  const value = typeof amount === 'number' ? amount : Number(amount);
+  if (amount == null || amount === '' || !Number.isFinite(value)) return String(amount ?? '');
+  try {
+    return new Intl.NumberFormat(locale, { style: 'currency', currency: currency || 'USD' }).format(value);
+  } catch (error) {
+    // Unknown currency code
+    return `${amount} ${currency}`;
+  }
+};
+
+const dashboardUrl = () => `${APP_URL}/dashboard`;
+const preferencesUrl = () => `${APP_URL}/settings/notifications`;
+
+const LAYOUT_STRINGS = {
+  en: {
+    signoff: 'Best regards,',
+    team: 'The BacklinkBot Team',
+    footer: 'You are receiving this email because you have an account with BacklinkBot.',
+    unsubscribe: 'Unsubscribe from these emails',
+    preferences: 'Manage email preferences'
+  },
+  es: {
+    signoff: 'Saludos cordiales,',
+    team: 'El equipo de BacklinkBot',
+    footer: 'Recibes este correo porque tienes una cuenta en BacklinkBot.',
+    unsubscribe: 'Darse de baja de estos correos',
+    preferences: 'Gestionar preferencias de correo'
+  }
+};
+
+const TEMPLATES = {
+  submission_received: {
+    category: NOTIFICATION_CATEGORIES.TRANSACTIONAL,
+    sample: { productName: 'Acme Analytics' },
+    en: ({ productName }) => ({
+      subject: 'Your Website Submission Received',
+      blocks: [
+        heading(`Thank you for submitting ${productName}!`),
+        paragraph('We have received your website submission and will begin processing it shortly.'),
+        paragraph('You will receive another email once your submission is ready for directory listings.')
+      ]
+    }),
+    es: ({ productName }) => ({
+      subject: 'Hemos recibido tu sitio web',
+      blocks: [
+        heading(`¡Gracias por enviar ${productName}!`),
+        paragraph('Hemos recibido tu sitio web y empezaremos a procesarlo en breve.'),
+        paragraph('Te enviaremos otro correo cuando tu envío esté listo para los directorios.')
+      ]
+    })
+  },
+
+  credit_used: {
+    category: NOTIFICATION_CATEGORIES.TRANSACTIONAL,
+    sample: { productName: 'Acme Analytics', plan: 'Pro' },
+    en: ({ productName, plan }) => ({
+      subject: 'Directory Submission Process Started',
+      blocks: [
+        heading(`Directory Submission Process Started for ${productName}`),
+        paragraph(`We've started the directory submission process for your website using your ${plan} credit.`),
+        paragraph("Here's what happens next:"),
+        list([
+          'Our system will begin submitting your website to relevant directories',
+          "You'll receive progress updates as submissions are completed",
+          'A final report will be sent once all submissions are done'
+        ])
+      ]
+    }),
+    es: ({ productName, plan }) => ({
+      subject: 'Hemos empezado a enviar tu sitio a los directorios',
+      blocks: [
+        heading(`Envío a directorios iniciado para ${productName}`),
+        paragraph(`Hemos empezado a enviar tu sitio web a los directorios usando tu crédito ${plan}.`),
+        paragraph('Esto es lo que sigue:'),
+        list([
+          'Nuestro sistema enviará tu sitio web a los directorios relevantes',
+          'Recibirás actualizaciones a medida que se completen los envíos',
+          'Te enviaremos un informe final cuando terminen todos los envíos'
+        ])
+      ]
+    })
+  },
+
+  submission_pending: {
+    category: NOTIFICATION_CATEGORIES.PROGRESS_UPDATES,
+    sample: { productName: 'Acme Analytics' },
+    en: ({ productName }) => ({
+      subject: 'Product Submission Pending Review',
+      blocks: [
+        heading('Your Product Submission is Pending Review'),
+        paragraph('Hello,'),
+        paragraph(`Your product submission "${productName}" is currently pending review by our team.`),
+        paragraph("We'll begin the review process shortly and notify you of any updates."),
+        paragraph('Thank you for your patience!')
+      ]
+    }),
+    es: ({ productName }) => ({
+      subject: 'Tu envío está pendiente de revisión',
+      blocks: [
+        heading('Tu envío está pendiente de revisión'),
+        paragraph('Hola,'),
+        paragraph(`Tu envío "${productName}" está pendiente de revisión por nuestro equipo.`),
+        paragraph('Empezaremos la revisión en breve y te avisaremos de cualquier novedad.'),
+        paragraph('¡Gracias por tu paciencia!')
+      ]
+    })
+  },
+
+  submission_verifying: {
+    category: NOTIFICATION_CATEGORIES.PROGRESS_UPDATES,
+    sample: { productName: 'Acme Analytics' },
+    en: ({ productName }) => ({
+      subject: 'Your Product Submission is Being Verified',
+      blocks: [
+        heading('Your Product Submission is Being Verified'),
+        paragraph('Hello,'),
+        paragraph(`We wanted to let you know that your product submission "${productName}" is currently being verified by our team.`),
+        paragraph("We'll review all the details you've provided and get back to you soon with the next steps."),
+        button('Check Status', dashboardUrl())
+      ]
+    }),
+    es: ({ productName }) => ({
+      subject: 'Estamos verificando tu envío',
+      blocks: [
+        heading('Estamos verificando tu envío'),
+        paragraph('Hola,'),
+        paragraph(`Te informamos de que nuestro equipo está verificando tu envío "${productName}".`),
+        paragraph('Revisaremos todos los datos que nos has dado y te indicaremos pronto los siguientes pasos.'),
+        button('Ver estado', dashboardUrl())
+      ]
+    })
+  },
+
+  submission_in_progress: {
+    category: NOTIFICATION_CATEGORIES.PROGRESS_UPDATES,
+    sample: { productName: 'Acme Analytics' },
+    en: ({ productName }) => ({
+      subject: 'Your Product Submission is In Progress',
+      blocks: [
+        heading('Your Product Submission is In Progress'),
+        paragraph('Hello,'),
+        paragraph(`We're currently processing your product submission "${productName}".`),
+        paragraph("Our team is working on reviewing and preparing your submission. We'll keep you updated on any developments."),
+        paragraph('Thank you for your patience!')
+      ]
+    }),
+    es: ({ productName }) => ({
+      subject: 'Tu envío está en curso',
+      blocks: [
+        heading('Tu envío está en curso'),
+        paragraph('Hola,'),
+        paragraph(`Estamos procesando tu envío "${productName}".`),
+        paragraph('Nuestro equipo está revisando y preparando tu envío. Te mantendremos al tanto de cualquier novedad.'),
+        paragraph('¡Gracias por tu paciencia!')
+      ]
+    })
+  },
+
+  submission_feedback: {
+    // Asks the user to act, so it isn't optional
+    category: NOTIFICATION_CATEGORIES.TRANSACTIONAL,
+    sample: {
+      productName: 'Acme Analytics',
+      feedbackItems: [
+        { field: 'description_short', message: 'Please shorten the description to 160 characters.', severity: 'blocking' },
+        { field: 'logo', message: 'The logo has a transparent background that is hard to read.', severity: 'warning' }
+      ]
+    },
+    en: ({ productName, feedbackItems = [] }) => ({
+      subject: 'Feedback Required for Your Product Submission',
+      blocks: [
+        heading('Feedback Required for Your Product Submission'),
+        paragraph('Hello,'),
+        paragraph(`We've reviewed your product submission "${productName}" and need some additional information or clarification.`),
+        ...(feedbackItems.length
+          ? [
+            paragraph("Here's what needs attention:"),
+            list(feedbackItems.map((item) => ({
+              label: [item.severity === 'blocking' ? '[Required]' : null, item.field ? `${item.field}:` : null]
+                .filter(Boolean).join(' '),
+              text: item.message
+            }))),
+            paragraph('You can respond to each point and resubmit from your dashboard.')
+          ]
+          : [paragraph('Please check your dashboard for specific feedback points that need to be addressed.')]),
+        button('Go to Dashboard', dashboardUrl())
+      ]
+    }),
+    es: ({ productName, feedbackItems = [] }) => ({
+      subject: 'Necesitamos más información sobre tu envío',
+      blocks: [
+        heading('Necesitamos más información sobre tu envío'),
+        paragraph('Hola,'),
+        paragraph(`Hemos revisado tu envío "${productName}" y necesitamos información adicional o alguna aclaración.`),
+        ...(feedbackItems.length
+          ? [
+            paragraph('Esto es lo que hay que revisar:'),
+            list(feedbackItems.map((item) => ({
+              label: [item.severity === 'blocking' ? '[Obligatorio]' : null, item.field ? `${item.field}:` : null]
+                .filter(Boolean).join(' '),
+              text: item.message
+            }))),
+            paragraph('Puedes responder a cada punto y volver a enviarlo desde tu panel.')
+          ]
+          : [paragraph('Consulta tu panel para ver los puntos concretos que hay que resolver.')]),
+        button('Ir al panel', dashboardUrl())
+      ]
+    })
+  },
+
+  submission_approved: {
+    category: NOTIFICATION_CATEGORIES.PROGRESS_UPDATES,
+    sample: { productName: 'Acme Analytics' },
+    en: ({ productName }) => ({
+      subject: 'Congratulations! Your Product Has Been Approved',
+      blocks: [
+        heading('Your Product Has Been Approved! 🎉'),
+        paragraph('Hello,'),
+        paragraph(`Great news! Your product "${productName}" has been approved and is now live on our platform.`),
+        paragraph('Thank you for choosing to list your product with us.'),
+        button('View Dashboard', dashboardUrl())
+      ]
+    }),
+    es: ({ productName }) => ({
+      subject: '¡Enhorabuena! Tu producto ha sido aprobado',
+      blocks: [
+        heading('¡Tu producto ha sido aprobado! 🎉'),
+        paragraph('Hola,'),
+        paragraph(`¡Buenas noticias! Tu producto "${productName}" ha sido aprobado y ya está publicado en nuestra plataforma.`),
+        paragraph('Gracias por publicar tu producto con nosotros.'),
+        button('Ver panel', dashboardUrl())
+      ]
+    })
+  },
+
+  submission_rejected: {
+    category: NOTIFICATION_CATEGORIES.PROGRESS_UPDATES,
+    sample: { productName: 'Acme Analytics' },
+    en: ({ productName }) => ({
+      subject: 'Update on Your Product Submission',
+      blocks: [
+        heading('Update on Your Product Submission'),
+        paragraph('Hello,'),
+        paragraph(`We've carefully reviewed your product submission "${productName}" and regret to inform you that we cannot approve it at this time.`),
+        paragraph("If you'd like to understand more about this decision or submit a revised application, please reach out to our support team.")
+      ]
+    }),
+    es: ({ productName }) => ({
+      subject: 'Novedades sobre tu envío',
+      blocks: [
+        heading('Novedades sobre tu envío'),
+        paragraph('Hola,'),
+        paragraph(`Hemos revisado con atención tu envío "${productName}" y lamentamos informarte de que no podemos aprobarlo por ahora.`),
+        paragraph('Si quieres saber más sobre esta decisión o enviar una versión revisada, ponte en contacto con nuestro equipo de soporte.')
+      ]
+    })
+  },
+
+  submission_done: {
+    category: NOTIFICATION_CATEGORIES.PROGRESS_UPDATES,
+    sample: { productName: 'Acme Analytics' },
+    en: ({ productName }) => ({
+      subject: 'Your Product Submission Process is Complete',
+      blocks: [
+        heading('Product Submission Process Complete'),
+        paragraph('Hello,'),
+        paragraph(`We've completed processing your product submission "${productName}".`),
+        paragraph('You can now view the final status and details in your dashboard.'),
+        paragraph('Thank you for working with us!'),
+        button('View Dashboard', dashboardUrl())
+      ]
+    }),
+    es: ({ productName }) => ({
+      subject: 'Hemos terminado de procesar tu envío',
+      blocks: [
+        heading('Proceso de envío completado'),
+        paragraph('Hola,'),
+        paragraph(`Hemos terminado de procesar tu envío "${productName}".`),
+        paragraph('Ya puedes ver el estado final y los detalles en tu panel.'),
+        paragraph('¡Gracias por trabajar con nosotros!'),
+        button('Ver panel', dashboardUrl())
+      ]
+    })
+  },
+
+  welcome: {
+    category: NOTIFICATION_CATEGORIES.TRANSACTIONAL,
+    sample: { name: 'Alex' },
+    en: ({ name }) => ({
+      subject: 'Welcome to BacklinkBot!',
+      blocks: [
+        heading('Welcome to BacklinkBot!'),
+        paragraph(`Hi ${name || 'there'},`),
+        paragraph("Thank you for signing up! We're excited to have you on board."),
+        paragraph('Get started by creating your first submission.'),
+        button('Go to Dashboard', dashboardUrl())
+      ]
+    }),
+    es: ({ name }) => ({
+      subject: '¡Bienvenido a BacklinkBot!',
+      blocks: [
+        heading('¡Bienvenido a BacklinkBot!'),
+        paragraph(`Hola${name ? ` ${name}` : ''},`),
+        paragraph('¡Gracias por registrarte! Nos alegra tenerte con nosotros.'),
+        paragraph('Empieza creando tu primer envío.'),
+        button('Ir al panel', dashboardUrl())
+      ]
+    })
+  },
+
+  payment_request: {
+    category: NOTIFICATION_CATEGORIES.TRANSACTIONAL,
+    sample: { submissionId: '00000000-0000-0000-0000-000000000000', productName: 'Acme Analytics', plan: 'Standard', price: 49, currency: 'USD' },
+    en: ({ submissionId, productName, plan, price, currency }) => ({
+      subject: 'Complete Your Payment for BacklinkBot Submission',
+      blocks: [
+        heading('Complete Your Payment'),
+        paragraph(`Your submission for "${productName}" requires payment to proceed.`),
+        paragraph(`Plan: ${plan || 'Standard'}`),
+        paragraph(`Price: ${formatMoney(price, currency, 'en')}`),
+        button('Complete Payment', `${APP_URL}/payment/${encodeURIComponent(submissionId)}`)
+      ]
+    }),
+    es: ({ submissionId, productName, plan, price, currency }) => ({
+      subject: 'Completa el pago de tu envío en BacklinkBot',
+      blocks: [
+        heading('Completa tu pago'),
+        paragraph(`Tu envío de "${productName}" necesita el pago para continuar.`),
+        paragraph(`Plan: ${plan || 'Standard'}`),
+        paragraph(`Precio: ${formatMoney(price, currency, 'es')}`),
+        button('Completar pago', `${APP_URL}/payment/${encodeURIComponent(submissionId)}`)
+      ]
+    })
+  },
+
+  // Campaign nudge for a submission that was never paid; unlike payment_request it can be unsubscribed from
+  unpaid_reminder: {
+    category: NOTIFICATION_CATEGORIES.MARKETING,
+    sample: { submissionId: '00000000-0000-0000-0000-000000000000', productName: 'Acme Analytics', plan: 'Standard', price: 49, currency: 'USD' },
+    en: ({ submissionId, productName, plan, price, currency }) => ({
+      subject: `Your "${productName}" submission is waiting for you`,
+      blocks: [
+        heading('Finish Your Submission'),
+        paragraph(`You started a submission for "${productName}" a few days ago, but it hasn't been paid for yet.`),
+        paragraph(`Plan: ${plan || 'Standard'}`),
+        ...(price != null && price !== '' ? [paragraph(`Price: ${formatMoney(price, currency, 'en')}`)] : []),
+        paragraph('Complete the payment and we will start submitting it to directories.'),
+        button('Complete Payment', `${APP_URL}/payment/${encodeURIComponent(submissionId)}`)
+      ]
+    }),
+    es: ({ submissionId, productName, plan, price, currency }) => ({
+      subject: `Tu envío de "${productName}" te está esperando`,
+      blocks: [
+        heading('Termina tu envío'),
+        paragraph(`Hace unos días empezaste un envío de "${productName}", pero todavía no se ha pagado.`),
+        paragraph(`Plan: ${plan || 'Standard'}`),
+        ...(price != null && price !== '' ? [paragraph(`Precio: ${formatMoney(price, currency, 'es')}`)] : []),
+        paragraph('Completa el pago y empezaremos a enviarlo a los directorios.'),
+        button('Completar pago', `${APP_URL}/payment/${encodeURIComponent(submissionId)}`)
+      ]
+    })
+  },
+
+  payment_confirmation: {
+    category: NOTIFICATION_CATEGORIES.TRANSACTIONAL,
+    sample: { amount: 49, currency: 'USD', orderId: '1234567' },
+    en: ({ amount, currency, orderId }) => ({
+      subject: 'Payment Confirmed - BacklinkBot Submission',
+      blocks: [
+        heading('Payment Confirmed'),
+        paragraph('Thank you for your payment!'),
+        paragraph(`Amount: ${formatMoney(amount, currency, 'en')}`),
+        paragraph(`Order ID: ${orderId}`),
+        paragraph('Your submission is now in the verification queue.'),
+        button('View Dashboard', dashboardUrl())
+      ]
+    }),
+    es: ({ amount, currency, orderId }) => ({
+      subject: 'Pago confirmado - Envío de BacklinkBot',
+      blocks: [
+        heading('Pago confirmado'),
+        paragraph('¡Gracias por tu pago!'),
+        paragraph(`Importe: ${formatMoney(amount, currency, 'es')}`),
+        paragraph(`ID del pedido: ${orderId}`),
+        paragraph('Tu envío ya está en la cola de verificación.'),
+        button('Ver panel', dashboardUrl())
+      ]
+    })
+  },
+
+  feedback_request: {
+    category: NOTIFICATION_CATEGORIES.FEEDBACK_REQUESTS,
+    sample: { submissionId: '00000000-0000-0000-0000-000000000000', productName: 'Acme Analytics' },
+    en: ({ submissionId, productName }) => ({
+      subject: 'We Value Your Feedback - BacklinkBot',
+      blocks: [
+        heading('How Was Your Experience?'),
+        paragraph("We hope you're enjoying BacklinkBot!"),
+        paragraph(`Your submission "${productName}" has been live for a while now, and we'd love to hear your feedback.`),
+        button('Share Your Feedback', `${APP_URL}/feedback/${encodeURIComponent(submissionId)}`)
+      ]
+    }),
+    es: ({ submissionId, productName }) => ({
+      subject: 'Tu opinión nos importa - BacklinkBot',
+      blocks: [
+        heading('¿Qué tal ha sido tu experiencia?'),
+        paragraph('¡Esperamos que estés disfrutando de BacklinkBot!'),
+        paragraph(`Tu envío "${productName}" lleva un tiempo publicado y nos encantaría conocer tu opinión.`),
+        button('Danos tu opinión', `${APP_URL}/feedback/${encodeURIComponent(submissionId)}`)
+      ]
+    })
+  }
+};
+
+/**
+ * Template name for a submission status email
+ * @param {string} status - Canonical submission status
+ * @returns {string}
+ */
+const statusTemplateName = (status) => `submission_${String(status).replace(/\s+/g, '_')}`;
+
+// Own properties only, so names like "constructor" are unknown rather than inherited
+const getTemplate = (name) => (Object.hasOwn(TEMPLATES, name) ? TEMPLATES[name] : null);
+
+/**
+ * Notification category of a template
+ * @param {string} name - Template name
+ * @returns {string}
+ */
+const templateCategory = (name) => getTemplate(name)?.category || NOTIFICATION_CATEGORIES.TRANSACTIONAL;
+
+/**
+ * Pick the closest supported locale ('es-MX' → 'es'), defaulting to English
+ * @param {string} [locale] - Requested locale
+ * @returns {string}
+ */
+const resolveLocale = (locale) => {
+  if (!locale) return DEFAULT_LOCALE;
+  const normalized = String(locale).toLowerCase().replace('_', '-');
+  if (SUPPORTED_LOCALES.includes(normalized)) return normalized;
+  const language = normalized.split('-')[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+const renderBlockHtml = (block) => {
+  switch (block.type) {
+    case 'heading':
+      return `<h1 style="font-size: 22px; margin: 0 0 16px;">${escapeHtml(block.text)}</h1>`;
+    case 'list':
+      return `<ul>\n${block.items.map((item) => (typeof item === 'string'
+        ? `  <li>${escapeHtml(item)}</li>`
+        : `  <li>${item.label ? `<strong>${escapeHtml(item.label)}</strong> ` : ''}${escapeHtml(item.text)}</li>`)).join('\n')}\n</ul>`;
+    case 'button':
+      return `<p><a href="${escapeHtml(block.href)}" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">${escapeHtml(block.label)}</a></p>`;
+    default:
+      return `<p>${escapeHtml(block.text)}</p>`;
+  }
+};
+
+const renderBlockText = (block) => {
+  switch (block.type) {
+    case 'heading':
+      return `${block.text}\n${'='.repeat(Math.min(String(block.text).length, 60))}`;
+    case 'list':
+      return block.items
+        .map((item) => (typeof item === 'string' ? `- ${item}` : `- ${item.label ? `${item.label} ` : ''}${item.text}`))
+        .join('\n');
+    case 'button':
+      return `${block.label}: ${block.href}`;
+    default:
+      return String(block.text);
+  }
+};
+
+/**
+ * Render a template with the shared layout
+ * @param {string} name - Template name (see TEMPLATES)
+ * @param {Object} [data] - Values interpolated into the template
+ * @param {Object} [options]
+ * @param {string} [options.locale] - Preferred locale
+ * @param {string} [options.unsubscribeUrl] - Adds unsubscribe and preference links to the footer
+ * @returns {Object} - { subject, html, text, locale }
+ */
+const renderEmail = (name, data = {}, { locale, unsubscribeUrl } = {}) => {
+  const template = getTemplate(name);
+  if (!template) {
+    const error = new Error(`Unknown email template "${name}"`);
+    error.code = 'UNKNOWN_TEMPLATE';
+    throw error;
+  }
+
+  const requested = resolveLocale(locale);
+  const resolvedLocale = template[requested] ? requested : DEFAULT_LOCALE;
+  const { subject, blocks } = template[resolvedLocale](data);
+  const strings = LAYOUT_STRINGS[resolvedLocale];
+
+  const html = `<!DOCTYPE html>
+<html lang="${resolvedLocale}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(subject)}</title>
+</head>
+<body style="margin: 0; padding: 24px; background-color: #f6f7f9; font-family: Arial, Helvetica, sans-serif; color: #222; line-height: 1.5;">
+<div style="max-width: 600px; margin: 0 auto; background-color: #ffffff; padding: 32px; border-radius: 8px;">
+${blocks.map(renderBlockHtml).join('\n')}
+<p>${escapeHtml(strings.signoff)}<br>${escapeHtml(strings.team)}</p>
+</div>
+<p style="max-width: 600px; margin: 16px auto 0; font-size: 12px; color: #888; text-align: center;">${escapeHtml(strings.footer)}${unsubscribeUrl ? `<br><a href="${escapeHtml(unsubscribeUrl)}" style="color: #888;">${escapeHtml(strings.unsubscribe)}</a> · <a href="${escapeHtml(preferencesUrl())}" style="color: #888;">${escapeHtml(strings.preferences)}</a>` : ''}</p>
+</body>
+</html>`;
+
+  const text = [
+    ...blocks.map(renderBlockText),
+    `${strings.signoff}\n${strings.team}`,
+    '--',
+    strings.footer,
+    ...(unsubscribeUrl ? [`${strings.unsubscribe}: ${unsubscribeUrl}\n${strings.preferences}: ${preferencesUrl()}`] : [])
+  ].join('\n\n');
+
+  return { subject, html, text, locale: resolvedLocale };
+};
+
+/**
+ * Templates with their category and the locales they are translated into
+ * @returns {Array} - [{ name, category, locales }]
+ */
+const listTemplates = () => Object.entries(TEMPLATES).map(([name, template]) => ({
+  name,
+  category: templateCategory(name),
+  locales: SUPPORTED_LOCALES.filter((locale) => template[locale])
+}));
+
+/**
+ * Render a template with its built-in sample data
+ * @param {string} name - Template name
+ * @param {Object} [options] - { locale }
+ * @returns {Object} - { subject, html, text, locale }
+ */
+const renderPreview = (name, options = {}) => renderEmail(name, getTemplate(name)?.sample || {}, options);
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  escapeHtml,
+  statusTemplateName,
+  templateCategory,
+  resolveLocale,
+  renderEmail,
+  renderPreview,
+  listTemplates
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const { claimEvent, finishEvent } = require('./webhookEvents');
+const { OUTBOX_STATUS } = require('./emailOutbox');
+
+/**
+ * Resend delivery webhooks.
+ *
+ * Resend signs webhooks with Svix: the `svix-signature` header holds one or
+ * more `v1,<base64 HMAC>` signatures of `${svix-id}.${svix-timestamp}.${body}`,
+ * keyed with the base64 part of the `whsec_...` secret. Events update the
+ * matching `email_outbox` row, are logged to `email_events`, and hard bounces
+ * or complaints add the address to `email_suppressions`.
+ */
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Event → outbox status. Opens and clicks are only logged.
+const EVENT_STATUSES = {
+  'email.sent': OUTBOX_STATUS.SENT,
+  'email.delivery_delayed': OUTBOX_STATUS.DELAYED,
+  'email.delivered': OUTBOX_STATUS.DELIVERED,
+  'email.bounced': OUTBOX_STATUS.BOUNCED,
+  'email.complained': OUTBOX_STATUS.COMPLAINED
+};
+
+// Events can arrive out of order; never move a message back to an earlier state
+const STATUS_RANK = {
+  [OUTBOX_STATUS.SENT]: 1,
+  [OUTBOX_STATUS.DELAYED]: 2,
+  [OUTBOX_STATUS.DELIVERED]: 3,
+  [OUTBOX_STATUS.BOUNCED]: 4,
+  [OUTBOX_STATUS.COMPLAINED]: 4
+};
+
+/**
+ * Check Svix signature headers against the raw request body
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {Object} headers - { id, timestamp, signature } from the svix-* headers
+ * @param {string} secret - Webhook signing secret (whsec_...)
+ * @returns {boolean}
+ */
+const verifySvixSignature = (rawBody, { id, timestamp, signature } = {}, secret) => {
+  if (!rawBody || !id || !timestamp || !signature || !secret) return false;
+
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(age) || age > SIGNATURE_TOLERANCE_SECONDS) return false;
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = crypto
+    .createHmac('sha256', key)
+    .update(`${id}.${timestamp}.${rawBody.toString('utf8')}`)
+    .digest();
+
+  return signature.split(' ').some((entry) => {
+    const [version, value] = entry.split(',');
+    if (version !== 'v1' || !value) return false;
+    const received = Buffer.from(value, 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  });
+};
+
+/**
+ * Process a verified Resend webhook
+ * @param {Object} deps - { supabase, emailOutbox }
+ * @param {Object} payload - Parsed webhook body ({ type, created_at, data })
+ * @param {string} deliveryId - svix-id header, used as the idempotency key
+ * @returns {Promise<Object>} - { duplicate, action, messageId }
+ */
+async function handleResendWebhook({ supabase, emailOutbox }, payload, deliveryId) {
+  const eventType = payload?.type;
+  const providerMessageId = payload?.data?.email_id;
+
+  if (!eventType || !providerMessageId) {
+    throw new Error('Webhook payload is missing type or data.email_id');
+  }
+
+  const eventKey = `resend:${deliveryId}`;
+  if (!(await claimEvent(supabase, 'resend', eventKey, eventType))) {
+    console.log(`Skipping duplicate webhook ${eventType}`);
+    return { duplicate: true, action: 'none' };
+  }
+
+  try {
+    const result = await processEmailEvent({ supabase, emailOutbox }, eventType, providerMessageId, payload);
+    await finishEvent(supabase, eventKey, 'processed');
+    return { duplicate: false, ...result };
+  } catch (error) {
+    await finishEvent(supabase, eventKey, 'failed', error.message);
+    throw error;
+  }
+}
+
+async function processEmailEvent({ supabase, emailOutbox }, eventType, providerMessageId, payload) {
+  const { data: message, error: fetchError } = await supabase
+    .from('email_outbox')
+    .select('id, to_email, status')
+    .eq('provider_message_id', providerMessageId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  const { error: eventError } = await supabase
+    .from('email_events')
+    .insert([{
+      outbox_id: message?.id || null,
+      provider_message_id: providerMessageId,
+      event_type: eventType,
+      payload: payload.data
+    }]);
+
+  if (eventError) throw eventError;
+
+  const recipients = [].concat(payload.data.to || message?.to_email || []);
+  const bounceType = payload.data.bounce?.type;
+  // Only permanent bounces mean the address is bad; transient ones (mailbox full, ...) may recover
+  const shouldSuppress = eventType === 'email.complained' ||
+    (eventType === 'email.bounced' && (!bounceType || /permanent/i.test(bounceType)));
+
+  if (shouldSuppress) {
+    const reason = eventType === 'email.complained' ? 'complaint' : 'bounce';
+    for (const recipient of recipients) {
+      await emailOutbox.suppress(recipient, reason, message?.id);
+    }
+  }
+
+  if (!message) {
+    // Sent outside the outbox (or before it existed); the event is still logged
+    return { action: shouldSuppress ? 'suppressed' : 'logged', messageId: null };
+  }
+
+  const newStatus = EVENT_STATUSES[eventType];
+  if (newStatus && (STATUS_RANK[newStatus] || 0) >= (STATUS_RANK[message.status] || 0)) {
+    const fields = { status: newStatus };
+    if (newStatus === OUTBOX_STATUS.DELIVERED) fields.delivered_at = payload.created_at || new Date().toISOString();
+    if (newStatus === OUTBOX_STATUS.BOUNCED) fields.last_error = payload.data.bounce?.message || 'Bounced';
+    if (newStatus === OUTBOX_STATUS.COMPLAINED) fields.last_error = 'Recipient marked the email as spam';
+    await emailOutbox.update(message.id, fields);
+    return { action: newStatus, messageId: message.id };
+  }
+
+  return { action: 'logged', messageId: message.id };
+}
+
+module.exports = { verifySvixSignature, handleResendWebhook };
@@ -0,0 +1,197 @@
+const axios = require('axios');
+const OpenAI = require('openai');
+
+/**
+ * LLM providers for the analysis step.
+ *
+ * Every provider exposes `completeJson({ system, prompt, temperature, maxTokens })`
+ * and resolves to the parsed JSON object the model returned.
+ *
+ * Configured through the environment:
+ *   LLM_PROVIDER  openai (default) | anthropic | openai-compatible | mock
+ *   LLM_MODEL     model name for the chosen provider
+ *   LLM_BASE_URL  API base URL (required for openai-compatible, e.g. http://localhost:11434/v1)
+ *   LLM_API_KEY   API key (falls back to OPENAI_API_KEY / ANTHROPIC_API_KEY)
+ */
+
+const REQUEST_TIMEOUT_MS = 60000;
+
+// Models sometimes wrap JSON in prose or code fences; pull out the object
+const parseJsonResponse = (text, providerName) => {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return JSON.parse(text.slice(start, end + 1));
+      } catch (innerError) {
+        // Fall through to the error below
+      }
+    }
+    throw new Error(`${providerName} returned a response that is not valid JSON`);
+  }
+};
+
+/**
+ * OpenAI, or any server implementing the OpenAI chat completions API
+ * (Ollama, llama.cpp, vLLM, LM Studio...)
+ */
+class OpenAIProvider {
+  constructor({ apiKey, model = 'gpt-4o-mini', baseUrl, jsonMode = true, name = 'openai' }) {
+    this.name = name;
+    this.model = model;
+    this.jsonMode = jsonMode;
+    this.client = new OpenAI({
+      // Local servers usually ignore the key, but the SDK requires one
+      apiKey: apiKey || 'not-needed',
+      baseURL: baseUrl,
+      timeout: REQUEST_TIMEOUT_MS
+    });
+  }
+
+  async completeJson({ system, prompt, temperature = 0.5, maxTokens = 500 }) {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      ...(this.jsonMode ? { response_format: { type: 'json_object' } } : {}),
+      temperature,
+      max_tokens: maxTokens
+    });
+
+    return parseJsonResponse(response.choices[0].message.content, this.name);
+  }
+}
+
+/**
+ * Anthropic Messages API (or a compatible endpoint)
+ */
+class AnthropicProvider {
+  constructor({ apiKey, model = 'claude-3-5-haiku-latest', baseUrl = 'https://api.anthropic.com' }) {
+    if (!apiKey) throw new Error('An API key is required for the anthropic LLM provider');
+    this.name = 'anthropic';
+    this.apiKey = apiKey;
+    this.model = model;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  async completeJson({ system, prompt, temperature = 0.5, maxTokens = 500 }) {
+    const response = await axios.post(`${this.baseUrl}/v1/messages`, {
+      model: this.model,
+      system: `${system}\nRespond with a single JSON object and nothing else.`,
+      messages: [{ role: 'user', content: prompt }],
+      temperature,
+      max_tokens: maxTokens
+    }, {
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json'
+      }
+    });
+
+    const text = (response.data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+    return parseJsonResponse(text, this.name);
+  }
+}
+
+/**
+ * Deterministic stand-in for tests and offline development. Answers every
+ * prompt with the same shape, using the website name from the prompt.
+ */
+class MockProvider {
+  constructor({ respond } = {}) {
+    this.name = 'mock';
+    this.model = 'mock';
+    this.respond = respond;
+    this.calls = [];
+  }
+
+  async completeJson(request) {
+    this.calls.push(request);
+    if (this.respond) return this.respond(request);
+
+    const nameMatch = request.prompt.match(/Website Name:\s*(.+)/);
+    const name = nameMatch && nameMatch[1].trim() !== 'Unknown' ? nameMatch[1].trim() : 'Example Product';
+    const description = `${name} helps teams get more done with a simple, focused product. ` +
+      'It replaces manual busywork with automated workflows that are easy to set up. ' +
+      'Built for small businesses and startups that want results without a steep learning curve.';
+
+    return {
+      // Basic analysis fields
+      description,
+      categories: ['SaaS', 'Productivity', 'Business'],
+      features: ['Automated workflows', 'Simple setup', 'Team collaboration'],
+      pricingModel: 'Freemium',
+      price: '$10/month',
+      pros: ['Easy to get started', 'Clean interface', 'Good value'],
+      cons: ['Limited integrations'],
+      officeAddress: null,
+      // Full submission profile fields
+      product_name: name,
+      one_liner: `${name} - get more done with less effort`,
+      description_short: `${name} automates busywork for small teams.`,
+      description_160: `${name} helps small teams automate busywork with simple, focused workflows that are easy to set up.`,
+      description_long: description,
+      tags: ['productivity', 'automation', 'saas'],
+      pricing_model: 'Freemium',
+      target_audience: 'Small businesses and startups',
+      office_address: null,
+      twitter_handle: null
+    };
+  }
+}
+
+/**
+ * Build the provider configured for this environment
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {Object} - Provider with completeJson()
+ */
+const createLlmProvider = (env = process.env) => {
+  const providerName = env.LLM_PROVIDER || (env.NODE_ENV === 'test' ? 'mock' : 'openai');
+
+  switch (providerName) {
+    case 'openai':
+      return new OpenAIProvider({
+        apiKey: env.LLM_API_KEY || env.OPENAI_API_KEY,
+        model: env.LLM_MODEL || 'gpt-4o-mini',
+        baseUrl: env.LLM_BASE_URL
+      });
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible LLM provider');
+      }
+      return new OpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: env.LLM_API_KEY,
+        model: env.LLM_MODEL || 'llama3.1',
+        baseUrl: env.LLM_BASE_URL,
+        jsonMode: env.LLM_JSON_MODE !== 'false'
+      });
+    case 'anthropic':
+      return new AnthropicProvider({
+        apiKey: env.LLM_API_KEY || env.ANTHROPIC_API_KEY,
+        model: env.LLM_MODEL || undefined,
+        baseUrl: env.LLM_BASE_URL || undefined
+      });
+    case 'mock':
+      return new MockProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${providerName}`);
+  }
+};
+
+module.exports = {
+  createLlmProvider,
+  OpenAIProvider,
+  AnthropicProvider,
+  MockProvider
+};
@@ -0,0 +1,242 @@
+const cheerio = require('cheerio');
+
+/**
+ * Structured metadata extraction for directory listings.
+ *
+ * Works on raw HTML so both the static fetch and the Puppeteer scraper
+ * (via page.content()) produce the same `metadata` object.
+ */
+
+const ORGANIZATION_TYPES = ['Organization', 'Corporation', 'LocalBusiness', 'OnlineBusiness'];
+const APPLICATION_TYPES = ['SoftwareApplication', 'WebApplication', 'MobileApplication'];
+
+const SOCIAL_PATTERNS = {
+  twitter: /^https?:\/\/(www\.)?(twitter|x)\.com\/(?!intent|share|home|search|hashtag)[A-Za-z0-9_]{1,15}\/?$/i,
+  linkedin: /^https?:\/\/([a-z]{2,3}\.)?linkedin\.com\/(company|in|school)\/[^/?#]+/i,
+  github: /^https?:\/\/(www\.)?github\.com\/[A-Za-z0-9-]+\/?([A-Za-z0-9_.-]+\/?)?$/i,
+  facebook: /^https?:\/\/(www\.)?facebook\.com\/(?!sharer|share)[^/?#]+/i,
+  youtube: /^https?:\/\/(www\.)?youtube\.com\/(@|c\/|channel\/|user\/)[^/?#]+/i,
+  instagram: /^https?:\/\/(www\.)?instagram\.com\/[^/?#]+/i
+};
+
+const EMAIL_REGEX = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const NON_EMAIL_SUFFIX = /\.(png|jpe?g|gif|svg|webp|avif)$/i;
+
+// Resolve a possibly relative URL against the page URL
+const resolveUrl = (value, baseUrl) => {
+  if (!value) return null;
+  try {
+    return new URL(value.trim(), baseUrl).href;
+  } catch (e) {
+    return null;
+  }
+};
+
+const asArray = (value) => {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+};
+
+const hasType = (node, types) => asArray(node['@type']).some(type => types.includes(type));
+
+// Flatten JSON-LD blocks, including @graph containers, into a list of nodes
+const parseJsonLd = ($) => {
+  const nodes = [];
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      const parsed = JSON.parse($(el).contents().text());
+      asArray(parsed).forEach(item => {
+        if (item && Array.isArray(item['@graph'])) {
+          nodes.push(...item['@graph']);
+        } else if (item && typeof item === 'object') {
+          nodes.push(item);
+        }
+      });
+    } catch (e) {
+      // Ignore malformed JSON-LD blocks
+    }
+  });
+  return nodes;
+};
+
+const imageUrl = (value) => {
+  const image = asArray(value)[0];
+  if (!image) return null;
+  return typeof image === 'string' ? image : image.url || image.contentUrl || null;
+};
+
+const formatAddress = (address) => {
+  const value = asArray(address)[0];
+  if (!value) return null;
+  if (typeof value === 'string') return value.trim();
+
+  const country = typeof value.addressCountry === 'object' ? value.addressCountry.name : value.addressCountry;
+  const parts = [value.streetAddress, value.addressLocality, value.addressRegion, value.postalCode, country]
+    .filter(part => typeof part === 'string' && part.trim())
+    .map(part => part.trim());
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
+const normalizeOffers = (offers) => asArray(offers).flatMap(offer => {
+  if (!offer || typeof offer !== 'object') return [];
+  if (Array.isArray(offer.offers)) return normalizeOffers(offer.offers);
+
+  return [{
+    name: offer.name || null,
+    price: offer.price ?? offer.lowPrice ?? null,
+    highPrice: offer.highPrice ?? null,
+    currency: offer.priceCurrency || null,
+    billingPeriod: offer.priceSpecification?.billingDuration || offer.priceSpecification?.unitText || null
+  }];
+});
+
+const twitterHandleFromUrl = (url) => {
+  const match = url && url.match(/(?:twitter|x)\.com\/([A-Za-z0-9_]{1,15})/i);
+  return match ? `@${match[1]}` : null;
+};
+
+/**
+ * Extract structured metadata from a page
+ * @param {string} html - Raw page HTML
+ * @param {string} baseUrl - URL the HTML was loaded from
+ * @returns {Object} - Metadata for prefilling a directory submission
+ */
+const extractMetadata = (html, baseUrl) => {
+  const $ = cheerio.load(html);
+  const meta = (key) => (
+    $(`meta[property="${key}"]`).attr('content') ||
+    $(`meta[name="${key}"]`).attr('content') ||
+    ''
+  ).trim() || null;
+
+  const openGraph = {
+    title: meta('og:title'),
+    description: meta('og:description'),
+    image: resolveUrl(meta('og:image'), baseUrl),
+    url: resolveUrl(meta('og:url'), baseUrl),
+    siteName: meta('og:site_name'),
+    type: meta('og:type')
+  };
+
+  const twitterCard = {
+    card: meta('twitter:card'),
+    site: meta('twitter:site'),
+    creator: meta('twitter:creator'),
+    title: meta('twitter:title'),
+    description: meta('twitter:description'),
+    image: resolveUrl(meta('twitter:image'), baseUrl)
+  };
+
+  // JSON-LD entities
+  const jsonLd = parseJsonLd($);
+  const organizationNode = jsonLd.find(node => hasType(node, ORGANIZATION_TYPES));
+  const applicationNode = jsonLd.find(node => hasType(node, APPLICATION_TYPES));
+  const productNode = jsonLd.find(node => hasType(node, ['Product']));
+
+  const organization = organizationNode ? {
+    name: organizationNode.name || null,
+    url: resolveUrl(organizationNode.url, baseUrl),
+    logo: resolveUrl(imageUrl(organizationNode.logo), baseUrl),
+    email: organizationNode.email || null,
+    sameAs: asArray(organizationNode.sameAs)
+  } : null;
+
+  const productSource = applicationNode || productNode;
+  const product = productSource ? {
+    type: asArray(productSource['@type'])[0],
+    name: productSource.name || null,
+    description: productSource.description || null,
+    category: productSource.applicationCategory || productSource.category || null,
+    operatingSystem: productSource.operatingSystem || null,
+    rating: productSource.aggregateRating ? {
+      value: productSource.aggregateRating.ratingValue ?? null,
+      count: productSource.aggregateRating.ratingCount ?? productSource.aggregateRating.reviewCount ?? null
+    } : null
+  } : null;
+
+  const pricing = [applicationNode, productNode]
+    .filter(Boolean)
+    .flatMap(node => normalizeOffers(node.offers));
+
+  // Icons and logo
+  const faviconUrl = resolveUrl(
+    $('link[rel="icon"], link[rel="shortcut icon"]').first().attr('href') || '/favicon.ico',
+    baseUrl
+  );
+  const appleTouchIcon = resolveUrl($('link[rel="apple-touch-icon"]').first().attr('href'), baseUrl);
+  const logoImage = $('header img, nav img, img').filter((i, el) => {
+    const attrs = [$(el).attr('class'), $(el).attr('id'), $(el).attr('alt'), $(el).attr('src')].join(' ');
+    return /logo/i.test(attrs);
+  }).first().attr('src');
+  const logoUrl = organization?.logo || resolveUrl(logoImage, baseUrl) || appleTouchIcon || null;
+
+  // Social profiles from links and JSON-LD sameAs
+  const candidateLinks = [
+    ...(organization?.sameAs || []),
+    ...$('a[href]').map((i, el) => resolveUrl($(el).attr('href'), baseUrl)).get()
+  ].filter(Boolean);
+
+  const social = {};
+  Object.entries(SOCIAL_PATTERNS).forEach(([network, pattern]) => {
+    social[network] = candidateLinks.find(link => pattern.test(link)) || null;
+  });
+  social.twitterHandle = twitterCard.site || twitterHandleFromUrl(social.twitter);
+
+  // Contact details
+  const emails = new Set();
+  // JSON-LD allows a list of addresses, or a ContactPoint object we can't use
+  asArray(organization?.email)
+    .filter(email => typeof email === 'string' && email.trim())
+    .forEach(email => emails.add(email.replace(/^mailto:/i, '').trim()));
+  $('a[href^="mailto:"]').each((i, el) => {
+    const address = $(el).attr('href').replace(/^mailto:/i, '').split('?')[0].trim();
+    if (address) emails.add(address);
+  });
+  $('script, style, noscript').remove();
+  ($('body').text().match(EMAIL_REGEX) || []).forEach(address => emails.add(address));
+
+  const address = formatAddress(organizationNode?.address) ||
+    formatAddress(jsonLd.find(node => node.address)?.address) ||
+    ($('address').first().text().replace(/\s+/g, ' ').trim() || null);
+
+  return {
+    logoUrl,
+    faviconUrl,
+    openGraph,
+    twitterCard,
+    organization,
+    product,
+    pricing,
+    social,
+    emails: [...new Set([...emails].map(email => email.toLowerCase()))]
+      .filter(email => !NON_EMAIL_SUFFIX.test(email))
+      .slice(0, 5),
+    address,
+    jsonLd: jsonLd.slice(0, 10)
+  };
+};
+
+/**
+ * Map extracted metadata onto `product_submissions` columns
+ * @param {Object} metadata - Result of extractMetadata()
+ * @param {Object} content - Scraped page content (title, metaDescription)
+ * @returns {Object} - Partial submission for prefilling the form
+ */
+const buildSubmissionPrefill = (metadata = {}, content = {}) => {
+  const firstPrice = (metadata.pricing || []).find(offer => offer.price !== null);
+
+  return {
+    product_name: metadata.product?.name || metadata.organization?.name ||
+      metadata.openGraph?.siteName || content.title || null,
+    one_liner: metadata.openGraph?.title || metadata.twitterCard?.title || content.title || null,
+    description: metadata.product?.description || metadata.openGraph?.description ||
+      content.metaDescription || null,
+    logo_url: metadata.logoUrl || metadata.faviconUrl || null,
+    twitter_handle: metadata.social?.twitterHandle || null,
+    office_address: metadata.address || null,
+    price: firstPrice ? String(firstPrice.price) : null,
+    contact_email: (metadata.emails || [])[0] || null
+  };
+};
+
+module.exports = { extractMetadata, buildSubmissionPrefill };
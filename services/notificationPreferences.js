@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+/**
+ * Per-user email notification preferences and signed unsubscribe links.
+ *
+ * Every email template belongs to a category (see services/emailTemplates.js).
+ * Users can turn off progress updates, feedback requests and marketing
+ * reminders; transactional email (receipts, action required) is always sent.
+ * Unsubscribe links carry an HMAC-signed token so they work without logging in.
+ */
+
+const NOTIFICATION_CATEGORIES = {
+  TRANSACTIONAL: 'transactional',
+  PROGRESS_UPDATES: 'progress_updates',
+  FEEDBACK_REQUESTS: 'feedback_requests',
+  MARKETING: 'marketing'
+};
+
+// Categories users may switch off
+const OPTIONAL_CATEGORIES = [
+  NOTIFICATION_CATEGORIES.PROGRESS_UPDATES,
+  NOTIFICATION_CATEGORIES.FEEDBACK_REQUESTS,
+  NOTIFICATION_CATEGORIES.MARKETING
+];
+
+const DEFAULT_PREFERENCES = {
+  transactional: true,
+  progress_updates: true,
+  feedback_requests: true,
+  marketing: true
+};
+
+const getUnsubscribeSecret = () => process.env.UNSUBSCRIBE_SECRET || process.env.SUPABASE_JWT_SECRET || null;
+
+/**
+ * A user's preferences, with defaults for anything not stored
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { transactional, progress_updates, feedback_requests, marketing, updated_at }
+ */
+async function getPreferences(supabase, userId) {
+  const { data, error } = await supabase
+    .from('notification_preferences')
+    .select('progress_updates, feedback_requests, marketing, updated_at')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return { ...DEFAULT_PREFERENCES, ...(data || {}), transactional: true };
+}
+
+/**
+ * Update some of a user's preferences
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - User ID
+ * @param {Object} changes - e.g. { progress_updates: false }
+ * @returns {Promise<Object>} - Updated preferences
+ */
+async function updatePreferences(supabase, userId, changes) {
+  const current = await getPreferences(supabase, userId);
+  const next = { ...current };
+
+  Object.entries(changes || {}).forEach(([category, enabled]) => {
+    if (category === NOTIFICATION_CATEGORIES.TRANSACTIONAL && enabled === false) {
+      const error = new Error('Transactional emails cannot be turned off');
+      error.code = 'INVALID_PREFERENCES';
+      throw error;
+    }
+    if (!OPTIONAL_CATEGORIES.includes(category)) return;
+    if (typeof enabled !== 'boolean') {
+      const error = new Error(`${category} must be true or false`);
+      error.code = 'INVALID_PREFERENCES';
+      throw error;
+    }
+    next[category] = enabled;
+  });
+
+  const { error } = await supabase
+    .from('notification_preferences')
+    .upsert([{
+      user_id: userId,
+      progress_updates: next.progress_updates,
+      feedback_requests: next.feedback_requests,
+      marketing: next.marketing,
+      updated_at: new Date().toISOString()
+    }], { onConflict: 'user_id' });
+
+  if (error) throw error;
+  return getPreferences(supabase, userId);
+}
+
+/**
+ * Whether a user wants email in a category
+ * @param {Object} supabase - Supabase client
+ * @param {string} userId - User ID (email without a user is treated as opted in)
+ * @param {string} category - Notification category
+ * @returns {Promise<boolean>}
+ */
+async function isCategoryEnabled(supabase, userId, category) {
+  if (!userId || !OPTIONAL_CATEGORIES.includes(category)) return true;
+  const preferences = await getPreferences(supabase, userId);
+  return preferences[category] !== false;
+}
+
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+/**
+ * Signed token identifying a user and the category to unsubscribe from
+ * @param {string} userId - User ID
+ * @param {string} category - Optional notification category
+ * @param {string} [secret] - Signing secret
+ * @returns {string|null} - Token, or null when no secret is configured
+ */
+const createUnsubscribeToken = (userId, category, secret = getUnsubscribeSecret()) => {
+  if (!secret) return null;
+  const payload = Buffer.from(JSON.stringify({ u: userId, c: category })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+};
+
+/**
+ * Check an unsubscribe token
+ * @param {string} token - Token from the link
+ * @param {string} [secret] - Signing secret
+ * @returns {Object|null} - { userId, category }, or null if invalid
+ */
+const verifyUnsubscribeToken = (token, secret = getUnsubscribeSecret()) => {
+  if (!token || !secret) return null;
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const received = Buffer.from(signature);
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) return null;
+
+  try {
+    const { u: userId, c: category } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    return userId && OPTIONAL_CATEGORIES.includes(category) ? { userId, category } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * One-click unsubscribe URL for a user and category
+ * @param {string} userId - User ID
+ * @param {string} category - Notification category
+ * @returns {string|null} - URL, or null for transactional email or without a signing secret
+ */
+const buildUnsubscribeUrl = (userId, category) => {
+  if (!userId || !OPTIONAL_CATEGORIES.includes(category)) return null;
+  const token = createUnsubscribeToken(userId, category);
+  if (!token) return null;
+  const apiUrl = (process.env.API_URL || process.env.APP_URL || 'https://backlinkbotai.com').replace(/\/+$/, '');
+  return `${apiUrl}/api/notifications/unsubscribe?token=${encodeURIComponent(token)}`;
+};
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  OPTIONAL_CATEGORIES,
+  getPreferences,
+  updatePreferences,
+  isCategoryEnabled,
+  createUnsubscribeToken,
+  verifyUnsubscribeToken,
+  buildUnsubscribeUrl
+};
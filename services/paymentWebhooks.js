@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const { claimEvent, finishEvent } = require('./webhookEvents');
+
+/**
+ * Lemon Squeezy webhook handling.
+ *
+ * Orders are upserted into `payments` by `order_id`, credits are granted per
+ * variant (LEMONSQUEEZY_VARIANT_CREDITS, e.g. {"123456": 1, "123457": 5}) and
+ * taken back on refunds/chargebacks. Every delivery is recorded in
+ * `webhook_events` so retried deliveries are only processed once.
+ */
+
+const PAID_STATUSES = ['paid'];
+const REVERSED_STATUSES = ['refunded', 'partial_refund', 'chargeback', 'disputed'];
+
+/**
+ * Check the X-Signature header against the raw request body
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {string} signature - Hex HMAC-SHA256 from the X-Signature header
+ * @param {string} secret - Webhook signing secret
+ * @returns {boolean}
+ */
+const verifySignature = (rawBody, signature, secret) => {
+  if (!rawBody || !signature || !secret) return false;
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const received = Buffer.from(signature, 'hex');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+// Parse the variant → credits map from the environment
+const loadVariantCredits = (raw = process.env.LEMONSQUEEZY_VARIANT_CREDITS) => {
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    console.error('LEMONSQUEEZY_VARIANT_CREDITS is not valid JSON:', error.message);
+    return {};
+  }
+};
+
+/**
+ * Process a verified Lemon Squeezy webhook
+ * @param {Object} deps - { supabase, creditLedger, emailOutbox }
+ * @param {Object} payload - Parsed webhook body
+ * @param {Buffer} rawBody - Raw body, used as the idempotency key
+ * @returns {Promise<Object>} - { duplicate, action, orderId }
+ */
+async function handleLemonSqueezyWebhook({ supabase, creditLedger, emailOutbox }, payload, rawBody) {
+  const eventName = payload.meta?.event_name;
+  const eventKey = `${eventName}:${crypto.createHash('sha256').update(rawBody).digest('hex')}`;
+
+  if (!eventName || !payload.data) {
+    throw new Error('Webhook payload is missing meta.event_name or data');
+  }
+
+  if (!(await claimEvent(supabase, 'lemonsqueezy', eventKey, eventName))) {
+    console.log(`Skipping duplicate webhook ${eventName}`);
+    return { duplicate: true, action: 'none' };
+  }
+
+  try {
+    const result = payload.data.type === 'orders'
+      ? await processOrderEvent({ supabase, creditLedger, emailOutbox }, eventName, payload)
+      : { action: 'ignored' };
+
+    await finishEvent(supabase, eventKey, 'processed');
+    return { duplicate: false, ...result };
+  } catch (error) {
+    await finishEvent(supabase, eventKey, 'failed', error.message);
+    throw error;
+  }
+}
+
+async function processOrderEvent({ supabase, creditLedger, emailOutbox }, eventName, payload) {
+  const attributes = payload.data.attributes || {};
+  const orderId = String(payload.data.id);
+  const variantId = attributes.first_order_item?.variant_id != null
+    ? String(attributes.first_order_item.variant_id)
+    : null;
+  const isReversal = REVERSED_STATUSES.includes(attributes.status) ||
+    attributes.refunded === true ||
+    /refund|chargeback|dispute/.test(eventName);
+  const status = isReversal && !REVERSED_STATUSES.includes(attributes.status) ? 'refunded' : attributes.status;
+  const credits = Number(loadVariantCredits()[variantId]) || 0;
+
+  const { data: previous, error: fetchError } = await supabase
+    .from('payments')
+    .select('id, user_id, status, credits')
+    .eq('order_id', orderId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  // Later events for an order may not carry the checkout's custom data
+  const userId = payload.meta.custom_data?.user_id || previous?.user_id || null;
+  const wasPaid = previous && PAID_STATUSES.includes(previous.status);
+  const paymentRow = {
+    order_id: orderId,
+    user_id: userId,
+    variant_id: variantId,
+    status,
+    amount: (attributes.total || 0) / 100,
+    currency: attributes.currency,
+    credits,
+    updated_at: new Date().toISOString()
+  };
+
+  // Credits move before the payment row changes status: if that fails, the retried
+  // delivery still sees the old status, and applyOnce keeps a retry from granting twice
+  const savePayment = async () => {
+    const { data: payment, error: upsertError } = await supabase
+      .from('payments')
+      .upsert([paymentRow], { onConflict: 'order_id' })
+      .select()
+      .single();
+
+    if (upsertError) throw upsertError;
+    return payment;
+  };
+
+  // Newly paid order: grant its credits and confirm by email
+  if (PAID_STATUSES.includes(status) && !wasPaid) {
+    if (!userId) {
+      console.warn(`Order ${orderId} has no user_id in custom_data; credits not granted`);
+    } else if (credits > 0) {
+      const grant = await creditLedger.applyOnce(userId, credits, 'purchase', orderId, { variantId });
+      if (grant.duplicate) console.log(`Credits for order ${orderId} were already granted`);
+      else console.log(`Granted ${credits} credit(s) to ${userId} for order ${orderId}`);
+    } else {
+      console.warn(`No credits configured for variant ${variantId} (order ${orderId})`);
+    }
+
+    const payment = await savePayment();
+
+    if (attributes.user_email) {
+      try {
+        await emailOutbox.enqueue({
+          to: attributes.user_email,
+          template: 'payment_confirmation',
+          data: { amount: payment.amount, currency: payment.currency, orderId },
+          userId,
+          dedupeKey: `payment_confirmation:${orderId}`
+        });
+      } catch (emailError) {
+        // The payment is recorded; a missing email shouldn't make the provider retry
+        console.error('Failed to queue payment confirmation email:', emailError);
+      }
+    }
+    return { action: 'granted', orderId, credits };
+  }
+
+  // Refund or chargeback of an order we had credited: take the credits back
+  if (REVERSED_STATUSES.includes(status) && wasPaid && userId && previous.credits > 0) {
+    const balance = await creditLedger.getBalance(userId);
+    const revocable = Math.min(previous.credits, balance);
+    if (revocable > 0) {
+      await creditLedger.applyOnce(userId, -revocable, 'refund_reversal', orderId, { status });
+    }
+    if (revocable < previous.credits) {
+      console.warn(`Order ${orderId} reversed but ${previous.credits - revocable} credit(s) were already spent by ${userId}`);
+    }
+
+    await savePayment();
+    return { action: 'revoked', orderId, credits: revocable };
+  }
+
+  await savePayment();
+  return { action: 'recorded', orderId };
+}
+
+module.exports = { verifySignature, handleLemonSqueezyWebhook };
@@ -0,0 +1,98 @@
+const axios = require('axios');
+const dns = require('dns');
+const https = require('https');
+const net = require('net');
+
+/**
+ * Downloads of URLs that come from users or scraped pages (upload files, logos).
+ *
+ * Such a URL must not reach our own network, so only https is allowed and
+ * every address connected to, including after a redirect, has to be public.
+ */
+
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([network, prefix]) => NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+const isPublicAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  const family = net.isIP(ip);
+  if (!family || (!mapped && /^::ffff:/i.test(ip))) return false;
+  return !NON_PUBLIC_ADDRESSES.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// dns.lookup that refuses hostnames resolving to a non-public address; used for every
+// connection (redirects included), so the address checked is the one connected to
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) {
+      return callback(new Error(`Refusing to connect to ${hostname}: ${blocked.address} is not a public address`));
+    }
+    callback(null, address, family);
+  });
+};
+
+const publicAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+// IP literals never go through the lookup
+const literalHost = (hostname) => {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '');
+  return net.isIP(host) ? host : null;
+};
+
+/**
+ * GET an https URL on a public address as a buffer
+ * @param {string} url - URL to download
+ * @param {Object} [options]
+ * @param {number} [options.timeout=15000] - Request timeout in ms
+ * @param {number} [options.maxContentLength] - Largest accepted response in bytes
+ * @param {number} [options.maxRedirects=3] - Redirects to follow
+ * @returns {Promise<Object>} - axios response with `data` as an ArrayBuffer
+ */
+async function fetchPublic(url, { timeout = 15000, maxContentLength, maxRedirects = 3 } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error(`Can't fetch ${url}: not a URL`);
+  }
+
+  if (parsed.protocol !== 'https:') throw new Error(`Can't fetch ${url}: only https URLs are allowed`);
+  const host = literalHost(parsed.hostname);
+  if (host && !isPublicAddress(host)) {
+    throw new Error(`Can't fetch ${url}: ${host} is not a public address`);
+  }
+
+  return axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout,
+    maxContentLength,
+    maxRedirects,
+    httpsAgent: publicAgent,
+    proxy: false,
+    beforeRedirect: (options) => {
+      if (options.protocol !== 'https:') throw new Error(`Can't fetch ${url}: redirected to ${options.protocol}`);
+      const redirectHost = literalHost(options.hostname);
+      if (redirectHost && !isPublicAddress(redirectHost)) {
+        throw new Error(`Can't fetch ${url}: redirected to ${redirectHost}`);
+      }
+    }
+  });
+}
+
+module.exports = { isPublicAddress, fetchPublic };
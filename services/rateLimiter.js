@@ -0,0 +1,60 @@
+/**
+ * In-memory fixed-window rate limiting middleware.
+ *
+ * Counts are per process, which is fine for a single Render instance; a
+ * multi-instance deployment would need a shared store.
+ */
+
+/**
+ * Create a rate limiting middleware
+ * @param {Object} options
+ * @param {string} options.name - Used in logs and the error message
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per key per window
+ * @param {Function} options.keyGenerator - (req) => key, or null to skip limiting
+ * @returns {Function} - Express middleware
+ */
+const createRateLimiter = ({ name, windowMs, max, keyGenerator }) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow forever
+  const cleanup = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) hits.delete(key);
+    });
+  }, windowMs);
+  cleanup.unref();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) return next();
+
+    const now = Date.now();
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    const remaining = Math.max(0, max - entry.count);
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(remaining));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (entry.count > max) {
+      console.warn(`Rate limit "${name}" exceeded for ${key}`);
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: 'Too many requests',
+        details: `Rate limit of ${max} requests per ${Math.round(windowMs / 60000)} minutes reached (${name}). Try again in ${resetSeconds} seconds.`
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { createRateLimiter };
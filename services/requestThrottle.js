@@ -0,0 +1,66 @@
+/**
+ * Serializes calls to a rate-limited API and retries them when it answers 429.
+ *
+ * Airtable allows 5 requests per second per base and asks clients to back off
+ * for 30 seconds after a 429, so the defaults space calls 250ms apart and
+ * retry with exponential backoff capped at 30 seconds.
+ */
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRateLimited = (error) => error && (error.statusCode === 429 || error.status === 429 ||
+  error.error === 'RATE_LIMIT_REACHED' || error.response?.status === 429);
+
+class RequestThrottle {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name='api'] - Used in logs
+   * @param {number} [options.minIntervalMs=250] - Minimum gap between calls
+   * @param {number} [options.maxRetries=5] - Retries after a 429 before giving up
+   * @param {number} [options.backoffMs=2000] - First retry delay, doubled each time
+   * @param {number} [options.maxBackoffMs=30000] - Longest retry delay
+   */
+  constructor({ name = 'api', minIntervalMs = 250, maxRetries = 5, backoffMs = 2000, maxBackoffMs = 30000 } = {}) {
+    this.name = name;
+    this.minIntervalMs = minIntervalMs;
+    this.maxRetries = maxRetries;
+    this.backoffMs = backoffMs;
+    this.maxBackoffMs = maxBackoffMs;
+    this.queue = Promise.resolve();
+    this.nextSlot = 0;
+    this.stats = { requests: 0, rateLimited: 0 };
+  }
+
+  /**
+   * Run fn when the next slot is free, retrying on 429
+   * @param {Function} fn - async () => result
+   * @returns {Promise<*>} - fn's result
+   */
+  run(fn) {
+    const result = this.queue.then(() => this.attempt(fn, 0));
+    // Keep the chain going whether or not this call failed
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async attempt(fn, retry) {
+    const wait = this.nextSlot - Date.now();
+    if (wait > 0) await sleep(wait);
+    this.nextSlot = Date.now() + this.minIntervalMs;
+    this.stats.requests++;
+
+    try {
+      return await fn();
+    } catch (error) {
+      if (!isRateLimited(error) || retry >= this.maxRetries) throw error;
+
+      this.stats.rateLimited++;
+      const delay = Math.min(this.backoffMs * Math.pow(2, retry), this.maxBackoffMs);
+      console.warn(`${this.name} rate limit hit, retrying in ${delay}ms (retry ${retry + 1}/${this.maxRetries})`);
+      this.nextSlot = Date.now() + delay;
+      return this.attempt(fn, retry + 1);
+    }
+  }
+}
+
+module.exports = { RequestThrottle, isRateLimited };
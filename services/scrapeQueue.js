@@ -0,0 +1,189 @@
+/**
+ * Persistent job queue for website scrape + analysis runs.
+ *
+ * Jobs are stored in the Supabase `scrape_jobs` table so queued and in-flight
+ * work survives a restart; `start()` picks up anything left unfinished.
+ */
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+class ScrapeQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.supabase - Supabase client
+   * @param {Function} options.processor - async (job) => result
+   * @param {number} [options.concurrency=2] - Max jobs running at once
+   * @param {number} [options.maxAttempts=3] - Attempts before a job is marked failed
+   * @param {number} [options.backoffMs=5000] - Base delay for exponential retry backoff
+   * @param {Function} [options.onFailed] - async (job, error) called once a job has used up its attempts
+   */
+  constructor({ supabase, processor, concurrency = 2, maxAttempts = 3, backoffMs = 5000, onFailed }) {
+    this.supabase = supabase;
+    this.processor = processor;
+    this.onFailed = onFailed;
+    this.concurrency = concurrency;
+    this.maxAttempts = maxAttempts;
+    this.backoffMs = backoffMs;
+    this.table = 'scrape_jobs';
+    this.ready = [];
+    this.active = 0;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {Object} payload - { websiteUrl, websiteName, userId, options }
+   * @returns {Promise<Object>} - The stored job row
+   */
+  async enqueue({ websiteUrl, websiteName, userId, options = {} }) {
+    const { data: job, error } = await this.supabase
+      .from(this.table)
+      .insert([{
+        website_url: websiteUrl,
+        website_name: websiteName || null,
+        user_id: userId || null,
+        options,
+        status: JOB_STATUS.QUEUED,
+        attempts: 0,
+        max_attempts: this.maxAttempts,
+        run_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error enqueuing scrape job:', error);
+      throw error;
+    }
+
+    console.log(`Enqueued scrape job ${job.id} for ${websiteUrl}`);
+    this.schedule(job);
+    return job;
+  }
+
+  /**
+   * Fetch a job by id
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Job row or null if not found
+   */
+  async getJob(jobId) {
+    const { data: job, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .eq('id', jobId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return job;
+  }
+
+  /**
+   * Reload unfinished jobs from the database. Jobs that were running when the
+   * process stopped are retried.
+   */
+  async start() {
+    const { data: jobs, error } = await this.supabase
+      .from(this.table)
+      .select('*')
+      .in('status', [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING])
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error recovering scrape jobs:', error);
+      return;
+    }
+
+    if (jobs.length > 0) {
+      console.log(`Recovered ${jobs.length} unfinished scrape jobs`);
+    }
+    jobs.forEach(job => this.schedule(job));
+  }
+
+  schedule(job) {
+    const delay = Math.max(0, new Date(job.run_at || Date.now()).getTime() - Date.now());
+    setTimeout(() => {
+      this.ready.push(job);
+      this.drain();
+    }, delay);
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.ready.length > 0) {
+      const job = this.ready.shift();
+      this.active++;
+      this.run(job)
+        .catch(error => console.error(`Unexpected error running scrape job ${job.id}:`, error))
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  async run(job) {
+    const attempts = (job.attempts || 0) + 1;
+    const maxAttempts = job.max_attempts || this.maxAttempts;
+
+    console.log(`Running scrape job ${job.id} (attempt ${attempts}/${maxAttempts})`);
+    await this.update(job.id, {
+      status: JOB_STATUS.RUNNING,
+      attempts,
+      started_at: new Date().toISOString()
+    });
+
+    try {
+      const result = await this.processor(job);
+      await this.update(job.id, {
+        status: JOB_STATUS.COMPLETED,
+        result,
+        error: null,
+        completed_at: new Date().toISOString()
+      });
+      console.log(`Scrape job ${job.id} completed`);
+    } catch (error) {
+      if (attempts < maxAttempts) {
+        const delay = this.backoffMs * Math.pow(2, attempts - 1);
+        const runAt = new Date(Date.now() + delay).toISOString();
+        console.warn(`Scrape job ${job.id} failed, retrying in ${delay}ms:`, error.message);
+        await this.update(job.id, {
+          status: JOB_STATUS.QUEUED,
+          error: error.message,
+          run_at: runAt
+        });
+        this.schedule({ ...job, attempts, run_at: runAt });
+      } else {
+        console.error(`Scrape job ${job.id} failed after ${attempts} attempts:`, error.message);
+        await this.update(job.id, {
+          status: JOB_STATUS.FAILED,
+          error: error.message,
+          completed_at: new Date().toISOString()
+        });
+
+        if (this.onFailed) {
+          try {
+            await this.onFailed(job, error);
+          } catch (hookError) {
+            console.error(`Error in failure handler for scrape job ${job.id}:`, hookError);
+          }
+        }
+      }
+    }
+  }
+
+  async update(jobId, fields) {
+    const { error } = await this.supabase
+      .from(this.table)
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', jobId);
+
+    if (error) {
+      console.error(`Error updating scrape job ${jobId}:`, error);
+    }
+  }
+}
+
+module.exports = { ScrapeQueue, JOB_STATUS };
@@ -0,0 +1,251 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+/**
+ * Bounded same-origin crawl that finds a site's pricing, features, about and
+ * contact pages so their content can be fed into the analysis.
+ */
+
+const CRAWLER_USER_AGENT = 'BacklinkBot';
+
+// Page types we look for, matched against link paths and link text
+const PAGE_TYPES = {
+  pricing: /(pricing|plans|price|buy|upgrade)/i,
+  features: /(features|product|solutions|how-it-works|tour)/i,
+  about: /(about|company|team|our-story)/i,
+  contact: /(contact|support|get-in-touch|imprint|impressum)/i
+};
+
+const SKIP_EXTENSIONS = /\.(pdf|zip|png|jpe?g|gif|svg|webp|mp4|mp3|css|js|xml|json)$/i;
+
+/**
+ * Parse robots.txt into the rules that apply to us
+ * @param {string} text - robots.txt body
+ * @returns {Object} - { rules: [{ allow, path }], sitemaps: [] }
+ */
+const parseRobotsTxt = (text) => {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const key = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === 'sitemap') {
+      sitemaps.push(value);
+    } else if (key === 'user-agent') {
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    } else if ((key === 'allow' || key === 'disallow') && current) {
+      if (value) current.rules.push({ allow: key === 'allow', path: value });
+    }
+    lastWasAgent = false;
+  });
+
+  const ours = groups.find(group => group.agents.includes(CRAWLER_USER_AGENT.toLowerCase()));
+  const wildcard = groups.find(group => group.agents.includes('*'));
+  return { rules: (ours || wildcard || { rules: [] }).rules, sitemaps };
+};
+
+// Longest matching rule wins; Allow wins ties
+const isPathAllowed = (rules, path) => {
+  let match = null;
+  rules.forEach(rule => {
+    const pattern = new RegExp('^' + rule.path
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*')
+      .replace(/\\\$$/, '$'));
+    if (pattern.test(path)) {
+      if (!match || rule.path.length > match.path.length ||
+          (rule.path.length === match.path.length && rule.allow)) {
+        match = rule;
+      }
+    }
+  });
+  return !match || match.allow;
+};
+
+const fetchText = async (url, timeout = 10000) => {
+  const response = await axios.get(url, {
+    timeout,
+    responseType: 'text',
+    maxRedirects: 5,
+    headers: { 'User-Agent': CRAWLER_USER_AGENT }
+  });
+  return response.data;
+};
+
+async function fetchRobots(origin) {
+  try {
+    return parseRobotsTxt(await fetchText(`${origin}/robots.txt`));
+  } catch (error) {
+    // No robots.txt means everything is allowed
+    return { rules: [], sitemaps: [] };
+  }
+}
+
+/**
+ * Collect same-origin URLs from the site's sitemap(s)
+ * @param {string} origin - Site origin
+ * @param {string[]} sitemapUrls - Sitemaps listed in robots.txt
+ * @param {number} [limit=500] - Max URLs to return
+ * @returns {Promise<string[]>}
+ */
+async function fetchSitemapUrls(origin, sitemapUrls, limit = 500) {
+  const queue = sitemapUrls.length > 0 ? [...sitemapUrls] : [`${origin}/sitemap.xml`];
+  const urls = [];
+  let fetched = 0;
+
+  // Follow sitemap indexes, but only a handful of child sitemaps
+  while (queue.length > 0 && fetched < 5 && urls.length < limit) {
+    const sitemapUrl = queue.shift();
+    fetched++;
+    try {
+      const $ = cheerio.load(await fetchText(sitemapUrl), { xmlMode: true });
+      $('sitemapindex > sitemap > loc').each((i, el) => queue.push($(el).text().trim()));
+      $('urlset > url > loc').each((i, el) => {
+        const loc = $(el).text().trim();
+        if (loc.startsWith(origin)) urls.push(loc);
+      });
+    } catch (error) {
+      console.warn(`Could not read sitemap ${sitemapUrl}:`, error.message);
+    }
+  }
+
+  return urls.slice(0, limit);
+}
+
+/**
+ * Score how well a URL/link text matches a page type (lower is better)
+ * @returns {number|null} - Score, or null when it doesn't match
+ */
+const scoreCandidate = (type, url, text = '') => {
+  const { pathname } = new URL(url);
+  const segments = pathname.split('/').filter(Boolean);
+  const pathMatch = PAGE_TYPES[type].test(pathname);
+  const textMatch = PAGE_TYPES[type].test(text);
+  if (!pathMatch && !textMatch) return null;
+
+  // Prefer shallow paths like /pricing over /blog/pricing-updates-2021
+  return segments.length * 10 + pathname.length / 10 - (pathMatch ? 5 : 0) - (textMatch ? 5 : 0);
+};
+
+const canonicalize = (href, origin) => {
+  try {
+    const url = new URL(href, origin);
+    if (url.origin !== origin || !/^https?:$/.test(url.protocol)) return null;
+    if (SKIP_EXTENSIONS.test(url.pathname)) return null;
+    url.hash = '';
+    url.search = '';
+    return url.href.replace(/\/$/, '');
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Crawl the key pages of a site
+ * @param {string} startUrl - Home page URL after redirects (already scraped); only links on its origin are crawled
+ * @param {Object} homeContent - Scraped content of the home page
+ * @param {Object} options
+ * @param {Function} options.scrapePage - async (url) => content
+ * @param {number} [options.maxDepth=1] - Link hops from the home page
+ * @param {number} [options.maxPages=4] - Extra pages to scrape
+ * @param {number} [options.timeBudgetMs=45000] - Stop crawling after this long
+ * @returns {Promise<Object>} - { pages: { pricing, features, about, contact }, crawledUrls, skipped }
+ */
+async function crawlSite(startUrl, homeContent, { scrapePage, maxDepth = 1, maxPages = 4, timeBudgetMs = 45000 }) {
+  const deadline = Date.now() + timeBudgetMs;
+  const origin = new URL(startUrl).origin;
+  const home = canonicalize(startUrl, origin);
+  const robots = await fetchRobots(origin);
+  const sitemapUrls = await fetchSitemapUrls(origin, robots.sitemaps);
+
+  const pages = {};
+  const visited = new Set([home]);
+  const skipped = [];
+  // Candidate urls with the link text they were found under and their depth
+  const candidates = new Map();
+
+  const addCandidate = (href, text, depth) => {
+    const url = canonicalize(href, origin);
+    if (!url || visited.has(url) || candidates.has(url)) return;
+    candidates.set(url, { text, depth });
+  };
+
+  (homeContent.links || []).forEach(link => addCandidate(link.href, link.text, 1));
+  sitemapUrls.forEach(url => addCandidate(url, '', 1));
+
+  while (visited.size - 1 < maxPages && Date.now() < deadline) {
+    // Pick the best remaining candidate for any page type still missing
+    let best = null;
+    Object.keys(PAGE_TYPES).filter(type => !pages[type]).forEach(type => {
+      candidates.forEach(({ text, depth }, url) => {
+        if (depth > maxDepth) return;
+        const score = scoreCandidate(type, url, text);
+        if (score !== null && (!best || score < best.score)) {
+          best = { type, url, depth, score };
+        }
+      });
+    });
+    if (!best) break;
+
+    candidates.delete(best.url);
+    visited.add(best.url);
+
+    if (!isPathAllowed(robots.rules, new URL(best.url).pathname)) {
+      skipped.push({ url: best.url, reason: 'disallowed by robots.txt' });
+      continue;
+    }
+
+    try {
+      console.log(`Crawling ${best.type} page:`, best.url);
+      const content = await scrapePage(best.url);
+      pages[best.type] = { url: best.url, content };
+      (content.links || []).forEach(link => addCandidate(link.href, link.text, best.depth + 1));
+    } catch (error) {
+      console.warn(`Failed to crawl ${best.url}:`, error.message);
+      skipped.push({ url: best.url, reason: error.message });
+    }
+  }
+
+  return {
+    pages,
+    crawledUrls: Object.values(pages).map(page => page.url),
+    sitemapUrlCount: sitemapUrls.length,
+    skipped
+  };
+}
+
+/**
+ * Merge a per-request crawl override with the environment defaults
+ * @param {Object|boolean} [crawl] - { maxPages, maxDepth }, or false to skip the crawl
+ * @param {Object} [env=process.env] - Environment variables (CRAWL_MAX_PAGES, CRAWL_MAX_DEPTH)
+ * @returns {Object|null} - { maxPages, maxDepth }, or null when nothing should be crawled
+ */
+const resolveCrawlOptions = (crawl, env = process.env) => {
+  if (crawl === false) return null;
+
+  const overrides = typeof crawl === 'object' && crawl !== null ? crawl : {};
+  const maxPages = parseInt(overrides.maxPages ?? env.CRAWL_MAX_PAGES ?? 4, 10);
+  const maxDepth = parseInt(overrides.maxDepth ?? env.CRAWL_MAX_DEPTH ?? 1, 10);
+  if (!maxPages || maxPages < 1) return null;
+
+  return {
+    maxPages: Math.min(maxPages, 10),
+    maxDepth: Math.min(Math.max(maxDepth || 1, 1), 3)
+  };
+};
+
+module.exports = { crawlSite, resolveCrawlOptions, parseRobotsTxt, isPathAllowed };
@@ -0,0 +1,194 @@
+/**
+ * Reviewer feedback on product submissions.
+ *
+ * When a reviewer moves a submission to `feedback` they attach items
+ * ({ field, message, severity }) that are stored in `submission_feedback_items`
+ * and listed in the notification email. The owner answers them and resubmits,
+ * which sends the submission back into review.
+ */
+
+const FEEDBACK_SEVERITIES = ['info', 'warning', 'blocking'];
+const MAX_FEEDBACK_ITEMS = 50;
+const MAX_MESSAGE_LENGTH = 2000;
+
+const FEEDBACK_ERRORS = {
+  INVALID_FEEDBACK: 'INVALID_FEEDBACK',
+  UNANSWERED_FEEDBACK: 'UNANSWERED_FEEDBACK'
+};
+
+const feedbackError = (code, message, details) => {
+  const error = new Error(message);
+  error.code = code;
+  if (details) error.details = details;
+  return error;
+};
+
+/**
+ * Validate reviewer feedback items from a request body
+ * @param {Array} rawItems - [{ field, message, severity }]
+ * @returns {Object} - { items, errors }
+ */
+const validateFeedbackItems = (rawItems) => {
+  const errors = [];
+  const items = [];
+
+  if (rawItems === undefined || rawItems === null) return { items, errors };
+  if (!Array.isArray(rawItems)) {
+    return { items, errors: ['feedback must be an array of { field, message, severity }'] };
+  }
+  if (rawItems.length > MAX_FEEDBACK_ITEMS) {
+    errors.push(`feedback can have at most ${MAX_FEEDBACK_ITEMS} items`);
+  }
+
+  rawItems.slice(0, MAX_FEEDBACK_ITEMS).forEach((raw, index) => {
+    const message = typeof raw?.message === 'string' ? raw.message.trim() : '';
+    const field = typeof raw?.field === 'string' && raw.field.trim() ? raw.field.trim() : null;
+    const severity = raw?.severity ? String(raw.severity).toLowerCase() : 'warning';
+
+    if (!message) {
+      errors.push(`feedback[${index}].message is required`);
+      return;
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      errors.push(`feedback[${index}].message must be at most ${MAX_MESSAGE_LENGTH} characters`);
+      return;
+    }
+    if (!FEEDBACK_SEVERITIES.includes(severity)) {
+      errors.push(`feedback[${index}].severity must be one of: ${FEEDBACK_SEVERITIES.join(', ')}`);
+      return;
+    }
+
+    items.push({ field, message, severity });
+  });
+
+  return { items, errors };
+};
+
+/**
+ * Store feedback items for a submission
+ * @param {Object} supabase - Supabase client
+ * @param {Object} params
+ * @param {string} params.submissionId - Submission ID
+ * @param {string} [params.historyId] - Status history entry the feedback belongs to
+ * @param {Array} params.items - Validated items
+ * @param {string} [params.createdBy] - Reviewer user ID
+ * @returns {Promise<Array>} - Inserted rows
+ */
+async function createFeedbackItems(supabase, { submissionId, historyId = null, items, createdBy = null }) {
+  if (!items.length) return [];
+
+  const { data, error } = await supabase
+    .from('submission_feedback_items')
+    .insert(items.map((item) => ({
+      submission_id: submissionId,
+      history_id: historyId,
+      field: item.field,
+      message: item.message,
+      severity: item.severity,
+      status: 'open',
+      created_by: createdBy
+    })))
+    .select();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Feedback items for a submission, oldest first
+ * @param {Object} supabase - Supabase client
+ * @param {string} submissionId - Submission ID
+ * @param {Object} [options]
+ * @param {boolean} [options.openOnly=false] - Only items still waiting for a response
+ * @returns {Promise<Array>}
+ */
+async function getFeedbackItems(supabase, submissionId, { openOnly = false } = {}) {
+  let query = supabase
+    .from('submission_feedback_items')
+    .select('id, history_id, field, message, severity, status, response, responded_at, created_at')
+    .eq('submission_id', submissionId);
+
+  if (openOnly) query = query.eq('status', 'open');
+
+  const { data, error } = await query.order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Check the owner's answers to open feedback items without saving them.
+ * Blocking items must all be answered.
+ * @param {Object} supabase - Supabase client
+ * @param {string} submissionId - Submission ID
+ * @param {Array} responses - [{ itemId, response }]
+ * @returns {Promise<Map>} - Item ID → trimmed response, for respondToFeedback()
+ */
+async function validateFeedbackResponses(supabase, submissionId, responses = []) {
+  if (!Array.isArray(responses)) {
+    throw feedbackError(FEEDBACK_ERRORS.INVALID_FEEDBACK, 'responses must be an array of { itemId, response }');
+  }
+
+  const openItems = await getFeedbackItems(supabase, submissionId, { openOnly: true });
+  const openById = new Map(openItems.map((item) => [item.id, item]));
+  const answers = new Map();
+
+  responses.forEach((entry, index) => {
+    const response = typeof entry?.response === 'string' ? entry.response.trim() : '';
+    if (!openById.has(entry?.itemId)) {
+      throw feedbackError(FEEDBACK_ERRORS.INVALID_FEEDBACK, `responses[${index}].itemId is not an open feedback item`);
+    }
+    if (!response) {
+      throw feedbackError(FEEDBACK_ERRORS.INVALID_FEEDBACK, `responses[${index}].response is required`);
+    }
+    if (response.length > MAX_MESSAGE_LENGTH) {
+      throw feedbackError(FEEDBACK_ERRORS.INVALID_FEEDBACK,
+        `responses[${index}].response must be at most ${MAX_MESSAGE_LENGTH} characters`);
+    }
+    answers.set(entry.itemId, response);
+  });
+
+  const unanswered = openItems.filter((item) => item.severity === 'blocking' && !answers.has(item.id));
+  if (unanswered.length) {
+    throw feedbackError(FEEDBACK_ERRORS.UNANSWERED_FEEDBACK,
+      'All blocking feedback items need a response before resubmitting',
+      unanswered.map((item) => ({ itemId: item.id, field: item.field, message: item.message })));
+  }
+
+  return answers;
+}
+
+/**
+ * Record answers checked by validateFeedbackResponses()
+ * @param {Object} supabase - Supabase client
+ * @param {Map} answers - Item ID → response
+ * @returns {Promise<Array>} - Updated rows
+ */
+async function respondToFeedback(supabase, answers) {
+  const respondedAt = new Date().toISOString();
+  const updated = [];
+  for (const [itemId, response] of answers) {
+    const { data, error } = await supabase
+      .from('submission_feedback_items')
+      .update({ status: 'responded', response, responded_at: respondedAt })
+      .eq('id', itemId)
+      .eq('status', 'open')
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (data) updated.push(data);
+  }
+
+  return updated;
+}
+
+module.exports = {
+  FEEDBACK_SEVERITIES,
+  FEEDBACK_ERRORS,
+  validateFeedbackItems,
+  createFeedbackItems,
+  getFeedbackItems,
+  validateFeedbackResponses,
+  respondToFeedback
+};
@@ -0,0 +1,242 @@
+/**
+ * Full directory submission profile generated from a website analysis.
+ *
+ * The model's answer is validated field by field against PROFILE_SCHEMA.
+ * Anything missing or invalid falls back to a value derived from the scraped
+ * page (title, meta tags, JSON-LD, crawled pages) rather than generic filler.
+ */
+
+const PRICING_MODELS = ['Free', 'Freemium', 'Paid', 'Subscription', 'One-time', 'Contact for pricing'];
+
+const PROFILE_SCHEMA = {
+  product_name: { type: 'string', required: true, maxLength: 80 },
+  one_liner: { type: 'string', required: true, maxLength: 100 },
+  description_short: { type: 'string', required: true, maxLength: 100 },
+  description_160: { type: 'string', required: true, maxLength: 160 },
+  description_long: { type: 'string', required: true, minLength: 160, maxLength: 1500 },
+  categories: { type: 'array', required: true, minItems: 1, maxItems: 3 },
+  tags: { type: 'array', required: true, minItems: 3, maxItems: 8 },
+  features: { type: 'array', required: true, minItems: 3, maxItems: 6 },
+  pros: { type: 'array', required: true, minItems: 2, maxItems: 5 },
+  cons: { type: 'array', required: false, minItems: 1, maxItems: 3 },
+  pricing_model: { type: 'string', required: false, enum: PRICING_MODELS },
+  price: { type: 'string', required: false, maxLength: 50 },
+  target_audience: { type: 'string', required: true, maxLength: 200 },
+  office_address: { type: 'string', required: false, maxLength: 300 },
+  twitter_handle: {
+    type: 'string',
+    required: false,
+    pattern: /^@[A-Za-z0-9_]{1,15}$/,
+    normalize: (handle) => '@' + handle.replace(/^@|^https?:\/\/(www\.)?(twitter|x)\.com\//i, '').replace(/\/$/, '')
+  }
+};
+
+// Cut text at a word boundary so it fits maxLength
+const truncate = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > maxLength * 0.6 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.-]+$/, '') + '…';
+};
+
+/**
+ * Validate and normalize a single field value
+ * @param {*} value - Raw value
+ * @param {Object} rule - Entry from PROFILE_SCHEMA
+ * @returns {Object} - { valid, value, reason }
+ */
+const validateField = (value, rule) => {
+  if (value === undefined || value === null || value === '') {
+    return { valid: false, value: null, reason: 'missing' };
+  }
+
+  if (rule.type === 'string') {
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      return { valid: false, value: null, reason: 'not a string' };
+    }
+    let text = String(value).replace(/\s+/g, ' ').trim();
+    if (!text) return { valid: false, value: null, reason: 'missing' };
+    if (rule.normalize) text = rule.normalize(text);
+
+    if (rule.enum) {
+      const match = rule.enum.find(option => option.toLowerCase() === text.toLowerCase());
+      return match
+        ? { valid: true, value: match }
+        : { valid: false, value: null, reason: `not one of ${rule.enum.join(', ')}` };
+    }
+    if (rule.pattern && !rule.pattern.test(text)) {
+      return { valid: false, value: null, reason: 'invalid format' };
+    }
+    if (rule.minLength && text.length < rule.minLength) {
+      return { valid: false, value: null, reason: `shorter than ${rule.minLength} characters` };
+    }
+    if (rule.maxLength) text = truncate(text, rule.maxLength);
+    return { valid: true, value: text };
+  }
+
+  if (rule.type === 'array') {
+    if (!Array.isArray(value)) return { valid: false, value: null, reason: 'not an array' };
+
+    const seen = new Set();
+    const items = value
+      .filter(item => typeof item === 'string')
+      .map(item => item.replace(/\s+/g, ' ').trim())
+      .filter(item => item && !seen.has(item.toLowerCase()) && seen.add(item.toLowerCase()))
+      .slice(0, rule.maxItems);
+
+    if (items.length < (rule.minItems || 0)) {
+      return { valid: false, value: null, reason: `fewer than ${rule.minItems} items` };
+    }
+    return { valid: true, value: items };
+  }
+
+  return { valid: false, value: null, reason: `unknown type ${rule.type}` };
+};
+
+// Split text into sentences for the description fallbacks
+const sentences = (text) => (text || '').match(/[^.!?]+[.!?]+/g) || (text ? [text] : []);
+
+/**
+ * Values derived from the scraped page, used when the model's answer is unusable
+ * @param {Object} content - Scraped content (with metadata and subpages)
+ * @param {string} websiteName - Name supplied by the user
+ * @returns {Object} - Candidate value per profile field
+ */
+const buildFallbacks = (content, websiteName) => {
+  const metadata = content.metadata || {};
+  const subpages = content.subpages || {};
+  const description = metadata.product?.description || content.metaDescription ||
+    metadata.openGraph?.description || '';
+  const bodyText = [description, ...(content.paragraphs || []), subpages.about?.mainContent]
+    .filter(Boolean)
+    .join(' ');
+  const firstPrice = (metadata.pricing || []).find(offer => offer.price !== null);
+
+  let pricingModel = null;
+  if (firstPrice) {
+    pricingModel = Number(firstPrice.price) === 0 ? 'Freemium' : 'Paid';
+  } else if (subpages.pricing && /contact (us|sales)/i.test(subpages.pricing.mainContent || '')) {
+    pricingModel = 'Contact for pricing';
+  }
+
+  return {
+    product_name: websiteName || metadata.product?.name || metadata.organization?.name ||
+      metadata.openGraph?.siteName || (content.title || '').split(/[|\-–—]/)[0],
+    one_liner: metadata.openGraph?.title || content.headings?.[0] || content.title,
+    description_short: sentences(description)[0],
+    description_160: description,
+    description_long: sentences(bodyText).slice(0, 8).join(' '),
+    categories: metadata.product?.category ? [metadata.product.category] : null,
+    tags: null,
+    features: (subpages.features?.headings || content.headings || []).slice(1, 6),
+    pros: null,
+    cons: null,
+    pricing_model: pricingModel,
+    price: firstPrice
+      ? `${firstPrice.currency === 'USD' || !firstPrice.currency ? '$' : firstPrice.currency + ' '}${firstPrice.price}`
+      : null,
+    target_audience: null,
+    office_address: metadata.address,
+    twitter_handle: metadata.social?.twitterHandle
+  };
+};
+
+/**
+ * Validate a model-generated profile, filling gaps from the scraped page
+ * @param {Object} raw - Parsed model output
+ * @param {Object} content - Scraped content
+ * @param {string} websiteName - Name supplied by the user
+ * @returns {Object} - { profile, fieldSources, errors }
+ */
+const validateProfile = (raw, content, websiteName) => {
+  const fallbacks = buildFallbacks(content, websiteName);
+  const profile = {};
+  const fieldSources = {};
+  const errors = {};
+
+  Object.entries(PROFILE_SCHEMA).forEach(([field, rule]) => {
+    const fromModel = validateField(raw?.[field], rule);
+    if (fromModel.valid) {
+      profile[field] = fromModel.value;
+      fieldSources[field] = 'ai';
+      return;
+    }
+
+    const fromPage = validateField(fallbacks[field], rule);
+    if (fromPage.valid) {
+      profile[field] = fromPage.value;
+      fieldSources[field] = 'fallback';
+    } else {
+      profile[field] = null;
+      fieldSources[field] = 'missing';
+    }
+
+    if (fromModel.reason !== 'missing' || rule.required) {
+      errors[field] = fromModel.reason;
+    }
+  });
+
+  return { profile, fieldSources, errors };
+};
+
+/**
+ * Prompt asking for every profile field
+ * @param {string} contentSummary - Formatted page summary
+ * @returns {string}
+ */
+const buildProfilePrompt = (contentSummary) => `
+      You are preparing a complete directory submission profile for a product based on its website.
+
+      Website Information:
+      ${contentSummary}
+
+      Only use facts supported by the content above. Use null for anything the content doesn't tell you.
+
+      Return clean JSON with exactly these fields:
+      {
+        "product_name": "Product name as the company writes it",
+        "one_liner": "Punchy tagline, max 100 characters",
+        "description_short": "One sentence, max 100 characters",
+        "description_160": "SEO meta description, max 160 characters",
+        "description_long": "3-5 sentence description (300-1000 characters) covering what it does, who it's for and why it's different",
+        "categories": ["Up to 3 directory categories, e.g. SaaS, Marketing, AI/ML, Productivity, Developer Tools"],
+        "tags": ["3-8 lowercase keyword tags"],
+        "features": ["3-6 concrete features"],
+        "pros": ["2-5 pros a reviewer would mention"],
+        "cons": ["1-3 honest cons or limitations"],
+        "pricing_model": "One of: ${PRICING_MODELS.join(', ')} (or null)",
+        "price": "Cheapest paid plan as shown on the site, e.g. \\"$19/month\\", or null",
+        "target_audience": "Who the product is for, one sentence",
+        "office_address": "Postal address if it appears in the content, otherwise null",
+        "twitter_handle": "@handle if it appears in the content, otherwise null"
+      }
+    `;
+
+/**
+ * Map a validated profile onto `product_submissions` columns
+ * @param {Object} profile - Validated profile
+ * @returns {Object} - Non-null submission fields
+ */
+const toSubmissionFields = (profile) => {
+  const fields = {
+    product_name: profile.product_name,
+    one_liner: profile.one_liner,
+    description: profile.description_long,
+    categories: profile.categories,
+    pros: profile.pros,
+    cons: profile.cons,
+    pricing_model: profile.pricing_model,
+    price: profile.price,
+    office_address: profile.office_address,
+    twitter_handle: profile.twitter_handle
+  };
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+};
+
+module.exports = {
+  PROFILE_SCHEMA,
+  PRICING_MODELS,
+  validateProfile,
+  buildProfilePrompt,
+  toSubmissionFields
+};
@@ -0,0 +1,350 @@
+const { isAllowedFormUrl, needsPassword, resolveFieldValue, runAdapter } = require('./directoryAdapters');
+
+/**
+ * Persistent queue of automated directory submission runs.
+ *
+ * A run submits one product submission to a list of directories, one after
+ * the other, using each directory's form adapter (services/directoryAdapters.js).
+ * Every directory gets a row in `submission_run_results` (submitted, needs
+ * manual action or failed) with a screenshot of the page as evidence in the
+ * private `submission-evidence` bucket. Runs are stored in `submission_runs`,
+ * so `start()` resumes unfinished runs after a restart, skipping directories
+ * that already have a result.
+ */
+
+const RUN_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+const RESULT_STATUS = {
+  SUBMITTED: 'submitted',
+  NEEDS_MANUAL: 'needs_manual',
+  FAILED: 'failed'
+};
+
+const EVIDENCE_URL_TTL_SECONDS = 60 * 60;
+
+class SubmissionRunQueue {
+  /**
+   * @param {Object} options
+   * @param {Object} options.supabase - Supabase client (service role)
+   * @param {Object} options.browserPool - Shared BrowserPool
+   * @param {Object} options.credentialVault - CredentialVault, for adapters that log in
+   * @param {number} [options.concurrency=1] - Runs processed at once
+   * @param {number} [options.timeoutMs=30000] - Per-page navigation and confirmation timeout
+   * @param {string} [options.bucket='submission-evidence'] - Storage bucket for screenshots
+   * @param {boolean} [options.allowFileUrls=false] - Allow file:// form URLs (local fixture forms)
+   * @param {Function} [options.onFailed] - async (run, error) when a run can't be processed at all
+   */
+  constructor({ supabase, browserPool, credentialVault, concurrency = 1, timeoutMs = 30000, bucket = 'submission-evidence', allowFileUrls = false, onFailed }) {
+    this.supabase = supabase;
+    this.browserPool = browserPool;
+    this.credentialVault = credentialVault;
+    this.concurrency = concurrency;
+    this.timeoutMs = timeoutMs;
+    this.bucket = bucket;
+    this.allowFileUrls = allowFileUrls;
+    this.onFailed = onFailed;
+    this.ready = [];
+    this.active = 0;
+  }
+
+  /**
+   * Queue a run
+   * @param {Object} payload
+   * @param {string} payload.submissionId - Product submission ID
+   * @param {string[]} payload.directoryIds - Directories to submit to, in order
+   * @param {string} [payload.userId] - Owner, for refunds
+   * @param {number} [payload.chargedCredits=0] - Credits charged for the run
+   * @returns {Promise<Object>} - The stored run row
+   */
+  async enqueue({ submissionId, directoryIds, userId, chargedCredits = 0 }) {
+    const { data: run, error } = await this.supabase
+      .from('submission_runs')
+      .insert([{
+        submission_id: submissionId,
+        user_id: userId || null,
+        directory_ids: directoryIds,
+        status: RUN_STATUS.QUEUED,
+        charged_credits: chargedCredits
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error('Error enqueuing submission run:', error);
+      throw error;
+    }
+
+    console.log(`Enqueued submission run ${run.id} for ${submissionId} (${directoryIds.length} directories)`);
+    this.schedule(run);
+    return run;
+  }
+
+  /**
+   * A run with its per-directory results; screenshots come as short-lived signed URLs
+   * @param {string} runId - Run ID
+   * @returns {Promise<Object|null>}
+   */
+  async getRun(runId) {
+    const { data: run, error } = await this.supabase
+      .from('submission_runs')
+      .select('*')
+      .eq('id', runId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!run) return null;
+
+    const results = await this.getResults(run.id);
+    for (const result of results) {
+      result.screenshot_url = null;
+      if (!result.screenshot_path) continue;
+
+      const { data: signed, error: signError } = await this.supabase.storage
+        .from(this.bucket)
+        .createSignedUrl(result.screenshot_path, EVIDENCE_URL_TTL_SECONDS);
+
+      if (signError) console.warn(`Could not sign screenshot ${result.screenshot_path}:`, signError.message);
+      else result.screenshot_url = signed.signedUrl;
+    }
+
+    return { ...run, results };
+  }
+
+  /**
+   * Runs for a product submission, newest first
+   * @param {string} submissionId - Product submission ID
+   * @returns {Promise<Array>}
+   */
+  async listRuns(submissionId) {
+    const { data, error } = await this.supabase
+      .from('submission_runs')
+      .select('*')
+      .eq('submission_id', submissionId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+
+  async getResults(runId) {
+    const { data, error } = await this.supabase
+      .from('submission_run_results')
+      .select('*')
+      .eq('run_id', runId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Reload unfinished runs. Runs interrupted by a restart continue with the
+   * directories that have no result yet.
+   */
+  async start() {
+    const { data: runs, error } = await this.supabase
+      .from('submission_runs')
+      .select('*')
+      .in('status', [RUN_STATUS.QUEUED, RUN_STATUS.RUNNING])
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      console.error('Error recovering submission runs:', error);
+      return;
+    }
+
+    if (runs.length > 0) {
+      console.log(`Recovered ${runs.length} unfinished submission runs`);
+    }
+    runs.forEach(run => this.schedule(run));
+  }
+
+  schedule(run) {
+    this.ready.push(run);
+    // Let enqueue() return before the run starts
+    setImmediate(() => this.drain());
+  }
+
+  drain() {
+    while (this.active < this.concurrency && this.ready.length > 0) {
+      const run = this.ready.shift();
+      this.active++;
+      this.run(run)
+        .catch(error => console.error(`Unexpected error in submission run ${run.id}:`, error))
+        .finally(() => {
+          this.active--;
+          this.drain();
+        });
+    }
+  }
+
+  async run(run) {
+    console.log(`Running submission run ${run.id}`);
+    await this.update(run.id, { status: RUN_STATUS.RUNNING, started_at: run.started_at || new Date().toISOString() });
+
+    try {
+      const { data: submission, error } = await this.supabase
+        .from('product_submissions')
+        .select('*')
+        .eq('id', run.submission_id)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!submission) throw new Error(`Product submission ${run.submission_id} not found`);
+
+      const { data: directories, error: directoriesError } = await this.supabase
+        .from('directories')
+        .select('id, name, submission_url, submission_adapter')
+        .in('id', run.directory_ids);
+
+      if (directoriesError) throw directoriesError;
+      const directoriesById = new Map(directories.map(directory => [directory.id, directory]));
+
+      const done = new Set((await this.getResults(run.id)).map(result => result.directory_id));
+
+      for (const directoryId of run.directory_ids) {
+        if (done.has(directoryId)) continue;
+
+        const directory = directoriesById.get(directoryId);
+        const startedAt = new Date().toISOString();
+        const outcome = directory
+          ? await this.submitToDirectory(run, submission, directory)
+          : { status: RESULT_STATUS.FAILED, reason: 'Directory no longer exists' };
+
+        await this.saveResult(run, directory || { id: directoryId, name: null }, outcome, startedAt);
+      }
+
+      const results = await this.getResults(run.id);
+      const summary = Object.values(RESULT_STATUS).reduce((counts, status) => ({
+        ...counts,
+        [status]: results.filter(result => result.status === status).length
+      }), {});
+
+      await this.update(run.id, {
+        status: RUN_STATUS.COMPLETED,
+        summary,
+        error: null,
+        completed_at: new Date().toISOString()
+      });
+      console.log(`Submission run ${run.id} completed:`, summary);
+    } catch (error) {
+      console.error(`Submission run ${run.id} failed:`, error.message);
+      await this.update(run.id, {
+        status: RUN_STATUS.FAILED,
+        error: error.message,
+        completed_at: new Date().toISOString()
+      });
+
+      if (this.onFailed) {
+        try {
+          await this.onFailed(run, error);
+        } catch (hookError) {
+          console.error(`Error in failure handler for submission run ${run.id}:`, hookError);
+        }
+      }
+    }
+  }
+
+  /**
+   * Submit to one directory. Never throws; problems become a failed result.
+   * @returns {Promise<Object>} - { status, reason, fieldsFilled, pageUrl, details, screenshot }
+   */
+  async submitToDirectory(run, submission, directory) {
+    const adapter = directory.submission_adapter;
+    if (!adapter) {
+      return { status: RESULT_STATUS.NEEDS_MANUAL, reason: 'No automated adapter for this directory' };
+    }
+
+    const formUrl = adapter.formUrl || directory.submission_url;
+    if (!formUrl || !isAllowedFormUrl(formUrl, { allowFileUrls: this.allowFileUrls })) {
+      return { status: RESULT_STATUS.FAILED, reason: `Form URL not allowed: ${formUrl || 'none'}` };
+    }
+
+    try {
+      const secrets = {};
+      if (needsPassword(adapter)) {
+        secrets.password = await this.credentialVault.reveal(submission.id, {
+          actor: { id: null, role: 'system' },
+          reason: `Submission run ${run.id} to ${directory.name}`
+        }).catch(error => {
+          console.warn(`No directory-account password for submission ${submission.id}:`, error.message);
+          return null;
+        });
+      }
+
+      const values = adapter.fields.map(field => resolveFieldValue(field, submission, secrets));
+
+      return await this.browserPool.withPage(async (page) => {
+        await page.setViewport({ width: 1280, height: 900 });
+        const outcome = await runAdapter(page, {
+          adapter,
+          formUrl,
+          values,
+          timeoutMs: this.timeoutMs,
+          allowFileUrls: this.allowFileUrls
+        });
+
+        try {
+          outcome.screenshot = await page.screenshot({ type: 'jpeg', quality: 70, fullPage: true });
+        } catch (error) {
+          console.warn(`Could not screenshot ${directory.name} for run ${run.id}:`, error.message);
+        }
+        return outcome;
+      });
+    } catch (error) {
+      return { status: RESULT_STATUS.FAILED, reason: error.message };
+    }
+  }
+
+  async saveResult(run, directory, outcome, startedAt) {
+    let screenshotPath = null;
+    if (outcome.screenshot) {
+      const path = `${run.submission_id}/${run.id}/${directory.id}.jpg`;
+      const { error: uploadError } = await this.supabase.storage
+        .from(this.bucket)
+        .upload(path, outcome.screenshot, { contentType: 'image/jpeg', upsert: true });
+
+      if (uploadError) console.error(`Error uploading screenshot for run ${run.id}:`, uploadError.message);
+      else screenshotPath = path;
+    }
+
+    const { error } = await this.supabase
+      .from('submission_run_results')
+      .insert([{
+        run_id: run.id,
+        submission_id: run.submission_id,
+        directory_id: directory.id,
+        directory_name: directory.name,
+        status: outcome.status,
+        reason: outcome.reason || null,
+        fields_filled: outcome.fieldsFilled || [],
+        page_url: outcome.pageUrl || null,
+        details: outcome.details || {},
+        screenshot_path: screenshotPath,
+        started_at: startedAt,
+        completed_at: new Date().toISOString()
+      }]);
+
+    if (error) throw error;
+    console.log(`Submission run ${run.id}: ${directory.name || directory.id} ${outcome.status}` +
+      (outcome.reason ? ` (${outcome.reason})` : ''));
+  }
+
+  async update(runId, fields) {
+    const { error } = await this.supabase
+      .from('submission_runs')
+      .update({ ...fields, updated_at: new Date().toISOString() })
+      .eq('id', runId);
+
+    if (error) {
+      console.error(`Error updating submission run ${runId}:`, error);
+    }
+  }
+}
+
+module.exports = { SubmissionRunQueue, RUN_STATUS, RESULT_STATUS };
@@ -0,0 +1,161 @@
+/**
+ * Product submission lifecycle.
+ *
+ *   pending → verifying → in progress → feedback → approved / rejected → done
+ *
+ * Status changes are validated against TRANSITIONS and recorded in
+ * `submission_status_history` with the actor, old/new status and a note.
+ */
+
+const SUBMISSION_STATUSES = ['pending', 'verifying', 'in progress', 'feedback', 'approved', 'rejected', 'done'];
+
+const TRANSITIONS = {
+  pending: ['verifying', 'rejected'],
+  verifying: ['in progress', 'feedback', 'approved', 'rejected'],
+  'in progress': ['feedback', 'approved', 'rejected'],
+  feedback: ['verifying', 'in progress', 'rejected'],
+  approved: ['done'],
+  rejected: ['done'],
+  done: []
+};
+
+// Older rows and clients use these spellings
+const STATUS_ALIASES = {
+  feedback1: 'feedback',
+  in_progress: 'in progress',
+  'in-progress': 'in progress'
+};
+
+const STATUS_ERRORS = {
+  NOT_FOUND: 'SUBMISSION_NOT_FOUND',
+  INVALID_STATUS: 'INVALID_STATUS',
+  INVALID_TRANSITION: 'INVALID_TRANSITION',
+  CONFLICT: 'STATUS_CONFLICT'
+};
+
+const statusError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Map a status (including legacy spellings) to its canonical name
+ * @param {string} status - Raw status
+ * @returns {string|null} - Canonical status, or null if unknown
+ */
+const normalizeStatus = (status) => {
+  if (typeof status !== 'string') return null;
+  const lowered = status.trim().toLowerCase();
+  const canonical = STATUS_ALIASES[lowered] || lowered;
+  return SUBMISSION_STATUSES.includes(canonical) ? canonical : null;
+};
+
+/**
+ * Statuses a submission can move to next
+ * @param {string} status - Current status
+ * @returns {string[]}
+ */
+const allowedTransitions = (status) => TRANSITIONS[normalizeStatus(status) || 'pending'] || [];
+
+/**
+ * Validate and apply a status change, recording it in the history table
+ * @param {Object} supabase - Supabase client
+ * @param {Object} change
+ * @param {string} change.submissionId - Submission ID
+ * @param {string} change.newStatus - Target status
+ * @param {Object} change.actor - { id, role } of whoever made the change
+ * @param {string} [change.note] - Free-text note for the timeline
+ * @param {string} [change.source='api'] - Where the change came from ('api', 'airtable', ...)
+ * @returns {Promise<Object>} - { submission, previousStatus, historyEntry }
+ */
+async function changeSubmissionStatus(supabase, { submissionId, newStatus, actor, note = null, source = 'api' }) {
+  const targetStatus = normalizeStatus(newStatus);
+  if (!targetStatus) {
+    throw statusError(STATUS_ERRORS.INVALID_STATUS,
+      `Unknown status "${newStatus}". Expected one of: ${SUBMISSION_STATUSES.join(', ')}`);
+  }
+
+  const { data: submission, error: fetchError } = await supabase
+    .from('product_submissions')
+    .select('*')
+    .eq('id', submissionId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!submission) {
+    throw statusError(STATUS_ERRORS.NOT_FOUND, 'Product submission not found');
+  }
+
+  // Rows created before the lifecycle existed may have no status yet
+  const previousStatus = normalizeStatus(submission.status) || 'pending';
+  if (!TRANSITIONS[previousStatus].includes(targetStatus)) {
+    throw statusError(STATUS_ERRORS.INVALID_TRANSITION,
+      `Cannot change status from "${previousStatus}" to "${targetStatus}". ` +
+      `Allowed: ${TRANSITIONS[previousStatus].join(', ') || 'none'}`);
+  }
+
+  // Only update if nobody changed the status since we read it
+  let update = supabase
+    .from('product_submissions')
+    .update({ status: targetStatus, updated_at: new Date().toISOString() })
+    .eq('id', submissionId);
+  update = submission.status === null || submission.status === undefined
+    ? update.is('status', null)
+    : update.eq('status', submission.status);
+
+  const { data: updated, error: updateError } = await update.select().maybeSingle();
+
+  if (updateError) throw updateError;
+  if (!updated) {
+    throw statusError(STATUS_ERRORS.CONFLICT, 'The submission status was changed by someone else, reload and try again');
+  }
+
+  const { data: historyEntry, error: historyError } = await supabase
+    .from('submission_status_history')
+    .insert([{
+      submission_id: submissionId,
+      old_status: previousStatus,
+      new_status: targetStatus,
+      actor_id: actor?.id || null,
+      actor_role: actor?.role || 'system',
+      source,
+      note
+    }])
+    .select()
+    .single();
+
+  if (historyError) {
+    // The status change itself went through; don't fail the request over the log
+    console.error('Error recording status history:', historyError);
+  }
+
+  return { submission: updated, previousStatus, historyEntry: historyEntry || null };
+}
+
+/**
+ * Status timeline for a submission, oldest first
+ * @param {Object} supabase - Supabase client
+ * @param {string} submissionId - Submission ID
+ * @returns {Promise<Array>}
+ */
+async function getStatusHistory(supabase, submissionId) {
+  const { data, error } = await supabase
+    .from('submission_status_history')
+    .select('id, old_status, new_status, actor_id, actor_role, source, note, created_at')
+    .eq('submission_id', submissionId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  SUBMISSION_STATUSES,
+  TRANSITIONS,
+  STATUS_ERRORS,
+  normalizeStatus,
+  allowedTransitions,
+  changeSubmissionStatus,
+  getStatusHistory
+};
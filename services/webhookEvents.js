@@ -0,0 +1,79 @@
+/**
+ * Idempotency log for incoming webhooks, stored in `webhook_events`.
+ * Providers retry deliveries, so each one is claimed before processing and
+ * skipped if it was already processed or is being processed by a concurrent
+ * delivery. Failed deliveries can be claimed again.
+ */
+
+// A 'processing' claim older than this is taken to have crashed and may be reclaimed
+const STALE_CLAIM_MS = 10 * 60 * 1000;
+
+// Postgres unique_violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Claim a delivery for processing, returning false if it was already processed
+ * or another delivery of it is being processed right now
+ * @param {Object} supabase - Supabase client
+ * @param {string} provider - e.g. 'lemonsqueezy', 'resend'
+ * @param {string} eventKey - Unique key for the delivery
+ * @param {string} eventName - Provider event name
+ * @returns {Promise<boolean>}
+ */
+async function claimEvent(supabase, provider, eventKey, eventName) {
+  // The insert is the claim: the event_key primary key lets only one delivery through
+  const { error: insertError } = await supabase
+    .from('webhook_events')
+    .insert([{
+      event_key: eventKey,
+      provider,
+      event_name: eventName,
+      status: 'processing'
+    }]);
+
+  if (!insertError) return true;
+  if (insertError.code !== UNIQUE_VIOLATION) throw insertError;
+
+  const { data: existing, error: fetchError } = await supabase
+    .from('webhook_events')
+    .select('status, updated_at')
+    .eq('event_key', eventKey)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!existing) return false;
+
+  const isStale = existing.status === 'processing' &&
+    Date.now() - new Date(existing.updated_at).getTime() > STALE_CLAIM_MS;
+  if (existing.status !== 'failed' && !isStale) return false;
+
+  // Retry of a failed (or abandoned) delivery: only one retry can flip the row back
+  const { data: reclaimed, error: reclaimError } = await supabase
+    .from('webhook_events')
+    .update({ status: 'processing', error: null, updated_at: new Date().toISOString() })
+    .eq('event_key', eventKey)
+    .eq('status', existing.status)
+    .eq('updated_at', existing.updated_at)
+    .select('event_key');
+
+  if (reclaimError) throw reclaimError;
+  return reclaimed.length > 0;
+}
+
+/**
+ * Mark a claimed delivery as processed or failed
+ * @param {Object} supabase - Supabase client
+ * @param {string} eventKey - Key passed to claimEvent
+ * @param {string} status - 'processed' or 'failed'
+ * @param {string} [errorMessage] - Why processing failed
+ */
+async function finishEvent(supabase, eventKey, status, errorMessage = null) {
+  const { error } = await supabase
+    .from('webhook_events')
+    .update({ status, error: errorMessage, updated_at: new Date().toISOString() })
+    .eq('event_key', eventKey);
+
+  if (error) console.error(`Error updating webhook event ${eventKey}:`, error);
+}
+
+module.exports = { claimEvent, finishEvent };
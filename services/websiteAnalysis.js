@@ -0,0 +1,371 @@
+const { buildSubmissionPrefill } = require('./metadataExtractor');
+const { validateProfile, buildProfilePrompt, toSubmissionFields } = require('./submissionProfile');
+const { matchDirectories } = require('./directoryCatalog');
+const { resolveCrawlOptions } = require('./siteCrawler');
+const { normalizeUrlForCache, hashContent, findCachedResult, findAnalysisByHash } = require('./analysisCache');
+
+/**
+ * The scrape + analysis flow behind POST /api/scrape-website and the scrape queue.
+ *
+ * Scraping, asset capture and the LLM provider are passed in, so tests can run
+ * the flow with a MockProvider and canned pages instead of a browser.
+ */
+
+// Summarize crawled pricing/features/about/contact pages for the GPT prompt
+const formatSubpagesForPrompt = (subpages) => {
+  if (!subpages || Object.keys(subpages).length === 0) return '';
+
+  const sections = Object.entries(subpages).map(([type, page]) => {
+    // Pricing tables are dense, so give that page more room
+    const excerptLength = type === 'pricing' ? 1200 : 600;
+    return `
+      ${type.charAt(0).toUpperCase() + type.slice(1)} Page (${page.url}):
+      ${page.headings.slice(0, 5).join('\n')}
+      ${page.mainContent?.substring(0, excerptLength) || ''}`;
+  });
+
+  return `
+      Additional Pages:${sections.join('\n')}`;
+};
+
+// Create a structured content summary with all available information
+const buildContentSummary = (content, websiteName) => `
+      Website Name: ${websiteName || 'Unknown'}
+      Website Title: ${content.title || 'No title found'}
+      Meta Description: ${content.metaDescription || 'No meta description found'}
+      
+      Main Headings:
+      ${content.headings.slice(0, 5).join('\n') || 'No headings found'}
+      
+      Content Sample:
+      ${content.paragraphs.slice(0, 3).join('\n') || 'No paragraphs found'}
+      
+      Key Links:
+      ${content.links.slice(0, 5).map(l => `${l.text} (${l.href})`).join('\n') || 'No links found'}
+      
+      Main Content Excerpt:
+      ${content.mainContent?.substring(0, 500) || 'No main content found'}
+      
+      Address Found On Site: ${content.metadata?.address || 'None'}
+      ${formatSubpagesForPrompt(content.subpages)}
+    `;
+
+// Function to analyze website content with GPT
+async function analyzeWebsiteWithGPT(llm, content, websiteName) {
+  try {
+    const contentSummary = buildContentSummary(content, websiteName);
+    
+    const prompt = `
+      You are analyzing a website to create directory listings that will drive traffic and increase visibility.
+      
+      Website Information:
+      ${contentSummary}
+      
+      Based on this information, provide:
+      
+      1. Description: Write a compelling 2-3 sentence description that clearly explains what the website offers, its value proposition, and target audience. Make it persuasive and SEO-friendly.
+      
+      2. Categories: Identify exactly 3 specific, relevant categories that best represent this website for directory listings. Choose from common directory categories like: Business, Technology, Health, Education, Finance, E-commerce, Marketing, AI/ML, SaaS, Productivity, Entertainment, Social Media, etc.
+      
+      3. Features: List 3 specific, standout features or benefits that would attract users to this website. Be concrete and specific, not generic.
+      
+      4. Pricing Model: One of "Free", "Freemium", "Paid", "Subscription", "One-time", "Contact for pricing", or null if the pages don't say.
+      
+      5. Price: The cheapest paid plan as shown on the site (e.g. "$19/month"), or null if unknown.
+      
+      6. Pros and Cons: 3 honest pros and 2 cons a reviewer would mention, based only on the content above.
+      
+      7. Office Address: The company's postal address if it appears in the content, otherwise null. Never invent one.
+      
+      Format your response as clean JSON:
+      {
+        "description": "Your compelling description here.",
+        "categories": ["Primary Category", "Secondary Category", "Tertiary Category"],
+        "features": ["Specific Feature 1", "Specific Feature 2", "Specific Feature 3"],
+        "pricingModel": "Freemium",
+        "price": "$19/month",
+        "pros": ["Pro 1", "Pro 2", "Pro 3"],
+        "cons": ["Con 1", "Con 2"],
+        "officeAddress": null
+      }
+    `;
+    
+    const analysis = await llm.completeJson({
+      system: "You are an expert SEO and directory listing specialist. Your task is to analyze websites and create compelling, accurate directory listings that will drive traffic and increase visibility. Focus on being specific, accurate, and persuasive.",
+      prompt,
+      temperature: 0.5, // Slightly higher temperature for more creative descriptions
+      maxTokens: 800 // Allow more tokens for better quality
+    });
+    
+    // Ensure we have valid data in each field
+    return {
+      description: analysis.description || "A website offering digital services and solutions.",
+      categories: Array.isArray(analysis.categories) && analysis.categories.length > 0 
+        ? analysis.categories.slice(0, 3) 
+        : ["Technology", "Business", "Internet"],
+      features: Array.isArray(analysis.features) && analysis.features.length > 0 
+        ? analysis.features.slice(0, 3) 
+        : ["User-friendly interface", "Digital solutions", "Online services"],
+      pricingModel: analysis.pricingModel || null,
+      price: analysis.price || null,
+      pros: Array.isArray(analysis.pros) ? analysis.pros.slice(0, 5) : [],
+      cons: Array.isArray(analysis.cons) ? analysis.cons.slice(0, 5) : [],
+      officeAddress: analysis.officeAddress || content.metadata?.address || null,
+      analysisDate: new Date().toISOString()
+    };
+  } catch (error) {
+    console.error('Error analyzing with GPT:', error);
+    // Return fallback data if analysis fails; `fallback` keeps it out of the cache
+    return {
+      fallback: true,
+      description: `${websiteName || 'This website'} provides digital services and solutions for online users.`,
+      categories: ["Technology", "Internet", "Business"],
+      features: ["User-friendly interface", "Digital solutions", "Online services"],
+      pricingModel: null,
+      price: null,
+      pros: [],
+      cons: [],
+      officeAddress: content.metadata?.address || null,
+      analysisDate: new Date().toISOString()
+    };
+  }
+}
+
+/**
+ * Generate the complete directory submission profile with GPT
+ * @param {Object} llm - LLM provider
+ * @param {Object} content - Scraped content (with metadata and subpages)
+ * @param {string} websiteName - Name supplied by the user
+ * @returns {Promise<Object>} - Basic analysis fields plus `profile`, `profileFieldSources` and `profileErrors`;
+ *   `fallback: true` when the LLM call failed
+ */
+async function generateSubmissionProfileWithGPT(llm, content, websiteName) {
+  let rawProfile = {};
+  let fallback = false;
+  try {
+    rawProfile = await llm.completeJson({
+      system: "You are an expert SEO and directory listing specialist. You write accurate, specific directory submission profiles and never invent facts that aren't in the provided content.",
+      prompt: buildProfilePrompt(buildContentSummary(content, websiteName)),
+      temperature: 0.4,
+      maxTokens: 1500
+    });
+  } catch (error) {
+    // Every field falls back to what we scraped from the page
+    console.error('Error generating submission profile with GPT:', error);
+    fallback = true;
+  }
+
+  const { profile, fieldSources, errors } = validateProfile(rawProfile, content, websiteName);
+  if (Object.keys(errors).length > 0) {
+    console.warn('Submission profile fields replaced or missing:', errors);
+  }
+
+  return {
+    ...(fallback && { fallback: true }),
+    description: profile.description_long || profile.description_160,
+    categories: profile.categories || [],
+    features: profile.features || [],
+    pricingModel: profile.pricing_model,
+    price: profile.price,
+    pros: profile.pros || [],
+    cons: profile.cons || [],
+    officeAddress: profile.office_address,
+    analysisDate: new Date().toISOString(),
+    profile,
+    profileFieldSources: fieldSources,
+    profileErrors: errors
+  };
+}
+
+// Combine page metadata, the generated profile and captured assets into form defaults
+const buildPrefillFromResult = (content, gptAnalysis) => {
+  const submissionPrefill = buildSubmissionPrefill(content.metadata, content);
+  if (gptAnalysis.profile) {
+    Object.assign(submissionPrefill, toSubmissionFields(gptAnalysis.profile));
+  }
+  if (content.assets) {
+    submissionPrefill.logo_url = content.assets.logoUrl || submissionPrefill.logo_url;
+    submissionPrefill.screenshot_urls = content.assets.screenshotUrls;
+  }
+  return submissionPrefill;
+};
+
+// Store an analysis in website_content (also serves as the analysis cache)
+async function storeWebsiteContent(supabase, row) {
+  try {
+    const { error } = await supabase
+      .from('website_content')
+      .insert([{
+        ...row,
+        relevant_directories: row.gpt_analysis?.suggestedDirectories?.length || 0
+      }]);
+
+    if (error) {
+      console.error('Error storing website content:', error);
+    }
+  } catch (dbError) {
+    console.error('Database error:', dbError);
+    // Continue even if database storage fails
+  }
+}
+
+/**
+ * Scrape a website, analyze it with GPT and store the result
+ * @param {Object} deps
+ * @param {Object} deps.supabase - Supabase client (website_content cache, directory catalog)
+ * @param {Object} deps.llm - Provider from services/llmProvider.js
+ * @param {Function} deps.scrapeSite - async (url, crawlOptions) => content; crawlOptions is { maxPages, maxDepth } or null
+ * @param {Function} [deps.captureAssets] - async ({ url, metadata, userId }) => assets
+ * @param {number} [deps.cacheTtlMs=86400000] - Max age of a cached result
+ * @param {number} [deps.scrapeTimeoutMs=90000] - Give up on the scrape after this long
+ * @param {string} url - Normalized website URL
+ * @param {string} websiteName - Name supplied by the user
+ * @param {string} userId - Owner of the analysis (optional)
+ * @param {Object} [options]
+ * @param {Object|boolean} [options.crawl] - Crawl budget override, or false to scrape only the given URL
+ * @param {boolean} [options.captureAssets] - Take screenshots and grab the logo into Supabase Storage
+ * @param {string} [options.analysisMode] - 'full' to generate the complete submission profile
+ * @param {boolean} [options.force] - Ignore cached results and always re-scrape and re-analyze
+ * @returns {Promise<Object>} - { content, gptAnalysis, submissionPrefill, cache }; gptAnalysis.fallback is set
+ *   when the LLM call failed and the analysis is a placeholder
+ */
+async function scrapeAndAnalyzeWebsite(deps, url, websiteName, userId, options = {}) {
+  const { supabase, llm, scrapeSite, captureAssets, cacheTtlMs = 24 * 60 * 60 * 1000, scrapeTimeoutMs = 90000 } = deps;
+  const normalizedUrl = normalizeUrlForCache(url);
+  const crawlOptions = resolveCrawlOptions(options.crawl);
+
+  // Serve a recent stored result unless the caller asked for a fresh run
+  if (!options.force) {
+    try {
+      const cached = await findCachedResult(supabase, normalizedUrl, {
+        ttlMs: cacheTtlMs,
+        analysisMode: options.analysisMode,
+        crawl: crawlOptions,
+        captureAssets: Boolean(options.captureAssets)
+      });
+
+      if (cached) {
+        console.log(`Cache hit for ${normalizedUrl} (stored ${cached.created_at})`);
+        // Give this user their own copy so it shows up in their history
+        if (userId && cached.user_id !== userId) {
+          await storeWebsiteContent(supabase, {
+            user_id: userId,
+            website_name: websiteName,
+            website_url: url,
+            normalized_url: normalizedUrl,
+            content_hash: cached.content_hash,
+            content: cached.content,
+            gpt_analysis: cached.gpt_analysis
+          });
+        }
+
+        return {
+          content: cached.content,
+          gptAnalysis: cached.gpt_analysis,
+          submissionPrefill: buildPrefillFromResult(cached.content, cached.gpt_analysis),
+          cache: { hit: true, analysisReused: true, cachedAt: cached.created_at }
+        };
+      }
+    } catch (cacheError) {
+      // A cache failure just means we do the work again
+      console.error('Error reading analysis cache:', cacheError);
+    }
+  }
+
+  // Set a timeout for the scraping step
+  let timeoutId;
+  
+  const timeoutPromise = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      reject(new Error(`Operation timed out after ${scrapeTimeoutMs / 1000} seconds`));
+    }, scrapeTimeoutMs);
+  });
+  
+  let content;
+  try {
+    console.log('Attempting to scrape:', url);
+    
+    // Race between the scraping operation and the timeout
+    content = await Promise.race([
+      scrapeSite(url, crawlOptions),
+      timeoutPromise
+    ]);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+  
+  if (options.captureAssets && captureAssets) {
+    try {
+      content.assets = await captureAssets({ url, metadata: content.metadata, userId });
+    } catch (assetError) {
+      // Assets are optional, the analysis can go ahead without them
+      console.error('Error capturing website assets:', assetError);
+    }
+  }
+
+  const contentHash = hashContent(content);
+  let gptAnalysis = null;
+
+  // Only pay for a new analysis when the page text actually changed
+  if (!options.force) {
+    try {
+      const previous = await findAnalysisByHash(supabase, normalizedUrl, contentHash, {
+        analysisMode: options.analysisMode,
+        crawl: crawlOptions
+      });
+      if (previous) {
+        console.log(`Content unchanged since ${previous.created_at}, reusing previous analysis`);
+        gptAnalysis = previous.gpt_analysis;
+      }
+    } catch (cacheError) {
+      console.error('Error looking up previous analysis:', cacheError);
+    }
+  }
+  const analysisReused = Boolean(gptAnalysis);
+  
+  if (!gptAnalysis) {
+    console.log(`Content extracted (${content.scrapeStrategy}), analyzing with GPT...`);
+    
+    // Use GPT to analyze the content
+    gptAnalysis = options.analysisMode === 'full'
+      ? await generateSubmissionProfileWithGPT(llm, content, websiteName)
+      : await analyzeWebsiteWithGPT(llm, content, websiteName);
+    
+    console.log('GPT analysis complete');
+
+    // Rank the directory catalog against the analysis
+    try {
+      gptAnalysis.suggestedDirectories = await matchDirectories(supabase, gptAnalysis);
+    } catch (matchError) {
+      console.error('Error matching directories:', matchError);
+      gptAnalysis.suggestedDirectories = [];
+    }
+    gptAnalysis.suggestedDirectoryCount = gptAnalysis.suggestedDirectories.length;
+  }
+
+  // Store the results in the database if userId is provided
+  if (userId) {
+    await storeWebsiteContent(supabase, {
+      user_id: userId,
+      website_name: websiteName,
+      website_url: url,
+      normalized_url: normalizedUrl,
+      content_hash: contentHash,
+      content: content,
+      gpt_analysis: gptAnalysis
+    });
+  }
+
+  return {
+    content,
+    gptAnalysis,
+    submissionPrefill: buildPrefillFromResult(content, gptAnalysis),
+    cache: { hit: false, analysisReused }
+  };
+}
+
+module.exports = {
+  scrapeAndAnalyzeWebsite,
+  analyzeWebsiteWithGPT,
+  generateSubmissionProfileWithGPT
+};
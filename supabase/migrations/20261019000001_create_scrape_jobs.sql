@@ -0,0 +1,20 @@
+-- Background scrape + analysis jobs (see services/scrapeQueue.js)
+create table if not exists public.scrape_jobs (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid references auth.users (id) on delete set null,
+  website_url text not null,
+  website_name text,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'completed', 'failed')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 3,
+  result jsonb,
+  error text,
+  run_at timestamptz not null default now(),
+  started_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists scrape_jobs_status_idx on public.scrape_jobs (status, run_at);
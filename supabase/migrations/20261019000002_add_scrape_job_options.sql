@@ -0,0 +1,3 @@
+-- Per-job scrape options (crawl budget etc.)
+alter table public.scrape_jobs
+  add column if not exists options jsonb not null default '{}'::jsonb;
@@ -0,0 +1,4 @@
+-- Public bucket for captured screenshots and logos (see services/assetCapture.js)
+insert into storage.buckets (id, name, public)
+values ('website-assets', 'website-assets', true)
+on conflict (id) do nothing;
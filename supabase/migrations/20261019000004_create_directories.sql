@@ -0,0 +1,18 @@
+-- Directory catalog used to match submissions (see services/directoryCatalog.js)
+create table if not exists public.directories (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  url text not null unique,
+  submission_url text,
+  categories text[] not null default '{}',
+  domain_authority integer check (domain_authority between 0 and 100),
+  pricing text not null default 'free' check (pricing in ('free', 'freemium', 'paid')),
+  price numeric(10, 2),
+  link_type text not null default 'nofollow' check (link_type in ('dofollow', 'nofollow')),
+  requirements jsonb not null default '[]'::jsonb,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists directories_categories_idx on public.directories using gin (categories);
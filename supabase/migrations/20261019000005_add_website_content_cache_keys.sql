@@ -0,0 +1,7 @@
+-- Cache keys for scrape/analysis results (see services/analysisCache.js)
+alter table public.website_content
+  add column if not exists normalized_url text,
+  add column if not exists content_hash text;
+
+create index if not exists website_content_normalized_url_idx
+  on public.website_content (normalized_url, created_at desc);
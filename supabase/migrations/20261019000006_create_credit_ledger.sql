@@ -0,0 +1,85 @@
+-- Credit ledger (see services/creditLedger.js)
+create table if not exists public.credit_balances (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  balance integer not null default 0 check (balance >= 0),
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.credit_transactions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  amount integer not null,
+  balance_after integer not null,
+  reason text not null,
+  reference_id text,
+  metadata jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists credit_transactions_user_idx
+  on public.credit_transactions (user_id, created_at desc);
+
+-- Atomically apply a signed change to a balance and record it.
+-- Raises 'insufficient_credits' instead of letting the balance go negative.
+create or replace function public.apply_credit_transaction(
+  p_user_id uuid,
+  p_amount integer,
+  p_reason text,
+  p_reference_id text default null,
+  p_metadata jsonb default '{}'::jsonb
+)
+returns table (transaction_id uuid, balance integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_balance integer;
+  v_transaction_id uuid;
+begin
+  insert into credit_balances (user_id, balance)
+  values (p_user_id, 0)
+  on conflict (user_id) do nothing;
+
+  select cb.balance into v_balance
+  from credit_balances cb
+  where cb.user_id = p_user_id
+  for update;
+
+  if v_balance + p_amount < 0 then
+    raise exception 'insufficient_credits'
+      using detail = format('balance=%s amount=%s', v_balance, p_amount);
+  end if;
+
+  update credit_balances
+  set balance = v_balance + p_amount, updated_at = now()
+  where user_id = p_user_id;
+
+  insert into credit_transactions (user_id, amount, balance_after, reason, reference_id, metadata)
+  values (p_user_id, p_amount, v_balance + p_amount, p_reason, p_reference_id, coalesce(p_metadata, '{}'::jsonb))
+  returning id into v_transaction_id;
+
+  transaction_id := v_transaction_id;
+  balance := v_balance + p_amount;
+  return next;
+end;
+$$;
+
+revoke all on function public.apply_credit_transaction(uuid, integer, text, text, jsonb) from public, anon, authenticated;
+
+-- Opening balances from credits already purchased
+insert into public.credit_transactions (user_id, amount, balance_after, reason, reference_id)
+select p.user_id, p.credits, 0, 'purchase', p.id::text
+from public.payments p
+where p.status = 'paid' and p.credits > 0 and p.user_id is not null;
+
+insert into public.credit_balances (user_id, balance)
+select user_id, sum(amount)
+from public.credit_transactions
+group by user_id
+on conflict (user_id) do update set balance = excluded.balance;
+
+update public.credit_transactions t
+set balance_after = b.balance
+from public.credit_balances b
+where t.user_id = b.user_id and t.reason = 'purchase';
@@ -0,0 +1,14 @@
+-- Idempotency log for incoming payment webhooks (see services/paymentWebhooks.js)
+create table if not exists public.webhook_events (
+  event_key text primary key,
+  provider text not null,
+  event_name text not null,
+  status text not null default 'processing'
+    check (status in ('processing', 'processed', 'failed')),
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Webhooks upsert payments by the provider's order id
+create unique index if not exists payments_order_id_key on public.payments (order_id);
@@ -0,0 +1,18 @@
+-- Audit trail of submission status changes (see services/submissionStatus.js)
+create table if not exists public.submission_status_history (
+  id uuid primary key default gen_random_uuid(),
+  submission_id uuid not null references public.product_submissions (id) on delete cascade,
+  old_status text,
+  new_status text not null,
+  actor_id uuid references auth.users (id) on delete set null,
+  actor_role text not null default 'system',
+  source text not null default 'api',
+  note text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists submission_status_history_submission_idx
+  on public.submission_status_history (submission_id, created_at);
+
+-- Legacy spelling of the feedback status
+update public.product_submissions set status = 'feedback' where status = 'feedback1';
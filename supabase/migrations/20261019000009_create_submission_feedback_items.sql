@@ -0,0 +1,17 @@
+-- Reviewer feedback attached to "feedback" status changes (see services/submissionFeedback.js)
+create table if not exists public.submission_feedback_items (
+  id uuid primary key default gen_random_uuid(),
+  submission_id uuid not null references public.product_submissions (id) on delete cascade,
+  history_id uuid references public.submission_status_history (id) on delete set null,
+  field text,
+  message text not null,
+  severity text not null default 'warning' check (severity in ('info', 'warning', 'blocking')),
+  status text not null default 'open' check (status in ('open', 'responded')),
+  response text,
+  responded_at timestamptz,
+  created_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists submission_feedback_items_submission_idx
+  on public.submission_feedback_items (submission_id, created_at);
@@ -0,0 +1,3 @@
+-- Preferred language for submission emails (see services/emailTemplates.js)
+alter table public.product_submissions
+  add column if not exists locale text not null default 'en';
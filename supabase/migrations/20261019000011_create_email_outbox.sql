@@ -0,0 +1,45 @@
+-- Durable outbox for outgoing email (see services/emailOutbox.js)
+create table if not exists public.email_outbox (
+  id uuid primary key default gen_random_uuid(),
+  to_email text not null,
+  template text not null,
+  data jsonb not null default '{}'::jsonb,
+  locale text,
+  user_id uuid references auth.users (id) on delete set null,
+  dedupe_key text unique,
+  status text not null default 'queued'
+    check (status in ('queued', 'sending', 'sent', 'delivered', 'delayed', 'bounced', 'complained', 'failed', 'suppressed')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 5,
+  run_at timestamptz not null default now(),
+  last_error text,
+  provider_message_id text,
+  sent_at timestamptz,
+  delivered_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists email_outbox_status_idx on public.email_outbox (status, run_at);
+create index if not exists email_outbox_provider_message_id_idx on public.email_outbox (provider_message_id);
+create index if not exists email_outbox_to_email_idx on public.email_outbox (to_email, created_at desc);
+
+-- Delivery events reported by Resend webhooks
+create table if not exists public.email_events (
+  id uuid primary key default gen_random_uuid(),
+  outbox_id uuid references public.email_outbox (id) on delete cascade,
+  provider_message_id text not null,
+  event_type text not null,
+  payload jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists email_events_outbox_idx on public.email_events (outbox_id, created_at);
+
+-- Addresses that hard-bounced or complained are never mailed again
+create table if not exists public.email_suppressions (
+  email text primary key,
+  reason text not null check (reason in ('bounce', 'complaint', 'manual')),
+  outbox_id uuid references public.email_outbox (id) on delete set null,
+  created_at timestamptz not null default now()
+);
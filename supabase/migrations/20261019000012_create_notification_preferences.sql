@@ -0,0 +1,13 @@
+-- Per-user email preferences (see services/notificationPreferences.js).
+-- Transactional email can't be turned off, so it has no column.
+create table if not exists public.notification_preferences (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  progress_updates boolean not null default true,
+  feedback_requests boolean not null default true,
+  updated_at timestamptz not null default now()
+);
+
+-- Outbox messages skipped because the user opted out
+alter table public.email_outbox drop constraint if exists email_outbox_status_check;
+alter table public.email_outbox add constraint email_outbox_status_check
+  check (status in ('queued', 'sending', 'sent', 'delivered', 'delayed', 'bounced', 'complained', 'failed', 'suppressed', 'unsubscribed'));
@@ -0,0 +1,15 @@
+-- One row per lifecycle campaign email (see services/campaignScheduler.js)
+create table if not exists public.campaign_sends (
+  id uuid primary key default gen_random_uuid(),
+  campaign text not null,
+  entity_id text not null,
+  user_id uuid references auth.users (id) on delete set null,
+  outbox_id uuid references public.email_outbox (id) on delete set null,
+  created_at timestamptz not null default now(),
+  unique (campaign, entity_id)
+);
+
+create index if not exists product_submissions_status_created_idx
+  on public.product_submissions (status, created_at);
+create index if not exists submission_status_history_new_status_idx
+  on public.submission_status_history (new_status, created_at);
@@ -0,0 +1,49 @@
+-- Airtable sync progress per table (see services/airtableSync.js)
+create table if not exists public.airtable_sync_state (
+  table_key text primary key,
+  cursor timestamptz,
+  last_trigger text,
+  last_status text check (last_status in ('success', 'failed')),
+  last_run_started_at timestamptz,
+  last_run_finished_at timestamptz,
+  last_success_at timestamptz,
+  records_processed integer not null default 0,
+  records_failed integer not null default 0,
+  last_error text,
+  updated_at timestamptz not null default now()
+);
+
+-- Leases that keep background jobs from running concurrently
+create table if not exists public.sync_locks (
+  name text primary key,
+  holder text not null,
+  acquired_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+-- The sync cursor relies on updated_at changing whenever a row does
+alter table public.product_submissions add column if not exists updated_at timestamptz not null default now();
+alter table public.payments add column if not exists updated_at timestamptz not null default now();
+
+create or replace function public.set_updated_at()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.updated_at := now();
+  return new;
+end;
+$$;
+
+drop trigger if exists product_submissions_set_updated_at on public.product_submissions;
+create trigger product_submissions_set_updated_at
+  before update on public.product_submissions
+  for each row execute function public.set_updated_at();
+
+drop trigger if exists payments_set_updated_at on public.payments;
+create trigger payments_set_updated_at
+  before update on public.payments
+  for each row execute function public.set_updated_at();
+
+create index if not exists product_submissions_updated_at_idx on public.product_submissions (updated_at);
+create index if not exists payments_updated_at_idx on public.payments (updated_at);
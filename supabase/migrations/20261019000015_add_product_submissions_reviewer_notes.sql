@@ -0,0 +1,3 @@
+-- Notes from the ops team, edited in Airtable and pulled back (see services/airtableSync.js)
+alter table public.product_submissions
+  add column if not exists reviewer_notes text;
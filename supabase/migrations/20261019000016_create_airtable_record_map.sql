@@ -0,0 +1,15 @@
+-- Supabase id → Airtable record id, so syncs can batch updates without looking records up first
+create table if not exists public.airtable_record_map (
+  table_key text not null,
+  supabase_id text not null,
+  airtable_record_id text not null,
+  updated_at timestamptz not null default now(),
+  primary key (table_key, supabase_id)
+);
+
+create index if not exists airtable_record_map_record_idx
+  on public.airtable_record_map (table_key, airtable_record_id);
+
+-- Rows Airtable rejected on the last run ([{ id, error, attempts, failed_at }]), retried on the next one
+alter table public.airtable_sync_state
+  add column if not exists failed_records jsonb not null default '[]'::jsonb;
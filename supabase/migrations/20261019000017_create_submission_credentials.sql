@@ -0,0 +1,34 @@
+-- Directory-account passwords, encrypted by the API (see services/credentialVault.js)
+create table if not exists public.submission_credentials (
+  submission_id uuid primary key references public.product_submissions (id) on delete cascade,
+  secret text not null,
+  key_id text not null,
+  updated_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- Every store, reveal and seal of a submission's credentials
+create table if not exists public.credential_access_log (
+  id uuid primary key default gen_random_uuid(),
+  submission_id uuid not null references public.product_submissions (id) on delete cascade,
+  action text not null check (action in ('store', 'reveal', 'seal')),
+  actor_id uuid references auth.users (id) on delete set null,
+  actor_role text,
+  reason text,
+  ip text,
+  user_agent text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists credential_access_log_submission_idx
+  on public.credential_access_log (submission_id, created_at desc);
+
+-- Only the API (service role) may read or write these
+revoke all on table public.submission_credentials from anon, authenticated;
+revoke all on table public.credential_access_log from anon, authenticated;
+
+-- Plaintext passwords are moved into the vault and cleared by the API;
+-- run `npm run encrypt-credentials` once after deploying to seal existing rows
+comment on column public.product_submissions.password is
+  'Deprecated: plaintext from the submission form, moved to submission_credentials and cleared by the API';
@@ -0,0 +1,50 @@
+-- Form adapter for automated submissions (see services/directoryAdapters.js)
+alter table public.directories
+  add column if not exists submission_adapter jsonb;
+
+-- Automated directory submission runs (see services/submissionRunner.js)
+create table if not exists public.submission_runs (
+  id uuid primary key default gen_random_uuid(),
+  submission_id uuid not null references public.product_submissions (id) on delete cascade,
+  user_id uuid references auth.users (id) on delete set null,
+  directory_ids uuid[] not null,
+  status text not null default 'queued'
+    check (status in ('queued', 'running', 'completed', 'failed')),
+  charged_credits integer not null default 0,
+  summary jsonb,
+  error text,
+  started_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists submission_runs_status_idx on public.submission_runs (status, created_at);
+create index if not exists submission_runs_submission_idx on public.submission_runs (submission_id, created_at desc);
+
+-- One outcome per directory per run, with the screenshot path as evidence
+create table if not exists public.submission_run_results (
+  id uuid primary key default gen_random_uuid(),
+  run_id uuid not null references public.submission_runs (id) on delete cascade,
+  submission_id uuid not null references public.product_submissions (id) on delete cascade,
+  directory_id uuid references public.directories (id) on delete set null,
+  directory_name text,
+  status text not null check (status in ('submitted', 'needs_manual', 'failed')),
+  reason text,
+  fields_filled text[] not null default '{}',
+  page_url text,
+  details jsonb not null default '{}'::jsonb,
+  screenshot_path text,
+  started_at timestamptz,
+  completed_at timestamptz,
+  created_at timestamptz not null default now(),
+  unique (run_id, directory_id)
+);
+
+create index if not exists submission_run_results_submission_idx
+  on public.submission_run_results (submission_id, created_at desc);
+
+-- Private: screenshots can show the customer's details, so they are served as signed URLs
+insert into storage.buckets (id, name, public)
+values ('submission-evidence', 'submission-evidence', false)
+on conflict (id) do nothing;
@@ -0,0 +1,4 @@
+-- Payment webhooks grant and revoke credits once per order (see CreditLedger.applyOnce)
+create unique index if not exists credit_transactions_order_reference_key
+  on public.credit_transactions (reason, reference_id)
+  where reason in ('purchase', 'refund_reversal') and reference_id is not null;
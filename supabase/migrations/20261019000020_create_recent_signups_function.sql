@@ -0,0 +1,16 @@
+-- Sign-ups since a point in time, for the welcome campaign (see services/campaignScheduler.js),
+-- so each run reads only the lookback window instead of paging through every auth user
+create or replace function public.recent_signups(p_since timestamptz)
+returns table (id uuid, email text, created_at timestamptz, user_metadata jsonb)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select u.id, u.email::text, u.created_at, coalesce(u.raw_user_meta_data, '{}'::jsonb)
+  from auth.users u
+  where u.created_at >= p_since and u.email is not null
+  order by u.created_at;
+$$;
+
+revoke all on function public.recent_signups(timestamptz) from public, anon, authenticated;
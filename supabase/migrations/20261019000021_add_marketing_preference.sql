@@ -0,0 +1,3 @@
+-- Marketing emails (the unpaid-submission reminder campaign) can be turned off
+alter table public.notification_preferences
+  add column if not exists marketing boolean not null default true;
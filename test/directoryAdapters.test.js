@@ -0,0 +1,233 @@
+const { describe, test, before, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { resolveFieldValue, runAdapter } = require('../services/directoryAdapters');
+
+const fixtureUrl = (name) => pathToFileURL(path.join(__dirname, 'fixtures', 'forms', name)).href;
+
+const submission = {
+  id: 'sub-1',
+  product_name: 'Acme Invoices',
+  one_liner: 'Invoicing for freelancers',
+  categories: ['SaaS', '', 'Finance', null],
+  pricing_model: 'Freemium',
+  screenshot_urls: ['https://cdn.test/one.png', 'https://cdn.test/two.png'],
+  twitter_handle: null,
+  email: 'owner@acme.test'
+};
+
+describe('resolveFieldValue', () => {
+  test('joins arrays with commas by default, skipping empty items', () => {
+    assert.strictEqual(resolveFieldValue({ source: 'categories' }, submission), 'SaaS, Finance');
+  });
+
+  test('formats arrays as lines or their first item', () => {
+    assert.strictEqual(resolveFieldValue({ source: 'categories', format: 'lines' }, submission), 'SaaS\nFinance');
+    assert.strictEqual(resolveFieldValue({ source: 'categories', format: 'first' }, submission), 'SaaS');
+  });
+
+  test('uploads the first URL of an array', () => {
+    assert.strictEqual(resolveFieldValue({ source: 'screenshot_urls', type: 'file' }, submission), 'https://cdn.test/one.png');
+  });
+
+  test('truncates to maxLength', () => {
+    assert.strictEqual(resolveFieldValue({ source: 'product_name', maxLength: 4 }, submission), 'Acme');
+  });
+
+  test('uses fixed values, checkbox booleans and the directory account', () => {
+    assert.strictEqual(resolveFieldValue({ value: 42 }, submission), '42');
+    assert.strictEqual(resolveFieldValue({ type: 'checkbox', value: 'yes' }, submission), true);
+    assert.strictEqual(resolveFieldValue({ type: 'checkbox', source: 'twitter_handle' }, submission), false);
+    assert.strictEqual(resolveFieldValue({ source: 'account_email' }, submission), 'owner@acme.test');
+    assert.strictEqual(resolveFieldValue({ source: 'account_password' }, submission, { password: 's3cret' }), 's3cret');
+  });
+
+  test('returns null for missing values', () => {
+    assert.strictEqual(resolveFieldValue({ source: 'twitter_handle' }, submission), null);
+    assert.strictEqual(resolveFieldValue({ source: 'account_password' }, submission), null);
+    assert.strictEqual(resolveFieldValue({ source: 'coupon_codes' }, { coupon_codes: [] }), null);
+  });
+});
+
+describe('runAdapter against fixture forms', () => {
+  let browser = null;
+  let launchError = null;
+
+  before(async () => {
+    try {
+      const puppeteer = require('puppeteer');
+      const chromium = require('@sparticuz/chromium');
+      browser = await puppeteer.launch({
+        headless: 'new',
+        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || await chromium.executablePath(),
+        args: [...chromium.args, '--no-sandbox']
+      });
+    } catch (error) {
+      launchError = error;
+    }
+  });
+
+  after(async () => {
+    if (!browser) return;
+    // close() can hang on some sandboxes; don't let it keep the test run alive
+    await Promise.race([browser.close(), new Promise(resolve => setTimeout(resolve, 5000))]);
+    browser.process()?.kill('SIGKILL');
+  });
+
+  const run = async (t, fixture, adapter, values) => {
+    if (!browser) {
+      t.skip(`Chromium is not available: ${launchError?.message}`);
+      return null;
+    }
+    const page = await browser.newPage();
+    try {
+      const outcome = await runAdapter(page, {
+        adapter,
+        formUrl: fixtureUrl(fixture),
+        values: values || adapter.fields.map(field => resolveFieldValue(field, submission)),
+        timeoutMs: 3000,
+        allowFileUrls: true
+      });
+      outcome.bodyText = await page.evaluate(() => document.body.innerText);
+      return outcome;
+    } finally {
+      await page.close();
+    }
+  };
+
+  const nameOnly = { fields: [{ selector: '#name', source: 'product_name' }], submit: 'button[type=submit]' };
+
+  test('submits a form that confirms in place', async (t) => {
+    const outcome = await run(t, 'success.html', {
+      fields: [
+        { selector: '#name', source: 'product_name' },
+        { selector: '#tags', source: 'categories', format: 'lines' },
+        { selector: '#category', source: 'categories', type: 'select', format: 'first' },
+        { selector: '#terms', type: 'checkbox', value: true }
+      ],
+      submit: 'button[type=submit]',
+      success: { selector: '.thank-you' }
+    });
+    if (!outcome) return;
+
+    assert.strictEqual(outcome.status, 'submitted', outcome.reason);
+    assert.deepStrictEqual(outcome.fieldsFilled, ['product_name', 'categories', 'categories', '#terms']);
+    assert.match(outcome.bodyText, /Acme Invoices \/ SaaS\|Finance \/ saas \/ true/);
+  });
+
+  test('counts success text that appears after submitting, not the copy already on the page', async (t) => {
+    const outcome = await run(t, 'success.html', {
+      fields: [
+        { selector: '#name', source: 'product_name' },
+        { selector: '#terms', type: 'checkbox', value: true }
+      ],
+      submit: 'button[type=submit]',
+      success: { text: 'Thanks' }
+    });
+    if (!outcome) return;
+
+    assert.strictEqual(outcome.status, 'submitted', outcome.reason);
+  });
+
+  test('fails when the only success text was on the form before submitting', async (t) => {
+    const outcome = await run(t, 'no-response.html', { ...nameOnly, success: { text: 'Thanks' } });
+    if (!outcome) return;
+
+    assert.strictEqual(outcome.status, 'failed');
+    assert.strictEqual(outcome.reason, 'No confirmation after submitting the form');
+  });
+
+  test('submits a form that navigates to a confirmation page', async (t) => {
+    const byUrl = await run(t, 'redirect.html', { ...nameOnly, success: { urlContains: 'thanks.html' } });
+    if (!byUrl) return;
+    assert.strictEqual(byUrl.status, 'submitted', byUrl.reason);
+    assert.match(byUrl.pageUrl, /thanks\.html\?name=Acme\+Invoices$/);
+
+    // The confirmation page is a new document, so its "Thanks" counts even though the form had one too
+    const byText = await run(t, 'redirect.html', { ...nameOnly, success: { text: 'Thanks' } });
+    assert.strictEqual(byText.status, 'submitted', byText.reason);
+  });
+
+  test('needs manual action when the form has a captcha', async (t) => {
+    const outcome = await run(t, 'captcha.html', { ...nameOnly, success: { selector: '.thank-you' } });
+    if (!outcome) return;
+
+    assert.strictEqual(outcome.status, 'needs_manual');
+    assert.strictEqual(outcome.reason, 'CAPTCHA detected (.g-recaptcha)');
+    assert.deepStrictEqual(outcome.fieldsFilled, []);
+  });
+
+  test('needs manual action when the page shows a manual-step marker', async (t) => {
+    const outcome = await run(t, 'manual.html', {
+      ...nameOnly,
+      success: { selector: '.thank-you' },
+      manual: { text: ['verify your email'] }
+    });
+    if (!outcome) return;
+
+    assert.strictEqual(outcome.status, 'needs_manual');
+    assert.strictEqual(outcome.reason, 'Manual step detected ("verify your email")');
+  });
+
+  test('needs manual action when the submission lacks a required value', async (t) => {
+    const outcome = await run(t, 'success.html', {
+      fields: [{ selector: '#name', source: 'twitter_handle' }],
+      submit: 'button[type=submit]',
+      success: { selector: '.thank-you' }
+    });
+    if (!outcome) return;
+
+    assert.strictEqual(outcome.status, 'needs_manual');
+    assert.deepStrictEqual(outcome.details, { missing: ['twitter_handle'] });
+  });
+
+  test('fails when the form rejects a field', async (t) => {
+    const outcome = await run(t, 'invalid.html', {
+      fields: [
+        { selector: '#name', source: 'product_name' },
+        { selector: '#contact', source: 'one_liner' }
+      ],
+      submit: 'button[type=submit]',
+      success: { urlContains: 'thanks.html' }
+    });
+    if (!outcome) return;
+
+    assert.strictEqual(outcome.status, 'failed');
+    assert.deepStrictEqual(outcome.details, { invalidFields: ['contact'] });
+  });
+
+  test('ignores invalid fields in other forms while waiting for a slow confirmation', async (t) => {
+    const outcome = await run(t, 'newsletter.html', { ...nameOnly, success: { selector: '.thank-you' } });
+    if (!outcome) return;
+
+    assert.strictEqual(outcome.status, 'submitted', outcome.reason);
+  });
+
+  test('fails when a field is not on the page', async (t) => {
+    const outcome = await run(t, 'success.html', {
+      fields: [{ selector: '#missing', source: 'product_name' }],
+      submit: 'button[type=submit]',
+      success: { selector: '.thank-you' }
+    });
+    if (!outcome) return;
+
+    assert.strictEqual(outcome.status, 'failed');
+    assert.strictEqual(outcome.reason, 'Could not fill the form: Field not found: #missing');
+  });
+
+  test('refuses to upload files that are not public https URLs', async (t) => {
+    const adapter = {
+      fields: [{ selector: '#name', source: 'logo_url', type: 'file' }],
+      submit: 'button[type=submit]',
+      success: { selector: '.thank-you' }
+    };
+    const outcome = await run(t, 'success.html', adapter, ['https://169.254.169.254/latest/meta-data/']);
+    if (!outcome) return;
+    assert.strictEqual(outcome.status, 'failed');
+    assert.match(outcome.reason, /169\.254\.169\.254 is not a public address/);
+
+    const plainHttp = await run(t, 'success.html', adapter, ['http://cdn.test/logo.png']);
+    assert.match(plainHttp.reason, /only https URLs are allowed/);
+  });
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isPublicAddress, fetchPublic } = require('../services/publicFetch');
+
+test('tells public addresses from private and reserved ones', () => {
+  for (const address of ['8.8.8.8', '1.1.1.1', '2606:4700:4700::1111', '::ffff:8.8.8.8']) {
+    assert.strictEqual(isPublicAddress(address), true, address);
+  }
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:169.254.169.254', '::ffff:a9fe:a9fe', 'not-an-ip']) {
+    assert.strictEqual(isPublicAddress(address), false, address);
+  }
+});
+
+test('only fetches https URLs', async () => {
+  await assert.rejects(fetchPublic('http://example.com/logo.png'), /only https URLs are allowed/);
+  await assert.rejects(fetchPublic('file:///etc/passwd'), /only https URLs are allowed/);
+  await assert.rejects(fetchPublic('not a url'), /not a URL/);
+});
+
+test('refuses private addresses, written out or resolved', async () => {
+  await assert.rejects(fetchPublic('https://169.254.169.254/latest/meta-data/'), /169\.254\.169\.254 is not a public address/);
+  await assert.rejects(fetchPublic('https://[::1]/'), /::1 is not a public address/);
+  await assert.rejects(fetchPublic('https://localhost/logo.png', { timeout: 2000 }), /localhost: .* is not a public address/);
+});
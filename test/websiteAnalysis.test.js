@@ -0,0 +1,194 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MockProvider } = require('../services/llmProvider');
+const { scrapeAndAnalyzeWebsite } = require('../services/websiteAnalysis');
+
+// In-memory stand-in for the Supabase queries the analysis flow makes
+const createFakeSupabase = (tables) => ({
+  from(table) {
+    const filters = [];
+    let limit = Infinity;
+    const builder = {
+      select: () => builder,
+      eq: (column, value) => { filters.push(row => row[column] === value); return builder; },
+      gte: (column, value) => { filters.push(row => row[column] >= value); return builder; },
+      order: () => builder,
+      limit: (count) => { limit = count; return builder; },
+      insert: async (rows) => {
+        tables[table] = tables[table] || [];
+        rows.forEach(row => tables[table].unshift({ created_at: new Date().toISOString(), ...row }));
+        return { error: null };
+      },
+      then: (resolve, reject) => Promise.resolve({
+        data: (tables[table] || []).filter(row => filters.every(filter => filter(row))).slice(0, limit),
+        error: null
+      }).then(resolve, reject)
+    };
+    return builder;
+  }
+});
+
+const homePage = {
+  title: 'Acme Invoices - invoicing for freelancers',
+  metaDescription: 'Send invoices and get paid faster.',
+  headings: ['Invoicing for freelancers', 'Get paid faster'],
+  paragraphs: ['Acme Invoices sends reminders so you get paid on time.'],
+  links: [{ href: 'https://acme.test/pricing', text: 'Pricing' }],
+  mainContent: 'Acme Invoices sends reminders so you get paid on time.',
+  metadata: { logo: 'https://acme.test/logo.png' },
+  scrapeStrategy: 'static'
+};
+
+const setup = ({ llm = new MockProvider() } = {}) => {
+  const tables = {
+    website_content: [],
+    directories: [
+      { id: 'dir-1', name: 'SaaS Hub', is_active: true, categories: ['SaaS'], domain_authority: 60 },
+      { id: 'dir-2', name: 'Recipes Daily', is_active: true, categories: ['Food'], domain_authority: 70 }
+    ]
+  };
+  const scrapes = [];
+  const deps = {
+    supabase: createFakeSupabase(tables),
+    llm,
+    scrapeSite: async (url, crawlOptions) => {
+      scrapes.push({ url, crawlOptions });
+      const content = JSON.parse(JSON.stringify(homePage));
+      if (crawlOptions) content.crawl = { ...crawlOptions, crawledUrls: [], skipped: [] };
+      return content;
+    },
+    captureAssets: async ({ url }) => ({ logoUrl: `${url}/stored-logo.png`, screenshotUrls: [`${url}/stored-shot.jpg`] })
+  };
+  return { deps, tables, scrapes, llm };
+};
+
+test('analyzes the scraped page with the provider and stores the result', async () => {
+  const { deps, tables, scrapes, llm } = setup();
+
+  const result = await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1', { crawl: false });
+
+  assert.deepStrictEqual(scrapes, [{ url: 'https://acme.test', crawlOptions: null }]);
+  assert.strictEqual(llm.calls.length, 1);
+  assert.match(llm.calls[0].prompt, /Website Name: Acme Invoices/);
+  assert.match(llm.calls[0].prompt, /Invoicing for freelancers/);
+
+  assert.match(result.gptAnalysis.description, /^Acme Invoices helps teams/);
+  assert.deepStrictEqual(result.gptAnalysis.categories, ['SaaS', 'Productivity', 'Business']);
+  assert.ok(result.gptAnalysis.suggestedDirectories.some(directory => directory.id === 'dir-1'));
+  assert.deepStrictEqual(result.cache, { hit: false, analysisReused: false });
+
+  assert.strictEqual(tables.website_content.length, 1);
+  assert.strictEqual(tables.website_content[0].normalized_url, 'https://acme.test');
+  assert.strictEqual(tables.website_content[0].user_id, 'user-1');
+});
+
+test('serves a recent stored result without scraping or calling the provider', async () => {
+  const { deps, scrapes, llm } = setup();
+  await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1');
+
+  const result = await scrapeAndAnalyzeWebsite(deps, 'https://www.acme.test/?utm_source=ad', 'Acme Invoices', 'user-1');
+
+  assert.strictEqual(result.cache.hit, true);
+  assert.strictEqual(scrapes.length, 1);
+  assert.strictEqual(llm.calls.length, 1);
+});
+
+test('force re-scrapes and re-analyzes', async () => {
+  const { deps, scrapes, llm } = setup();
+  await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1');
+
+  const result = await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1', { force: true });
+
+  assert.strictEqual(result.cache.hit, false);
+  assert.strictEqual(scrapes.length, 2);
+  assert.strictEqual(llm.calls.length, 2);
+});
+
+test('does not serve a stored result made with less crawling or without assets', async () => {
+  const { deps, scrapes, llm } = setup();
+  await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1', { crawl: false });
+
+  const crawled = await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1', { crawl: { maxPages: 2 } });
+  assert.strictEqual(crawled.cache.hit, false);
+  assert.deepStrictEqual(scrapes[1].crawlOptions, { maxPages: 2, maxDepth: 1 });
+  assert.strictEqual(crawled.cache.analysisReused, false);
+  assert.strictEqual(llm.calls.length, 2);
+
+  const withAssets = await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1', { crawl: { maxPages: 2 }, captureAssets: true });
+  assert.strictEqual(withAssets.cache.hit, false);
+  assert.strictEqual(withAssets.submissionPrefill.logo_url, 'https://acme.test/stored-logo.png');
+
+  // A smaller request is answered by the bigger stored result
+  const smaller = await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1', { crawl: { maxPages: 1 } });
+  assert.strictEqual(smaller.cache.hit, true);
+  assert.strictEqual(scrapes.length, 3);
+});
+
+test('full mode builds the submission profile and its prefill', async () => {
+  const { deps } = setup();
+
+  const result = await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1', { analysisMode: 'full' });
+
+  assert.strictEqual(result.gptAnalysis.profile.product_name, 'Acme Invoices');
+  assert.strictEqual(result.submissionPrefill.product_name, 'Acme Invoices');
+});
+
+test('falls back to a basic analysis when the provider fails', async () => {
+  const llm = new MockProvider({ respond: () => { throw new Error('provider down'); } });
+  const { deps } = setup({ llm });
+
+  const result = await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', null);
+
+  assert.match(result.gptAnalysis.description, /^Acme Invoices provides digital services/);
+  assert.deepStrictEqual(result.gptAnalysis.categories, ['Technology', 'Internet', 'Business']);
+});
+
+test('does not cache a fallback analysis', async () => {
+  let down = true;
+  const llm = new MockProvider({
+    respond: () => {
+      if (down) throw new Error('provider down');
+      return { description: 'Acme Invoices sends invoices for freelancers.', categories: ['SaaS'], features: ['Reminders'] };
+    }
+  });
+  const { deps, scrapes } = setup({ llm });
+
+  const failed = await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1');
+  assert.strictEqual(failed.gptAnalysis.fallback, true);
+
+  down = false;
+  const retried = await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1');
+
+  assert.strictEqual(retried.cache.hit, false);
+  assert.strictEqual(retried.cache.analysisReused, false);
+  assert.strictEqual(scrapes.length, 2);
+  assert.strictEqual(llm.calls.length, 2);
+  assert.strictEqual(retried.gptAnalysis.fallback, undefined);
+  assert.strictEqual(retried.gptAnalysis.description, 'Acme Invoices sends invoices for freelancers.');
+
+  // The real analysis is cached as usual
+  const cached = await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1');
+  assert.strictEqual(cached.cache.hit, true);
+  assert.strictEqual(llm.calls.length, 2);
+});
+
+test('does not cache a full profile made without the provider', async () => {
+  let down = true;
+  const mock = new MockProvider();
+  const llm = new MockProvider({
+    respond: (request) => {
+      if (down) throw new Error('provider down');
+      return mock.completeJson(request);
+    }
+  });
+  const { deps } = setup({ llm });
+
+  const failed = await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1', { analysisMode: 'full' });
+  assert.strictEqual(failed.gptAnalysis.fallback, true);
+
+  down = false;
+  const retried = await scrapeAndAnalyzeWebsite(deps, 'https://acme.test', 'Acme Invoices', 'user-1', { analysisMode: 'full' });
+  assert.strictEqual(retried.cache.analysisReused, false);
+  assert.strictEqual(retried.gptAnalysis.fallback, undefined);
+  assert.strictEqual(llm.calls.length, 2);
+});